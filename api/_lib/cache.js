@@ -0,0 +1,201 @@
+// /api/_lib/cache.js  (LOOKUP CACHE)
+//
+// Resolver and pricing lookups (the card catalogs in games/, JustTCG, ECB FX)
+// answer the same queries over and over. cached() keys each lookup on its
+// normalized query, serves fresh entries directly, serves stale ones
+// immediately while one background refresh runs (stale-while-revalidate), and
+// falls back to an expired entry when the live call fails.
+//
+//   CACHE_BACKEND   memory | file | off   (default: memory)
+//   CACHE_DIR       file: directory for entries  (default <tmpdir>/grd-cache)
+//
+// Every call records what happened on the caller's debug entry:
+//   dbg.cache = "hit" | "stale" | "miss" | "stale-error" | "off", dbg.cacheAgeMs
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+// fresh: served as-is; stale: served while refreshing; after both, a miss
+export const CACHE_TTLS = {
+  tcgdex: { fresh: 7 * DAY, stale: 30 * DAY }, // card data barely changes
+  pokemontcg: { fresh: 7 * DAY, stale: 30 * DAY },
+  scryfall: { fresh: DAY, stale: 7 * DAY },
+  ygoprodeck: { fresh: DAY, stale: 7 * DAY },
+  lorcast: { fresh: DAY, stale: 7 * DAY },
+  optcg: { fresh: DAY, stale: 7 * DAY },
+  digimoncard: { fresh: DAY, stale: 7 * DAY },
+  fabtcg: { fresh: DAY, stale: 7 * DAY },
+  justtcgSets: { fresh: 7 * DAY, stale: 30 * DAY },
+  justtcgCards: { fresh: 6 * HOUR, stale: DAY }, // prices move
+  ecbFx: { fresh: 6 * HOUR, stale: 3 * DAY }, // published once per working day
+  imageResults: { fresh: 30 * DAY, stale: 0 }, // model output for the same photos; see imageCache.js
+  artwork: { fresh: 30 * DAY, stale: 90 * DAY }, // catalog image descriptors; see visualMatch.js
+};
+
+const MEMORY_MAX_ENTRIES = 1000;
+
+// ----------------------------
+// Keys
+// ----------------------------
+function normalizeQuery(v) {
+  if (Array.isArray(v)) return v.map(normalizeQuery);
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const k of Object.keys(v).sort()) {
+      const x = normalizeQuery(v[k]);
+      if (x !== null && x !== "") out[k] = x;
+    }
+    return out;
+  }
+  if (typeof v === "string") return v.replace(/\s+/g, " ").trim().toLowerCase();
+  return v ?? null;
+}
+
+/**
+ * Stable key for a lookup: case, whitespace, key order and empty fields
+ * don't change it.
+ */
+export function cacheKey(source, query) {
+  const hash = createHash("sha1").update(JSON.stringify(normalizeQuery(query))).digest("hex");
+  return `${source}:${hash}`;
+}
+
+// ----------------------------
+// Adapters
+// ----------------------------
+// Every adapter exposes:
+//   name
+//   get(key) -> { storedAt, value } | null
+//   set(key, entry) -> void
+// Adapters swallow their own I/O errors: a broken cache must never fail a lookup.
+
+const memoryEntries = new Map();
+
+const memoryAdapter = {
+  name: "memory",
+  async get(key) {
+    const e = memoryEntries.get(key);
+    if (!e) return null;
+    // re-insert so the Map's order doubles as LRU order
+    memoryEntries.delete(key);
+    memoryEntries.set(key, e);
+    return e;
+  },
+  async set(key, entry) {
+    memoryEntries.delete(key);
+    memoryEntries.set(key, entry);
+    while (memoryEntries.size > MEMORY_MAX_ENTRIES) memoryEntries.delete(memoryEntries.keys().next().value);
+  },
+};
+
+function cacheDir() {
+  return process.env.CACHE_DIR || path.join(os.tmpdir(), "grd-cache");
+}
+
+function entryPath(key) {
+  const [source, hash] = key.split(":");
+  return path.join(cacheDir(), source, `${hash}.json`);
+}
+
+const fileAdapter = {
+  name: "file",
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(entryPath(key), "utf8"));
+    } catch {
+      return null;
+    }
+  },
+  async set(key, entry) {
+    const file = entryPath(key);
+    try {
+      await mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(entry), "utf8");
+      await rename(tmp, file);
+    } catch (e) {
+      console.error("cache write failed:", e?.message || e);
+    }
+  },
+};
+
+const ADAPTERS = {
+  memory: memoryAdapter,
+  file: fileAdapter,
+};
+
+export function resolveCache() {
+  const name = String(process.env.CACHE_BACKEND || "memory").toLowerCase();
+  if (name === "off") return null;
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown CACHE_BACKEND "${name}"`);
+  return adapter;
+}
+
+// ----------------------------
+// Lookup
+// ----------------------------
+const refreshing = new Map(); // key -> promise, so a stale key refreshes once
+
+function refresh(store, key, fetcher, shouldCache) {
+  if (refreshing.has(key)) return refreshing.get(key);
+  const p = (async () => {
+    const value = await fetcher();
+    if (shouldCache(value)) await store.set(key, { storedAt: Date.now(), value });
+    return value;
+  })().finally(() => refreshing.delete(key));
+  refreshing.set(key, p);
+  return p;
+}
+
+/**
+ * Return the value for `query` from `source`, calling `fetcher()` when the
+ * cache can't answer. Only values passing `shouldCache` are stored (by
+ * default anything with a truthy `ok`). `dbg` receives the cache outcome.
+ * Errors from `fetcher` propagate unless an expired entry can stand in.
+ */
+export async function cached(source, query, fetcher, { dbg = null, shouldCache = (v) => !!v?.ok } = {}) {
+  const store = resolveCache();
+  const mark = (state, entry = null) => {
+    if (!dbg) return;
+    dbg.cache = state;
+    dbg.cacheAgeMs = entry ? Date.now() - entry.storedAt : null;
+  };
+
+  if (!store) {
+    mark("off");
+    return await fetcher();
+  }
+
+  const ttl = CACHE_TTLS[source] || { fresh: HOUR, stale: DAY };
+  const key = cacheKey(source, query);
+  const entry = await store.get(key);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  if (age < ttl.fresh) {
+    mark("hit", entry);
+    return entry.value;
+  }
+  if (age < ttl.fresh + ttl.stale) {
+    mark("stale", entry);
+    // answer now; the refresh finishes in the background (errors only logged)
+    refresh(store, key, fetcher, shouldCache).catch((e) => console.error(`cache refresh ${source}:`, e?.message || e));
+    return entry.value;
+  }
+
+  try {
+    const value = await refresh(store, key, fetcher, shouldCache);
+    mark("miss");
+    return value;
+  } catch (e) {
+    if (!entry) throw e;
+    mark("stale-error", entry);
+    return entry.value;
+  }
+}
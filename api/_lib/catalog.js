@@ -0,0 +1,217 @@
+// /api/_lib/catalog.js  (LOCAL CARD CATALOG)
+//
+// Every resolver call is a live catalog API round trip with a 6.5s timeout,
+// and a Pokémon lookup can chain five of them. When a catalog has been
+// imported from a bulk dump (scripts/build-catalog.js, see catalogImport.js),
+// resolvers search it in memory first and only go to the network on a miss.
+//
+//   CATALOG_DIR   directory of <game>.json indexes  (default ./data/catalog)
+//   CATALOG       on | off   (default: on; off skips the index entirely)
+//
+// The catalog is local-only: data/catalog isn't committed and no deploy step
+// builds it, so a Vercel deployment has none and resolves over the network.
+// Build it where the API runs from a checkout (a dev machine, a long-lived
+// host, the job worker).
+//
+// A game without an index file simply has no local catalog. Each card record:
+//   id          provider id (TCGdex "swsh3-136", Scryfall uuid, YGO passcode)
+//   source      importer that produced it ("tcgdex", "scryfall", "ygoprodeck")
+//   language    language of the printing
+//   name, printedName?, set, setCode, number, rarity, image, url?
+//   extra?      provider fields a resolver needs (e.g. Scryfall's foil flag)
+// One record per printing: a Yu-Gi-Oh card printed in five sets is five records.
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { editDistance, foldName, nameSimilarity } from "./fuzzy.js";
+import { normalizeCollectorNumber } from "./lookup.js";
+
+export const CATALOG_VERSION = "catalog@1";
+
+const TOKEN_PREFIX = 4; // misread tokens are looked up among tokens sharing this prefix
+const TOKEN_MAX_EDITS = 2;
+const MIN_SIMILARITY = 0.75;
+
+const indexes = new Map(); // game -> Promise<index | null>
+
+export function catalogDir() {
+  return process.env.CATALOG_DIR || path.join(process.cwd(), "data", "catalog");
+}
+
+function catalogEnabled() {
+  return String(process.env.CATALOG || "on").toLowerCase() !== "off";
+}
+
+function catalogFile(game) {
+  return path.join(catalogDir(), `${game}.json`);
+}
+
+function nameTokens(s) {
+  return foldName(s)
+    .split(/[\s/]+/)
+    .filter((t) => t.length >= 2);
+}
+
+const numberKey = (n) => {
+  const s = normalizeCollectorNumber(n);
+  return s ? s.toLowerCase().replace(/^0+(?=\d)/, "") : null;
+};
+const codeKey = (c) => (c ? String(c).trim().toLowerCase() : null);
+
+function push(map, key, i) {
+  if (!key) return;
+  const list = map.get(key);
+  if (list) list.push(i);
+  else map.set(key, [i]);
+}
+
+function buildIndex(file) {
+  const cards = Array.isArray(file?.cards) ? file.cards : [];
+  const tokens = new Map(); // token -> card indices
+  const prefixes = new Map(); // token prefix -> tokens
+  const numbers = new Map(); // collector number -> card indices
+  const codes = new Map(); // set code -> card indices
+  const ids = new Map(); // provider id -> card indices (one per language)
+
+  cards.forEach((c, i) => {
+    for (const t of new Set([...nameTokens(c.name), ...nameTokens(c.printedName)])) {
+      if (!tokens.has(t)) {
+        const p = t.slice(0, TOKEN_PREFIX);
+        if (!prefixes.has(p)) prefixes.set(p, []);
+        prefixes.get(p).push(t);
+      }
+      push(tokens, t, i);
+    }
+    push(numbers, numberKey(c.number), i);
+    push(codes, codeKey(c.setCode), i);
+    push(ids, String(c.id), i);
+  });
+
+  return { cards, tokens, prefixes, numbers, codes, ids, updatedAt: file?.updatedAt || null };
+}
+
+async function loadIndex(game) {
+  try {
+    const file = JSON.parse(await readFile(catalogFile(game), "utf8"));
+    if (file?.version !== CATALOG_VERSION) return null;
+    return buildIndex(file);
+  } catch {
+    return null;
+  }
+}
+
+// Loaded once per instance; a missing or unreadable file is remembered as "no catalog".
+function getIndex(game) {
+  if (!catalogEnabled()) return Promise.resolve(null);
+  if (!indexes.has(game)) indexes.set(game, loadIndex(game));
+  return indexes.get(game);
+}
+
+// Drop loaded indexes so the next search re-reads the files (after an import).
+export function resetCatalogs() {
+  indexes.clear();
+}
+
+export async function hasCatalog(game) {
+  return !!(await getIndex(game));
+}
+
+// Card indices whose name shares a token with the query, tolerating a couple of misread letters per token.
+function nameHits(index, name) {
+  const out = new Set();
+  for (const t of nameTokens(name)) {
+    for (const i of index.tokens.get(t) || []) out.add(i);
+    for (const near of index.prefixes.get(t.slice(0, TOKEN_PREFIX)) || []) {
+      if (near !== t && editDistance(t, near, TOKEN_MAX_EDITS) <= TOKEN_MAX_EDITS) {
+        for (const i of index.tokens.get(near)) out.add(i);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Search a game's local catalog by name (full text, misread-tolerant) and by
+ * collector number / set code. Returns [{ card, similarity, numberMatch,
+ * setCodeMatch }] best first, or [] when nothing matches or the game has no
+ * catalog.
+ */
+export async function searchCatalog(game, { name, number, setCode, language = null, limit = 40 } = {}) {
+  const index = await getIndex(game);
+  if (!index) return [];
+
+  const num = numberKey(number);
+  const code = codeKey(setCode);
+
+  const pool = name ? nameHits(index, name) : new Set();
+  const byNumber = new Set(num ? index.numbers.get(num) || [] : []);
+  const byCode = new Set(code ? index.codes.get(code) || [] : []);
+  // set code + number (or a full code like "LOB-EN001") pins a printing even when the name is unreadable;
+  // a bare number or a whole set does not
+  const pinned = num ? [...byCode].filter((i) => byNumber.has(i)) : [...byCode];
+  const identifying = pinned.length > 0 && pinned.length <= 3;
+  if (identifying) for (const i of pinned) pool.add(i);
+
+  const hits = [];
+  for (const i of pool) {
+    const card = index.cards[i];
+    if (language && card.language !== language) continue;
+    const similarity = name
+      ? Math.max(nameSimilarity(name, card.name), card.printedName ? nameSimilarity(name, card.printedName) : 0)
+      : 0;
+    const numberMatch = byNumber.has(i);
+    const setCodeMatch = byCode.has(i);
+    if (similarity < MIN_SIMILARITY && !(identifying && pinned.includes(i))) continue;
+    hits.push({ card, similarity, numberMatch, setCodeMatch });
+  }
+
+  hits.sort(
+    (a, b) =>
+      b.similarity - a.similarity ||
+      Number(b.numberMatch) - Number(a.numberMatch) ||
+      Number(b.setCodeMatch) - Number(a.setCodeMatch)
+  );
+  return hits.slice(0, limit);
+}
+
+// The record with this provider id in `language`, or null.
+export async function getCatalogCard(game, id, language) {
+  const index = await getIndex(game);
+  if (!index) return null;
+  const i = (index.ids.get(String(id)) || []).find((x) => index.cards[x].language === language);
+  return i == null ? null : index.cards[i];
+}
+
+/**
+ * Write a game's index, replacing the records of every (source, language)
+ * pair in `cards` and keeping the rest (e.g. importing Japanese TCGdex keeps
+ * the English records).
+ */
+export async function writeCatalog(game, source, cards) {
+  const file = catalogFile(game);
+  let existing = { cards: [], parts: {} };
+  try {
+    existing = JSON.parse(await readFile(file, "utf8"));
+  } catch {}
+
+  const now = new Date().toISOString();
+  const parts = { ...(existing.version === CATALOG_VERSION ? existing.parts : {}) };
+  const replaced = new Set();
+  for (const c of cards) replaced.add(`${source}:${c.language}`);
+  for (const p of replaced) {
+    parts[p] = { importedAt: now, count: cards.filter((c) => `${source}:${c.language}` === p).length };
+  }
+
+  const kept = (existing.version === CATALOG_VERSION ? existing.cards : []).filter(
+    (c) => !replaced.has(`${c.source}:${c.language}`)
+  );
+  const out = { version: CATALOG_VERSION, game, updatedAt: now, parts, cards: [...kept, ...cards] };
+
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(out), "utf8");
+  await rename(tmp, file);
+  indexes.delete(game);
+  return { file, parts, total: out.cards.length };
+}
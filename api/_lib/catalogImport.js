@@ -0,0 +1,161 @@
+// /api/_lib/catalogImport.js  (CATALOG IMPORTERS)
+//
+// Turns a provider's bulk data into local catalog records (see catalog.js).
+// One adapter per source:
+//   scryfall    Scryfall bulk data (default_cards, or all_cards for every language)
+//   tcgdex      a TCGdex export (JSON array of cards), or the live API walked set by set
+//   ygoprodeck  YGOPRODeck's full cardinfo dump, optionally in one of its translations
+// `input` is a file path or URL; without one each adapter downloads its
+// default dump. Downloads go through httpFetch like every other call.
+// Scryfall's bulk files hold one card per line and are read line by line, so
+// the multi-hundred-megabyte dumps are never held in memory whole.
+
+import { createReadStream } from "node:fs";
+import { readFile } from "node:fs/promises";
+import readline from "node:readline";
+import { Readable } from "node:stream";
+
+import { writeCatalog } from "./catalog.js";
+import { httpFetch } from "./http.js";
+import { normalizeLanguage } from "./language.js";
+
+const isUrl = (s) => /^https?:\/\//i.test(String(s || ""));
+
+async function openLines(input) {
+  if (!isUrl(input)) return readline.createInterface({ input: createReadStream(input), crlfDelay: Infinity });
+  const r = await httpFetch(input);
+  if (!r.ok) throw new Error(`Download failed: HTTP ${r.status} for ${input}`);
+  return readline.createInterface({ input: Readable.fromWeb(r.body), crlfDelay: Infinity });
+}
+
+async function readJson(input) {
+  if (!isUrl(input)) return JSON.parse(await readFile(input, "utf8"));
+  const r = await httpFetch(input);
+  if (!r.ok) throw new Error(`Download failed: HTTP ${r.status} for ${input}`);
+  return await r.json();
+}
+
+// Objects of a top-level JSON array written one per line (Scryfall's bulk format).
+async function* jsonArrayLines(input) {
+  for await (const raw of await openLines(input)) {
+    const line = raw.trim().replace(/,$/, "");
+    if (!line || line === "[" || line === "]") continue;
+    yield JSON.parse(line);
+  }
+}
+
+// ---- Scryfall ----
+async function scryfallDefaultInput() {
+  const meta = await readJson("https://api.scryfall.com/bulk-data/default-cards");
+  if (!meta?.download_uri) throw new Error("Scryfall bulk-data response has no download_uri");
+  return meta.download_uri;
+}
+
+async function importScryfall(input) {
+  const cards = [];
+  for await (const c of jsonArrayLines(input || (await scryfallDefaultInput()))) {
+    if (c?.object !== "card" || c.layout === "art_series" || c.layout === "token") continue;
+    const face = Array.isArray(c.card_faces) ? c.card_faces[0] : null;
+    cards.push({
+      id: c.id,
+      language: normalizeLanguage(c.lang) || "en",
+      name: c.name,
+      printedName: c.printed_name || null,
+      set: c.set_name || null,
+      setCode: c.set || null,
+      number: c.collector_number ? String(c.collector_number) : null,
+      rarity: c.rarity || null,
+      image: c.image_uris?.normal || face?.image_uris?.normal || null,
+      url: c.scryfall_uri || null,
+      // finish and treatment marks the resolver matches against what was read off the card
+      extra: {
+        foil: !!c.foil,
+        finishes: c.finishes || null,
+        frame: c.frame || null,
+        frameEffects: c.frame_effects || null,
+        borderColor: c.border_color || null,
+        promoTypes: c.promo_types || null,
+      },
+    });
+  }
+  return { game: "mtg", cards };
+}
+
+// ---- TCGdex ----
+async function tcgdexWalk(locale) {
+  const base = `https://api.tcgdex.net/v2/${locale}`;
+  const sets = await readJson(`${base}/sets`);
+  const out = [];
+  for (const s of Array.isArray(sets) ? sets : []) {
+    const set = await readJson(`${base}/sets/${encodeURIComponent(s.id)}`);
+    for (const c of Array.isArray(set?.cards) ? set.cards : []) {
+      out.push({ ...c, set: { id: set.id, name: set.name } });
+    }
+  }
+  return out;
+}
+
+async function importTcgdex(input, { language = "en" } = {}) {
+  const locale = normalizeLanguage(language) || "en";
+  const list = input ? await readJson(input) : await tcgdexWalk(locale);
+  const cards = (Array.isArray(list) ? list : []).map((c) => ({
+    id: c.id,
+    language: locale,
+    name: c.name,
+    set: c.set?.name || null,
+    setCode: c.set?.id || String(c.id || "").split("-").slice(0, -1).join("-") || null,
+    number: c.localId != null ? String(c.localId) : null,
+    rarity: c.rarity || null,
+    image: c.image || null, // base URL; add "/high" or "/low"
+  }));
+  return { game: "pokemon", cards };
+}
+
+// ---- YGOPRODeck ----
+async function importYgoprodeck(input, { language = "en" } = {}) {
+  const lang = normalizeLanguage(language) || "en";
+  const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php${lang === "en" ? "" : `?language=${lang}`}`;
+  const j = await readJson(input || url);
+  const cards = [];
+  for (const c of Array.isArray(j?.data) ? j.data : []) {
+    const image = c.card_images?.[0]?.image_url || null;
+    const sets = Array.isArray(c.card_sets) && c.card_sets.length ? c.card_sets : [null];
+    for (const s of sets) {
+      cards.push({
+        id: String(c.id),
+        language: lang,
+        name: c.name,
+        set: s?.set_name || null,
+        setCode: s?.set_code || null,
+        number: s?.set_code ? (String(s.set_code).match(/(\d+)$/) || [])[1] || null : null,
+        rarity: s?.set_rarity || null,
+        image,
+        url: c.ygoprodeck_url || null,
+      });
+    }
+  }
+  return { game: "yugioh", cards };
+}
+
+const ADAPTERS = {
+  scryfall: importScryfall,
+  tcgdex: importTcgdex,
+  ygoprodeck: importYgoprodeck,
+};
+
+export const CATALOG_SOURCES = Object.keys(ADAPTERS);
+
+/**
+ * Import one source into its game's catalog. Replaces that source's records
+ * in the languages imported and keeps everything else.
+ * Resolves { game, file, imported, total, parts }.
+ */
+export async function importCatalog(source, { input = null, language = "en" } = {}) {
+  const adapter = ADAPTERS[source];
+  if (!adapter) throw new Error(`Unknown catalog source "${source}"`);
+  const { game, cards } = await adapter(input, { language });
+  if (!cards.length) throw new Error(`No cards read from ${input || source}`);
+  const stamped = cards.map((c) => ({ ...c, source }));
+  const { file, total, parts } = await writeCatalog(game, source, stamped);
+  return { game, file, imported: stamped.length, total, parts };
+}
@@ -0,0 +1,255 @@
+// /api/_lib/centering.js  (MEASURED CENTERING)
+//
+// Deterministic centering from pixels: find the card's outer edge and the inner
+// print border on each side, then turn the four border widths into the usual
+// left/right and top/bottom ratios ("55/45"). Works on scanlines through the
+// middle of the card so artwork and corners don't interfere; each side's
+// width is the median over many lines.
+
+import { centeringCap, getGraderProfile } from "./graders.js";
+import { decodeDataUrl, downscale } from "./image.js";
+
+export const CENTERING_METHOD = "edge-scan@2";
+
+const CARD_ASPECT = 63 / 88;
+const WORK_SIDE = 720; // measure on a downscaled copy; widths are scaled back
+const BAND = [0.3, 0.7]; // central share of lines used
+const MAX_BORDER_SHARE = 0.4; // inner edge must sit within this share of the side
+const CROP_BLEED = 0.01; // edges this close to a cropped image's side are ignored
+const RINGING_PX = 8; // JPEG ringing stays within a block of the edge causing it
+const RINGING_SHARE = 0.4; // ... and well below that edge's strength
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function percentile(arr, q) {
+  const s = Array.from(arr).sort((a, b) => a - b);
+  return s[Math.min(s.length - 1, Math.floor(q * s.length))];
+}
+
+// Colour-difference profile along one line (averaged with its two neighbours).
+function lineProfile(img, horizontal, at) {
+  const { width, height, data } = img;
+  const len = horizontal ? width : height;
+  const span = horizontal ? height : width;
+  const out = new Float32Array(len);
+  let n = 0;
+  for (let k = Math.max(0, at - 1); k <= Math.min(span - 1, at + 1); k++) {
+    n++;
+    for (let i = 1; i < len - 1; i++) {
+      const pa = horizontal ? (k * width + i - 1) * 3 : ((i - 1) * width + k) * 3;
+      const pb = horizontal ? (k * width + i + 1) * 3 : ((i + 1) * width + k) * 3;
+      out[i] += Math.abs(data[pa] - data[pb]) + Math.abs(data[pa + 1] - data[pb + 1]) + Math.abs(data[pa + 2] - data[pb + 2]);
+    }
+  }
+  for (let i = 0; i < len; i++) out[i] /= n;
+  return out;
+}
+
+// Local maxima above T, merged when closer than `gap`, each placed to a
+// fraction of a pixel (parabola through the peak and its neighbours): a step
+// edge peaks on two pixels at once, and picking either one is worth a couple
+// of points of centering on a thin border. A JPEG rings next to a strong edge,
+// so a peak under RINGING_SHARE of a stronger one within RINGING_PX is dropped.
+function peaks(profile, T, gap = 3) {
+  const found = [];
+  for (let i = 1; i < profile.length - 1; i++) {
+    const v = profile[i];
+    if (v < T || v < profile[i - 1] || v < profile[i + 1]) continue;
+    const last = found[found.length - 1];
+    if (last != null && i - last <= gap) {
+      if (v > profile[last]) found[found.length - 1] = i;
+      continue;
+    }
+    found.push(i);
+  }
+  const kept = found.filter((i) =>
+    found.every((j) => Math.abs(j - i) > RINGING_PX || profile[i] >= profile[j] * RINGING_SHARE)
+  );
+  return kept.map((i) => {
+    const a = profile[i - 1];
+    const b = profile[i];
+    const c = profile[i + 1];
+    const d = a - 2 * b + c;
+    return d < 0 ? i + (0.5 * (a - c)) / d : i;
+  });
+}
+
+function scanAxis(img, horizontal) {
+  const len = horizontal ? img.width : img.height;
+  const span = horizontal ? img.height : img.width;
+  const from = Math.floor(span * BAND[0]);
+  const to = Math.ceil(span * BAND[1]);
+  const step = Math.max(1, Math.floor((to - from) / 60));
+
+  const profiles = [];
+  for (let at = from; at < to; at += step) profiles.push(lineProfile(img, horizontal, at));
+
+  // one threshold for the whole axis: strong edges only
+  const sample = [];
+  for (const p of profiles) for (let i = 0; i < p.length; i += 2) sample.push(p[i]);
+  const T = Math.max(24, percentile(sample, 0.98) * 0.3);
+
+  const limit = len * MAX_BORDER_SHARE;
+  return profiles.map((p) => {
+    const ps = peaks(p, T);
+    const near = ps.filter((x) => x < limit);
+    const far = ps.filter((x) => x > len - 1 - limit).map((x) => len - 1 - x).reverse();
+    return { near, far };
+  });
+}
+
+function sideWidths(lines, key, hypothesis, len) {
+  const widths = [];
+  const outers = [];
+  // a tight crop often keeps a pixel or two of background (or resampling
+  // bleed after normalization); no print border is that thin
+  const skip = Math.max(2, len * CROP_BLEED);
+  for (const l of lines) {
+    const e = l[key];
+    if (hypothesis === "cropped") {
+      const first = e.find((x) => x >= skip);
+      if (first != null) {
+        widths.push(first);
+        outers.push(0);
+      }
+    } else if (e.length >= 2) {
+      widths.push(e[1] - e[0]);
+      outers.push(e[0]);
+    }
+  }
+  if (!widths.length) return null;
+  const w = median(widths);
+  const tol = Math.max(1.5, w * 0.12);
+  return {
+    width: w,
+    outer: median(outers),
+    coverage: widths.length / lines.length,
+    agreement: widths.filter((x) => Math.abs(x - w) <= tol).length / widths.length,
+  };
+}
+
+function aspectError(w, h) {
+  if (w <= 0 || h <= 0) return Infinity;
+  const a = w / h;
+  return Math.min(Math.abs(a - CARD_ASPECT) / CARD_ASPECT, Math.abs(a - 1 / CARD_ASPECT) * CARD_ASPECT);
+}
+
+function ratio(a, b) {
+  const share = Math.round((100 * a) / (a + b));
+  return [share, 100 - share];
+}
+
+/**
+ * Measure centering on a decoded image. `cropped: true` skips outer-edge
+ * detection (the image is already the card, e.g. after normalization).
+ */
+export function measureImageCentering(image, { cropped = null } = {}) {
+  const work = downscale(image, WORK_SIDE);
+  const scaleBack = image.width / work.width;
+
+  const rows = scanAxis(work, true);
+  const cols = scanAxis(work, false);
+
+  const measure = (h) => ({
+    hypothesis: h,
+    left: sideWidths(rows, "near", h, work.width),
+    right: sideWidths(rows, "far", h, work.width),
+    top: sideWidths(cols, "near", h, work.height),
+    bottom: sideWidths(cols, "far", h, work.height),
+  });
+
+  // Which reading of the first edge is right: the card's outer edge against a
+  // background, or (tight crop) already the inner border? A real border gives
+  // the same width on every line and an outer box with the card's 63x88
+  // aspect, so score both readings on that.
+  const score = (m) => {
+    const sides = [m.left, m.right, m.top, m.bottom];
+    if (sides.some((x) => !x)) return -Infinity;
+    const quality = sides.reduce((s, x) => s + x.coverage * x.agreement, 0) / 4;
+    const w = m.hypothesis === "cropped" ? work.width : work.width - m.left.outer - m.right.outer;
+    const h = m.hypothesis === "cropped" ? work.height : work.height - m.top.outer - m.bottom.outer;
+    return quality - 3 * Math.min(aspectError(w, h), 1);
+  };
+
+  let picked;
+  if (cropped === true) picked = measure("cropped");
+  else if (cropped === false) picked = measure("background");
+  else {
+    const bg = measure("background");
+    const tight = measure("cropped");
+    picked = score(tight) > score(bg) ? tight : bg;
+  }
+
+  const { hypothesis, left, right, top, bottom } = picked;
+
+  if (!left || !right || !top || !bottom) {
+    return {
+      ok: false,
+      reason: "Could not find a print border on every side (full-art or borderless card, or card not fully in frame).",
+      hypothesis,
+    };
+  }
+
+  const lr = ratio(left.width, right.width);
+  const tb = ratio(top.width, bottom.width);
+  const sides = [left, right, top, bottom];
+  const confidence = Math.min(...sides.map((s) => s.coverage * s.agreement));
+
+  const px = (v) => Math.round(v * scaleBack);
+  return {
+    ok: true,
+    leftRight: `${lr[0]}/${lr[1]}`,
+    topBottom: `${tb[0]}/${tb[1]}`,
+    lr,
+    tb,
+    worst: Math.max(lr[0], lr[1], tb[0], tb[1]),
+    borders: { left: px(left.width), right: px(right.width), top: px(top.width), bottom: px(bottom.width) },
+    outerBox: {
+      left: px(left.outer),
+      top: px(top.outer),
+      right: image.width - px(right.outer),
+      bottom: image.height - px(bottom.outer),
+    },
+    hypothesis,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+}
+
+function measureSide(dataUrl, opts) {
+  if (!dataUrl) return { ok: false, reason: "No image" };
+  try {
+    const { image } = decodeDataUrl(dataUrl);
+    return measureImageCentering(image, opts);
+  } catch (e) {
+    return { ok: false, reason: e?.message || "Decode failed" };
+  }
+}
+
+/**
+ * Front + back centering, plus the highest grade those ratios allow for the
+ * chosen grading company. `cropped` applies to both sides, or per side as
+ * { front, back } (e.g. only the side that normalization could flatten).
+ */
+export function measureCentering({ frontDataUrl, backDataUrl, company = null, cropped = null }) {
+  const croppedFor = (side) => (cropped && typeof cropped === "object" ? cropped[side] ?? null : cropped);
+  const front = measureSide(frontDataUrl, { cropped: croppedFor("front") });
+  const back = measureSide(backDataUrl, { cropped: croppedFor("back") });
+  const profile = getGraderProfile(company);
+
+  const cap = centeringCap(profile, {
+    front: front.ok ? front.worst : null,
+    back: back.ok ? back.worst : null,
+  });
+
+  return {
+    method: CENTERING_METHOD,
+    front,
+    back,
+    company: profile.id,
+    capGrade: cap,
+  };
+}
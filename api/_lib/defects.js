@@ -0,0 +1,284 @@
+// /api/_lib/defects.js  (LOCALIZED DEFECTS)
+//
+// Free-text issues ("light whitening") say what is wrong but not where. The
+// grade prompt also asks for structured defects — type, side, a box or point
+// on the image, severity and the subgrade it costs — and this module cleans
+// them, clusters them across ensemble passes and maps them from the analysed
+// (flattened) image back onto the original photo so the UI can mark them.
+
+import { cardPointToPhoto } from "./normalize.js";
+
+export const DEFECT_TYPES = ["whitening", "scratch", "print_line", "dent", "crease"];
+export const DEFECT_SEVERITIES = ["minor", "moderate", "major"];
+
+const MAX_DEFECTS = 16;
+const MAX_NOTE_LEN = 120;
+const CORNER_ZONE = 0.12; // centre within this share of two sides -> a corner defect
+const EDGE_ZONE = 0.08;
+const MERGE_IOU = 0.2; // boxes from different passes that overlap this much are one defect
+const MERGE_DIST = 0.08; // ...or whose centres are this close
+
+const TYPE_ALIASES = [
+  ["print_line", /print.?line|roller|print defect/],
+  ["whitening", /whiten|edge wear|chip|silvering|wear/],
+  ["scratch", /scratch|scuff|abrasion/],
+  ["dent", /dent|ding|dimple|indent|impression/],
+  ["crease", /crease|bend|fold|wrinkle/],
+];
+
+const SEVERITY_ALIASES = [
+  ["minor", /minor|slight|light|low|small|faint/],
+  ["moderate", /moderate|medium|noticeable/],
+  ["major", /major|severe|heavy|high|large|strong/],
+];
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function num(v) {
+  const n = typeof v === "string" ? Number(v.trim()) : v;
+  return typeof n === "number" && isFinite(n) ? n : null;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function coerceType(v) {
+  const s = String(v || "").toLowerCase();
+  if (DEFECT_TYPES.includes(s)) return s;
+  return TYPE_ALIASES.find(([, re]) => re.test(s))?.[0] || null;
+}
+
+function coerceSeverity(v) {
+  const n = num(v);
+  if (n != null) return DEFECT_SEVERITIES[n < 1 / 3 ? 0 : n < 2 / 3 ? 1 : 2];
+  const s = String(v || "").toLowerCase();
+  if (DEFECT_SEVERITIES.includes(s)) return s;
+  return SEVERITY_ALIASES.find(([, re]) => re.test(s))?.[0] || null;
+}
+
+// [x, y, w, h] or {x, y, w|width, h|height}; percentages are scaled to 0..1.
+function readBox(v) {
+  let b = null;
+  if (Array.isArray(v) && v.length === 4) b = v.map(num);
+  else if (v && typeof v === "object") b = [v.x, v.y, v.w ?? v.width, v.h ?? v.height].map(num);
+  if (!b || b.some((x) => x == null || x < 0)) return null;
+  const percent = b.some((x) => x > 1) && b.every((x) => x <= 100);
+  if (percent) b = b.map((x) => x / 100);
+  if (b.some((x) => x > 1)) return null;
+  const [x, y] = b;
+  return { box: [x, y, Math.min(b[2], 1 - x), Math.min(b[3], 1 - y)], percent };
+}
+
+function readPoint(v) {
+  let p = null;
+  if (Array.isArray(v) && v.length === 2) p = v.map(num);
+  else if (v && typeof v === "object") p = [v.x, v.y].map(num);
+  if (!p || p.some((x) => x == null || x < 0)) return null;
+  const percent = p.some((x) => x > 1) && p.every((x) => x <= 100);
+  if (percent) p = p.map((x) => x / 100);
+  if (p.some((x) => x > 1)) return null;
+  return { point: p, percent };
+}
+
+export function defectCenter(d) {
+  if (d.box) return [d.box[0] + d.box[2] / 2, d.box[1] + d.box[3] / 2];
+  return d.point;
+}
+
+// Which subgrade a defect costs when the model didn't say: wear near two sides
+// is a corner, near one side an edge, anything else the surface.
+function inferSubgrade(type, center) {
+  const [x, y] = center;
+  const nearX = Math.min(x, 1 - x);
+  const nearY = Math.min(y, 1 - y);
+  const atCorner = nearX < CORNER_ZONE && nearY < CORNER_ZONE;
+  const atEdge = Math.min(nearX, nearY) < EDGE_ZONE;
+  if (type === "whitening") return atCorner ? "corners" : "edges";
+  if (type === "dent") return atCorner ? "corners" : atEdge ? "edges" : "surface";
+  return "surface";
+}
+
+/**
+ * Clean the model's `defects` list. Every kept defect is
+ * { type, side, box:[x,y,w,h]|null, point:[x,y]|null, severity, subgrade, note }
+ * with coordinates in 0..1 of the analysed image (origin top-left).
+ * `fix(field, reason)` records repairs, as in validateGradeReport().
+ */
+export function cleanDefects(raw, subgradeKeys, fix = () => {}) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) {
+    fix("defects", "not an array");
+    return [];
+  }
+
+  const out = [];
+  const dropped = { type: 0, side: 0, location: 0 };
+  let percent = 0;
+  let inferred = 0;
+  let defaulted = 0;
+
+  for (const row of raw) {
+    if (!row || typeof row !== "object") {
+      dropped.type++;
+      continue;
+    }
+    const type = coerceType(row.type);
+    if (!type) {
+      dropped.type++;
+      continue;
+    }
+    const side = String(row.side || "").toLowerCase().trim();
+    if (side !== "front" && side !== "back") {
+      dropped.side++;
+      continue;
+    }
+
+    // a zero-sized box is really a point
+    const b = readBox(row.box ?? row.bbox);
+    const hasArea = !!b && (b.box[2] > 0 || b.box[3] > 0);
+    const p = hasArea ? null : readPoint(row.point ?? b?.box.slice(0, 2));
+    if (!hasArea && !p) {
+      dropped.location++;
+      continue;
+    }
+    if (hasArea ? b.percent : p.percent) percent++;
+
+    const box = hasArea ? b.box.map(round3) : null;
+    const point = hasArea ? null : p.point.map(round3);
+
+    let severity = coerceSeverity(row.severity);
+    if (!severity) {
+      severity = "minor";
+      defaulted++;
+    }
+
+    const sg = String(row.subgrade || "").toLowerCase().trim();
+    let subgrade = subgradeKeys.includes(sg) ? sg : null;
+    if (!subgrade) {
+      subgrade = inferSubgrade(type, defectCenter({ box, point }));
+      inferred++;
+    }
+
+    const note = typeof row.note === "string" ? row.note.replace(/\s+/g, " ").trim().slice(0, MAX_NOTE_LEN) : "";
+    const d = { type, side, box, point, severity, subgrade, note };
+    // ensemble merges carry how many passes reported the defect
+    const support = num(row.support);
+    if (support != null && support > 0 && support <= 1) d.support = support;
+    out.push(d);
+  }
+
+  if (dropped.type) fix("defects", `dropped ${dropped.type} defect(s) of unknown type`);
+  if (dropped.side) fix("defects", `dropped ${dropped.side} defect(s) without front/back side`);
+  if (dropped.location) fix("defects", `dropped ${dropped.location} defect(s) without a valid box or point`);
+  if (percent) fix("defects", `converted ${percent} percentage location(s) to 0..1`);
+  if (inferred) fix("defects", `inferred subgrade for ${inferred} defect(s) from type and position`);
+  if (defaulted) fix("defects", `defaulted severity to minor for ${defaulted} defect(s)`);
+  if (out.length > MAX_DEFECTS) fix("defects", `kept the first ${MAX_DEFECTS} of ${out.length}`);
+  return out.slice(0, MAX_DEFECTS);
+}
+
+function iou(a, b) {
+  const x0 = Math.max(a[0], b[0]);
+  const y0 = Math.max(a[1], b[1]);
+  const x1 = Math.min(a[0] + a[2], b[0] + b[2]);
+  const y1 = Math.min(a[1] + a[3], b[1] + b[3]);
+  const inter = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+  const union = a[2] * a[3] + b[2] * b[3] - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+function sameDefect(a, b) {
+  if (a.side !== b.side || a.type !== b.type) return false;
+  if (a.box && b.box && iou(a.box, b.box) >= MERGE_IOU) return true;
+  const [ax, ay] = defectCenter(a);
+  const [bx, by] = defectCenter(b);
+  return Math.hypot(ax - bx, ay - by) <= MERGE_DIST;
+}
+
+function mode(xs) {
+  const counts = new Map();
+  for (const x of xs) counts.set(x, (counts.get(x) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Cluster defects reported by several passes. A defect's `support` is the
+ * share of passes that found it; boxes and points are averaged, severity and
+ * subgrade take the most common value. Sorted by support, then severity.
+ */
+export function mergeDefects(lists) {
+  const n = lists.length;
+  const clusters = [];
+  lists.forEach((list, pass) => {
+    for (const d of list || []) {
+      const c = clusters.find((c) => !c.passes.has(pass) && sameDefect(c.items[0], d));
+      if (c) {
+        c.items.push(d);
+        c.passes.add(pass);
+      } else {
+        clusters.push({ items: [d], passes: new Set([pass]) });
+      }
+    }
+  });
+
+  const avg = (arrs) => arrs[0].map((_, i) => round3(arrs.reduce((s, a) => s + a[i], 0) / arrs.length));
+  const rank = (s) => DEFECT_SEVERITIES.indexOf(s);
+
+  return clusters
+    .map(({ items, passes }) => {
+      const boxes = items.filter((d) => d.box).map((d) => d.box);
+      const box = boxes.length ? avg(boxes) : null;
+      return {
+        type: items[0].type,
+        side: items[0].side,
+        box,
+        point: box ? null : avg(items.map(defectCenter)),
+        severity: mode(items.map((d) => d.severity)),
+        subgrade: mode(items.map((d) => d.subgrade)),
+        note: items.find((d) => d.note)?.note || "",
+        support: Math.round((passes.size / n) * 100) / 100,
+      };
+    })
+    .sort((a, b) => b.support - a.support || rank(b.severity) - rank(a.severity))
+    .slice(0, MAX_DEFECTS);
+}
+
+/**
+ * Add `photo` coordinates (0..1 of the original photo) to each defect. Sides
+ * that were normalized are mapped through the card outline; otherwise the
+ * analysed image was the photo and the coordinates carry over unchanged.
+ */
+export function locateDefects(defects, normalized) {
+  return defects.map((d) => {
+    const side = normalized?.[d.side];
+    if (!side?.ok) return { ...d, photo: { box: d.box, point: d.point } };
+
+    const { width, height } = side.source;
+    const toPhoto = ([u, v]) => {
+      const p = cardPointToPhoto(side.corners, u, v);
+      return p ? [clamp(p.x / width, 0, 1), clamp(p.y / height, 0, 1)] : null;
+    };
+
+    if (d.point) {
+      const p = toPhoto(d.point);
+      return { ...d, photo: { box: null, point: p && p.map(round3) } };
+    }
+    // a box on the flat card is a quadrilateral in the photo; keep its bounds
+    const [x, y, w, h] = d.box;
+    const pts = [
+      [x, y],
+      [x + w, y],
+      [x + w, y + h],
+      [x, y + h],
+    ].map(toPhoto);
+    if (pts.some((p) => !p)) return { ...d, photo: { box: null, point: null } };
+    const xs = pts.map((p) => p[0]);
+    const ys = pts.map((p) => p[1]);
+    const x0 = Math.min(...xs);
+    const y0 = Math.min(...ys);
+    return { ...d, photo: { box: [x0, y0, Math.max(...xs) - x0, Math.max(...ys) - y0].map(round3), point: null } };
+  });
+}
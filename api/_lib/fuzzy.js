@@ -0,0 +1,129 @@
+// /api/_lib/fuzzy.js  (FUZZY NAME MATCHING)
+//
+// The vision model misreads names often enough ("Pikachv", "Charizard Vmax",
+// "Pokemon" for "Pokémon", one face of a split card) that exact catalog
+// queries come back empty and identify escalates to the slow fallback. These
+// helpers let resolvers relax a query step by step (exact, then without the
+// suffix, then by prefix) and rank whatever comes back by how close it is to
+// what was read:
+//   foldName       case, diacritics, punctuation and spacing folded away
+//   nameSimilarity 0..1 from edit distance on folded names
+//   splitSuffix    "Charizard VMAX" -> { base: "Charizard", suffix: "vmax" }
+//   cardFaces      "Fire // Ice" -> ["Fire", "Ice"]
+//   rankByName     items sorted by similarity, below-threshold ones dropped
+//   relaxedQueries shorter queries to retry with before giving up
+
+// Pokémon mechanic suffixes, longest first so "vmax" wins over "v"
+const SUFFIXES = [
+  "v-union",
+  "vstar",
+  "vmax",
+  "lv.x",
+  "break",
+  "prime",
+  "legend",
+  "star",
+  "gx",
+  "ex",
+  "v",
+];
+
+export function foldName(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // combining marks: é -> e
+    .toLowerCase()
+    .replace(/[\u2018\u2019`\u00b4]/g, "'")
+    .replace(/[\u2010-\u2014]/g, "-")
+    .replace(/[^a-z0-9'\-/\s.\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g, " ") // keep kana, CJK, hangul
+    .replace(/\s*\/+\s*/g, " // ") // "Fire/Ice" == "Fire // Ice"
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`.
+export function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Split a trailing mechanic suffix off a name, accepting "-EX" / " ex" /
+ * "EX" spellings alike. `suffix` is folded, or null.
+ */
+export function splitSuffix(name) {
+  const folded = foldName(name);
+  for (const s of SUFFIXES) {
+    for (const sep of [" ", "-"]) {
+      if (folded.endsWith(`${sep}${s}`)) {
+        return { base: folded.slice(0, -(s.length + 1)).trim(), suffix: s };
+      }
+    }
+  }
+  return { base: folded, suffix: null };
+}
+
+// Faces of a split / double-faced / adventure card name; a plain name is one face.
+export function cardFaces(name) {
+  return String(name || "")
+    .split(/\s*\/\/?\s*/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 0..1 similarity between a name as read and a catalog name. Suffixes must
+ * agree (a "Charizard V" is not a "Charizard VMAX"), and a read that matches
+ * any one face of a multi-face catalog name counts as that face.
+ */
+export function nameSimilarity(read, catalog) {
+  const a = splitSuffix(read);
+  let best = 0;
+  for (const face of [catalog, ...cardFaces(catalog)]) {
+    const b = splitSuffix(face);
+    const len = Math.max(a.base.length, b.base.length) || 1;
+    let sim = 1 - editDistance(a.base, b.base, len) / len;
+    if (a.suffix !== b.suffix) sim -= a.suffix && b.suffix ? 0.3 : 0.15;
+    best = Math.max(best, sim);
+  }
+  return Math.max(0, best);
+}
+
+/**
+ * Items whose name is at least `threshold` similar to `read`, best first,
+ * each as { item, similarity }.
+ */
+export function rankByName(read, items, getName, threshold = 0.75) {
+  return items
+    .map((item) => ({ item, similarity: nameSimilarity(read, getName(item)) }))
+    .filter((r) => r.similarity >= threshold)
+    .sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Shorter queries to try when the name as read finds nothing: the name
+ * without its suffix, then a prefix long enough to stay selective. Catalogs
+ * with substring search return a superset to rank with rankByName.
+ */
+export function relaxedQueries(name, minPrefix = 4) {
+  const { base } = splitSuffix(name);
+  const out = [];
+  if (base && base !== foldName(name)) out.push(base);
+  const first = base.split(" ")[0] || "";
+  const prefix = first.slice(0, Math.max(minPrefix, Math.ceil(first.length / 2)));
+  if (prefix.length >= minPrefix && prefix !== base) out.push(prefix);
+  return out;
+}
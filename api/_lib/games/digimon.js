@@ -0,0 +1,85 @@
+// /api/_lib/games/digimon.js  (DIGIMON CARD GAME)
+//
+// digimoncard.io public search (no key). Like One Piece, the printed card
+// number ("BT1-084") identifies the card exactly; the name narrows a search
+// when the number wasn't readable.
+
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, nowMs } from "../lookup.js";
+
+// "BT1-084", "EX2-039", starter decks with two digits ("ST1-01"), and promos without a set ("P-001")
+const CARD_NUMBER_RE = /\b(?:(BT|EX|ST|RB|LM)-?(\d{1,2})-(\d{2,3})|(P)-(\d{3}))\b/i;
+
+function parseCardNumber(...sources) {
+  for (const s of sources) {
+    const m = String(s || "").replace(/\s+/g, "-").match(CARD_NUMBER_RE);
+    if (m?.[4]) return `P-${m[5]}`;
+    if (m) return `${m[1].toUpperCase()}${Number(m[2])}-${m[3]}`;
+  }
+  return null;
+}
+
+async function resolveDigimon(extracted, debug) {
+  const name = catalogName(extracted);
+  const number = parseCardNumber(extracted?.collectorNumber, extracted?.setCode);
+  if (!name && !number) return [];
+
+  const params = { series: "Digimon Card Game" };
+  if (number) params.card = number;
+  else params.n = name;
+  const url = `https://digimoncard.io/api-public/search.php?${new URLSearchParams(params).toString()}`;
+
+  // card codes are shared across languages, so the printing is in the language read off the card
+  const lang = normalizeLanguage(extracted?.language) || "en";
+
+  debug.digimon = debug.digimon || {};
+  debug.digimon.query = number || name;
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("digimoncard", params, url, { timeoutMs: 6500, dbg: debug.digimon, empty: [] });
+    const j = r.body;
+    debug.digimon.http = r.status;
+    debug.digimon.ms = nowMs() - t0;
+    const list = Array.isArray(j) ? j : [];
+    debug.digimon.count = list.length;
+
+    if (!r.ok || !list.length) return [];
+
+    const nameLc = name.toLowerCase();
+    return list.slice(0, 8).map((c) => {
+      const sets = Array.isArray(c.set_name) ? c.set_name : c.set_name ? [c.set_name] : [];
+      const nameMatches = !nameLc || String(c.name || "").toLowerCase() === nameLc;
+      let conf = 0.62;
+      if (number && String(c.cardnumber || "").toUpperCase() === number) conf = nameMatches ? 0.86 : 0.6;
+      else if (nameMatches) conf = 0.66;
+      return {
+        game: "digimon",
+        name: c.name,
+        displayName: c.name,
+        set: sets[0] || null,
+        setCode: c.cardnumber ? String(c.cardnumber).split("-")[0] : null,
+        collectorNumber: String(c.cardnumber || ""),
+        variant: c.cardrarity || null,
+        language: lang,
+        canonical: { provider: "digimoncard.io", id: c.cardnumber || null, image: c.image_url || null },
+        confidence: conf,
+      };
+    });
+  } catch (e) {
+    debug.digimon.http = "FETCH_ERR";
+    debug.digimon.error = String(e?.message || e);
+    debug.digimon.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+export default {
+  id: "digimon",
+  label: "Digimon Card Game",
+  aliases: ["digimon card game", "dcg"],
+  justtcg: "digimon-card-game",
+  hints: [`collectorNumber is the card number at bottom right, like "BT1-084", "ST1-01" or "P-001"; setCode is its prefix ("BT1", "P")`],
+  newDebug: () => ({}),
+  resolve: resolveDigimon,
+};
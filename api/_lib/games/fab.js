@@ -0,0 +1,99 @@
+// /api/_lib/games/fab.js  (FLESH AND BLOOD)
+//
+// The official card database search (cards.fabtcg.com, no key). Many cards
+// exist in three pitch colours under one name, so the pitch (read into
+// `variant`) and the printed code ("WTR001") pick the right printing.
+
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, nowMs } from "../lookup.js";
+
+const PITCH = { red: 1, yellow: 2, blue: 3 };
+const CODE_RE = /\b([A-Z]{3})-?(\d{3})\b/i;
+
+const slug = (v) => String(v || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+function pitchOf(variant) {
+  const m = String(variant || "").toLowerCase().match(/\b(red|yellow|blue)\b/);
+  return m ? PITCH[m[1]] : null;
+}
+
+async function resolveFab(extracted, debug) {
+  const name = catalogName(extracted);
+  if (!name) return [];
+
+  const codeMatch = String(extracted?.collectorNumber || extracted?.setCode || "").match(CODE_RE);
+  const code = codeMatch ? `${codeMatch[1].toUpperCase()}${codeMatch[2]}` : null;
+  const pitch = pitchOf(extracted?.variant);
+
+  const url = `https://cards.fabtcg.com/api/search/v1/cards/?${new URLSearchParams({ name }).toString()}`;
+
+  // card codes are shared across languages, so the printing is in the language read off the card
+  const lang = normalizeLanguage(extracted?.language) || "en";
+
+  debug.fab = debug.fab || {};
+  debug.fab.query = name;
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("fabtcg", { name }, url, { timeoutMs: 6500, dbg: debug.fab });
+    const j = r.body;
+    debug.fab.http = r.status;
+    debug.fab.ms = nowMs() - t0;
+    let list = Array.isArray(j?.results) ? j.results : [];
+    debug.fab.count = list.length;
+
+    if (!r.ok || !list.length) return [];
+
+    if (pitch) {
+      const hits = list.filter((c) => Number(c.pitch) === pitch);
+      if (hits.length) list = hits;
+    }
+
+    // one candidate per printing, the printed code's first
+    const candidates = [];
+    for (const c of list.slice(0, 4)) {
+      const printings = Array.isArray(c.printings) && c.printings.length ? c.printings : [{}];
+      for (const p of printings) {
+        const pCode = String(p.print_id || p.id || "").toUpperCase();
+        const colour = Object.keys(PITCH).find((k) => PITCH[k] === Number(c.pitch));
+        candidates.push({
+          game: "fab",
+          name: c.name,
+          displayName: colour ? `${c.name} (${colour})` : c.name,
+          set: p.set_name || null,
+          setCode: p.set_code || (pCode ? pCode.slice(0, 3) : null),
+          collectorNumber: pCode,
+          variant: [colour, p.rarity, p.foiling].filter(Boolean).join(" ") || null,
+          language: lang,
+          canonical: {
+            provider: "fabtcg",
+            id: c.card_id || pCode || null,
+            // printings share the card's ID; the code (and foiling) tells them apart for /api/confirm
+            ...(pCode ? { print: [pCode, slug(p.foiling)].filter(Boolean).join("/") } : {}),
+            image: p.image_url || c.image_url || null,
+          },
+          confidence: code && pCode === code ? 0.86 : pitch && Number(c.pitch) === pitch ? 0.7 : 0.62,
+        });
+      }
+    }
+    return candidates.sort((a, b) => b.confidence - a.confidence).slice(0, 8);
+  } catch (e) {
+    debug.fab.http = "FETCH_ERR";
+    debug.fab.error = String(e?.message || e);
+    debug.fab.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+export default {
+  id: "fab",
+  label: "Flesh and Blood",
+  aliases: ["flesh and blood", "fab tcg"],
+  justtcg: "flesh-and-blood-tcg",
+  hints: [
+    `collectorNumber is the code at the bottom, like "WTR001" or "MON123"; setCode is its three letters`,
+    "variant: the pitch colour (red, yellow or blue) from the strip at the top of the card",
+  ],
+  newDebug: () => ({}),
+  resolve: resolveFab,
+};
@@ -0,0 +1,67 @@
+// /api/_lib/games/index.js  (GAME REGISTRY)
+//
+// Everything game-specific about identifying and pricing a card lives in one
+// definition per game. Each module's default export exposes:
+//   id          value of `game` in extractions, candidates and price requests
+//   label       display name
+//   aliases     other spellings accepted for `game` (compared ignoring case,
+//               spaces and punctuation)
+//   justtcg     JustTCG game id used for pricing, or null
+//   justtcgRegional  optional { language: JustTCG game id } for printings sold
+//               as a separate product (e.g. Japanese Pokémon)
+//   hints       extraction rules added to the vision prompt: where this game
+//               prints its name, set and number
+//   newDebug()  initial entry in identify's debug payload
+//   resolve(extracted, debug) -> candidates[]   catalog lookup; never throws
+// Adding a game: write its module and list it in GAMES.
+
+import digimon from "./digimon.js";
+import fab from "./fab.js";
+import lorcana from "./lorcana.js";
+import mtg from "./mtg.js";
+import onepiece from "./onepiece.js";
+import pokemon from "./pokemon.js";
+import yugioh from "./yugioh.js";
+
+export const GAMES = {
+  pokemon,
+  mtg,
+  yugioh,
+  lorcana,
+  onepiece,
+  digimon,
+  fab,
+};
+
+export const GAME_IDS = Object.keys(GAMES);
+
+const squash = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const BY_ALIAS = new Map();
+for (const g of Object.values(GAMES)) {
+  for (const a of [g.id, g.label, ...(g.aliases || [])]) BY_ALIAS.set(squash(a), g.id);
+}
+
+export function getGame(id) {
+  return GAMES[id] || null;
+}
+
+/**
+ * Registry id for a free-form game name ("Yu-Gi-Oh!", "Disney Lorcana"),
+ * or "unknown".
+ */
+export function resolveGameId(raw) {
+  return BY_ALIAS.get(squash(raw)) || "unknown";
+}
+
+// `"pokemon"|"mtg"|...|"unknown"` for the prompt's JSON shape
+export function gameEnumText() {
+  return [...GAME_IDS, "unknown"].map((id) => `"${id}"`).join("|");
+}
+
+// Per-game rules for the extraction prompt, one line per game.
+export function gameExtractionHints() {
+  return Object.values(GAMES)
+    .map((g) => `- ${g.label} (${g.id}): ${g.hints.join("; ")}.`)
+    .join("\n");
+}
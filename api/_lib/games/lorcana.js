@@ -0,0 +1,94 @@
+// /api/_lib/games/lorcana.js  (DISNEY LORCANA)
+//
+// Lorcast (no key). Lorcana names are a character plus a version subtitle
+// ("Elsa - Spirit of Winter"); the same character has many versions, so the
+// subtitle and the printed number do most of the narrowing.
+
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, normalizeCollectorNumber, nowMs } from "../lookup.js";
+
+function splitName(full) {
+  const [name, ...rest] = String(full).split(/\s+[-–—]\s+/);
+  return { name: name.trim(), version: rest.join(" - ").trim() || null };
+}
+
+async function resolveLorcana(extracted, debug) {
+  const full = catalogName(extracted);
+  if (!full) return [];
+
+  const { name, version } = splitName(full);
+  const num = normalizeCollectorNumber(extracted?.collectorNumber);
+  const setCode = extracted?.setCode ? String(extracted.setCode).trim() : null;
+
+  const q = [`name:"${name.replace(/"/g, "")}"`, /^\d+$/.test(setCode || "") ? `set:${setCode}` : null]
+    .filter(Boolean)
+    .join(" ");
+  const url = `https://api.lorcast.com/v0/cards/search?q=${encodeURIComponent(q)}`;
+
+  debug.lorcana = debug.lorcana || {};
+  debug.lorcana.query = q;
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("lorcast", { q }, url, { timeoutMs: 6500, dbg: debug.lorcana });
+    const j = r.body;
+    debug.lorcana.http = r.status;
+    debug.lorcana.ms = nowMs() - t0;
+    let list = Array.isArray(j?.results) ? j.results : [];
+    debug.lorcana.count = list.length;
+
+    if (!r.ok || !list.length) return [];
+
+    // narrow by subtitle, then by number, keeping the wider list if nothing matches
+    if (version) {
+      const v = version.toLowerCase();
+      const hits = list.filter((c) => String(c.version || "").toLowerCase() === v);
+      if (hits.length) list = hits;
+    }
+    if (num) {
+      const hits = list.filter((c) => String(c.collector_number || "").trim() === String(num));
+      if (hits.length) list = hits;
+    }
+
+    return list.slice(0, 8).map((c) => {
+      const display = c.version ? `${c.name} - ${c.version}` : c.name;
+      let conf = 0.62;
+      if (num && String(c.collector_number || "").trim() === String(num)) conf = 0.8;
+      else if (version && String(c.version || "").toLowerCase() === version.toLowerCase()) conf = 0.72;
+      return {
+        game: "lorcana",
+        name: display,
+        displayName: display,
+        set: c.set?.name || null,
+        setCode: c.set?.code ? String(c.set.code) : null,
+        collectorNumber: String(c.collector_number || ""),
+        variant: c.rarity || null,
+        language: normalizeLanguage(c.lang) || "en",
+        canonical: {
+          provider: "lorcast",
+          id: c.id,
+          image: c.image_uris?.digital?.large || c.image_uris?.digital?.normal || null,
+        },
+        confidence: conf,
+      };
+    });
+  } catch (e) {
+    debug.lorcana.http = "FETCH_ERR";
+    debug.lorcana.error = String(e?.message || e);
+    debug.lorcana.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+export default {
+  id: "lorcana",
+  label: "Disney Lorcana",
+  aliases: ["disney lorcana"],
+  justtcg: "disney-lorcana",
+  hints: [
+    `name is the character plus the subtitle under it, joined as "Elsa - Spirit of Winter"`,
+    `collectorNumber is the "42/204" at bottom left; setCode is the set number printed after the language code (e.g. "EN • 1" -> "1")`,
+  ],
+  newDebug: () => ({}),
+  resolve: resolveLorcana,
+};
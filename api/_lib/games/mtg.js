@@ -0,0 +1,257 @@
+// /api/_lib/games/mtg.js  (MAGIC: THE GATHERING)
+//
+// The local catalog (catalog.js, imported from Scryfall bulk data) first, then
+// Scryfall exact-name search over every printing, narrowed by set and number
+// and, for non-English cards, by the printing's language (`lang:`). Each miss
+// relaxes the query one step: drop the set and number (often the misread
+// part), then let Scryfall's fuzzy `/cards/named` correct the name (it knows
+// split and double-faced cards by either face) and search that name's prints.
+// Prints are then ordered by how well their finish and treatment (showcase,
+// borderless, extended art, retro frame, prerelease / planeswalker stamp,
+// serialized) agree with the cues read into `variant`, and each candidate
+// names one finish so pricing asks for that exact printing.
+
+import { searchCatalog } from "../catalog.js";
+import { cardFaces, nameSimilarity } from "../fuzzy.js";
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, nowMs } from "../lookup.js";
+
+// Scryfall's language codes where they differ from ours
+const SCRYFALL_LANG = { "zh-cn": "zhs", "zh-tw": "zht" };
+
+const has = (list, v) => Array.isArray(list) && list.includes(v);
+
+// Treatments a reader can see, how they are read, and how Scryfall marks them on a print
+const TREATMENTS = [
+  { key: "showcase", label: "showcase", cue: /showcase/i, on: (c) => has(c.frame_effects, "showcase") },
+  { key: "borderless", label: "borderless", cue: /borderless/i, on: (c) => c.border_color === "borderless" },
+  { key: "extendedart", label: "extended art", cue: /extended/i, on: (c) => has(c.frame_effects, "extendedart") },
+  { key: "retro", label: "retro frame", cue: /retro|old[- ]?(style )?frame/i, on: (c) => c.frame === "1993" || c.frame === "1997" },
+  {
+    key: "prerelease",
+    label: "prerelease stamp",
+    cue: /pre-?release|date[- ]?stamp/i,
+    on: (c) => has(c.promo_types, "prerelease") || has(c.promo_types, "datestamped"),
+  },
+  {
+    key: "planeswalker",
+    label: "planeswalker stamp",
+    cue: /planeswalker\s*(symbol|stamp)|pw[- ]?stamp/i,
+    on: (c) => has(c.promo_types, "planeswalkerstamped"),
+  },
+  // a bare "123/280" is as likely the collector number; only "#045/500" reads as a serial
+  { key: "serialized", label: "serialized", cue: /serial|numbered|#\s*\d{1,4}\s*\/\s*\d{2,4}\b/i, on: (c) => has(c.promo_types, "serialized") },
+];
+
+// The finish and treatments read into `variant` ("foil showcase", "etched", "borderless #045/500")
+function readTreatments(variant) {
+  const v = String(variant || "");
+  let finish = null;
+  if (/etched/i.test(v)) finish = "etched";
+  else if (/non-?foil/i.test(v)) finish = "nonfoil";
+  else if (/foil|holo/i.test(v)) finish = "foil";
+  return { finish, treatments: TREATMENTS.filter((t) => t.cue.test(v)).map((t) => t.key) };
+}
+
+function printFinishes(card) {
+  if (Array.isArray(card.finishes) && card.finishes.length) return card.finishes;
+  return card.foil ? ["nonfoil", "foil"] : ["nonfoil"];
+}
+
+// How far a print's finish and treatments agree with what was read; a treatment
+// nobody noticed costs a little, one that was read and is missing costs more
+function treatmentScore(card, read) {
+  let score = 0;
+  for (const t of TREATMENTS) {
+    const seen = read.treatments.includes(t.key);
+    const on = t.on(card);
+    if (seen && on) score += 0.05;
+    else if (seen) score -= 0.12;
+    else if (on) score -= 0.04;
+  }
+  if (read.finish && !printFinishes(card).includes(read.finish)) score -= 0.12;
+  return score;
+}
+
+// The finish a candidate stands for: the one read if this print comes in it, else nonfoil
+// if it does, else the first finish it lists (a foil-only or etched-only print)
+function pickFinish(card, read) {
+  const finishes = printFinishes(card);
+  if (read.finish && finishes.includes(read.finish)) return read.finish;
+  return finishes.includes("nonfoil") ? "nonfoil" : finishes[0];
+}
+
+async function scryfallSearch(q, debug) {
+  const url =
+    `https://api.scryfall.com/cards/search?q=${encodeURIComponent(q)}` +
+    `&unique=prints&order=released&include_multilingual=true`;
+
+  debug.mtg.query = q;
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("scryfall", { q }, url, { timeoutMs: 6500, dbg: debug.mtg });
+    const j = r.body;
+    debug.mtg.http = r.status;
+    debug.mtg.ms = nowMs() - t0;
+    debug.mtg.count = Array.isArray(j?.data) ? j.data.length : 0;
+    return r.ok && Array.isArray(j?.data) ? j.data : [];
+  } catch (e) {
+    debug.mtg.http = "FETCH_ERR";
+    debug.mtg.error = String(e?.message || e);
+    debug.mtg.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+// Scryfall's own spelling of a misread name, trying the full name then each face; null if none
+async function scryfallFuzzyName(name, debug) {
+  for (const q of [...new Set([name, ...cardFaces(name)])]) {
+    const url = `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(q)}`;
+    const fDbg = { fuzzy: q, http: null, ms: null, error: null };
+    debug.mtg.fuzzy = fDbg;
+    const t0 = nowMs();
+    try {
+      const r = await cachedJson("scryfall", { fuzzy: q }, url, { timeoutMs: 6500, dbg: fDbg });
+      fDbg.http = r.status;
+      fDbg.ms = nowMs() - t0;
+      if (r.ok && r.body?.name) return String(r.body.name);
+    } catch (e) {
+      fDbg.http = "FETCH_ERR";
+      fDbg.error = String(e?.message || e);
+      fDbg.ms = nowMs() - t0;
+    }
+  }
+  return null;
+}
+
+// Scryfall-shaped printings from the local catalog: the printing's language, then English;
+// the read set and number narrow the hits when any of them match both
+async function scryfallFromCatalog(name, lang, setCode, collectorNumber) {
+  const asCard = ({ card }) => ({
+    id: card.id,
+    name: card.name,
+    printed_name: card.printedName,
+    set_name: card.set,
+    set: card.setCode,
+    collector_number: card.number,
+    lang: card.language,
+    foil: !!card.extra?.foil,
+    finishes: card.extra?.finishes,
+    frame: card.extra?.frame,
+    frame_effects: card.extra?.frameEffects,
+    border_color: card.extra?.borderColor,
+    promo_types: card.extra?.promoTypes,
+    scryfall_uri: card.url,
+    image_uris: { normal: card.image },
+  });
+  for (const language of [...new Set([lang, "en"])]) {
+    const hits = await searchCatalog("mtg", { name, number: collectorNumber, setCode, language });
+    if (!hits.length) continue;
+    const pinned = hits.filter((h) => (!setCode || h.setCodeMatch) && (!collectorNumber || h.numberMatch));
+    if (pinned.length) return { data: pinned.map(asCard), filtersDropped: false };
+    return { data: hits.map(asCard), filtersDropped: !!(setCode || collectorNumber) };
+  }
+  return { data: [], filtersDropped: false };
+}
+
+async function resolveMTG(extracted, debug) {
+  // Scryfall matches English names and returns the printing in `lang`
+  const name = catalogName(extracted);
+  if (!name) return [];
+
+  const setCode = extracted?.setCode ? String(extracted.setCode).trim() : null;
+  const collectorNumber = extracted?.collectorNumber ? String(extracted.collectorNumber).trim() : null;
+  const lang = normalizeLanguage(extracted?.language) || "en";
+
+  const filters = [];
+  if (setCode) filters.push(`set:${setCode}`);
+  if (collectorNumber) filters.push(`number:${collectorNumber}`);
+
+  debug.mtg = debug.mtg || {};
+  debug.mtg.lang = lang;
+
+  // the printing's language first; a name that only matches English printings falls back to those
+  const searchPrints = async (exactName, withFilters) => {
+    const base = [`!"${exactName.replace(/"/g, "")}"`, ...(withFilters ? filters : [])].join(" ");
+    let found = [];
+    if (lang !== "en") found = await scryfallSearch(`${base} lang:${SCRYFALL_LANG[lang] || lang}`, debug);
+    if (!found.length) found = await scryfallSearch(base, debug);
+    return found;
+  };
+
+  const t0 = nowMs();
+  let { data, filtersDropped } = await scryfallFromCatalog(name, lang, setCode, collectorNumber);
+  debug.mtg.catalog = { hits: data.length, ms: nowMs() - t0 };
+
+  if (!data.length) {
+    data = await searchPrints(name, true);
+    if (!data.length && filters.length) {
+      data = await searchPrints(name, false);
+      filtersDropped = data.length > 0;
+    }
+    if (!data.length) {
+      const corrected = await scryfallFuzzyName(name, debug);
+      if (corrected) {
+        debug.mtg.relaxed = corrected;
+        data = await searchPrints(corrected, true);
+        if (!data.length && filters.length) {
+          data = await searchPrints(corrected, false);
+          filtersDropped = data.length > 0;
+        }
+      }
+    }
+  }
+  if (filtersDropped) debug.mtg.relaxed = debug.mtg.relaxed || "no set/number";
+
+  // the print whose finish and treatments fit best first; release order breaks ties
+  const read = readTreatments(extracted?.variant);
+  debug.mtg.treatments = read;
+  const scored = data
+    .map((card, i) => ({ card, i, fit: treatmentScore(card, read) }))
+    .sort((a, b) => b.fit - a.fit || a.i - b.i);
+
+  return scored.slice(0, 8).map(({ card, fit }) => {
+    const cardLang = normalizeLanguage(card.lang) || "en";
+    let conf = cardLang === lang ? 0.70 : 0.55;
+    if (filtersDropped) conf -= 0.08;
+    const similarity = Math.max(nameSimilarity(name, card.name), nameSimilarity(name, card.printed_name || ""));
+    conf -= (1 - similarity) * 0.5;
+    conf += fit;
+    const finish = pickFinish(card, read);
+    const treatments = TREATMENTS.filter((t) => t.on(card));
+    return {
+      game: "mtg",
+      name: card.name,
+      displayName: card.printed_name || card.name,
+      set: card.set_name,
+      setCode: card.set,
+      collectorNumber: String(card.collector_number || ""),
+      variant: [...treatments.map((t) => t.label), finish].join(" "),
+      finish,
+      treatments: treatments.map((t) => t.key),
+      language: cardLang,
+      canonical: {
+        provider: "scryfall",
+        id: card.id,
+        print: finish,
+        scryfall_uri: card.scryfall_uri,
+        image: card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal || null,
+      },
+      confidence: conf,
+    };
+  });
+}
+
+export default {
+  id: "mtg",
+  label: "Magic: The Gathering",
+  aliases: ["magic", "magic the gathering"],
+  justtcg: "magic-the-gathering",
+  hints: [
+    `setCode is the three-to-five letter code at bottom left (e.g. "DMU"); collectorNumber the number next to it`,
+    `variant: the finish ("foil", "etched" or "nonfoil") and any of "showcase", "borderless", "extended art", "retro frame", "prerelease stamp", "planeswalker stamp", "serialized" (a printed "045/500") you can see`,
+  ],
+  newDebug: () => ({}),
+  resolve: resolveMTG,
+};
@@ -0,0 +1,96 @@
+// /api/_lib/games/onepiece.js  (ONE PIECE CARD GAME)
+//
+// OPTCG API (no key). Every card prints its ID ("OP01-016") bottom right,
+// which is exact, so the ID is looked up first and the name only as a
+// fallback. Alternate arts share the ID and differ by image ID ("_p1").
+
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, nowMs } from "../lookup.js";
+
+const CARD_ID_RE = /\b(OP|ST|EB|PRB|P)-?(\d{2})-(\d{3})\b/i;
+
+// "op01 016", "OP-01-016" -> "OP01-016"; starter decks live under /decks, promos under /promos
+function parseCardId(...sources) {
+  for (const s of sources) {
+    const m = String(s || "").replace(/\s+/g, "-").match(CARD_ID_RE);
+    if (m) return { id: `${m[1].toUpperCase()}${m[2]}-${m[3]}`, prefix: m[1].toUpperCase() };
+  }
+  return null;
+}
+
+function endpointFor(prefix) {
+  if (prefix === "ST") return "decks";
+  if (prefix === "P") return "promos";
+  return "sets";
+}
+
+async function resolveOnePiece(extracted, debug) {
+  const name = catalogName(extracted);
+  const cardId = parseCardId(extracted?.collectorNumber, extracted?.setCode);
+  if (!name && !cardId) return [];
+
+  const url = cardId
+    ? `https://optcgapi.com/api/${endpointFor(cardId.prefix)}/card/${encodeURIComponent(cardId.id)}/`
+    : `https://optcgapi.com/api/sets/filtered/?card_name=${encodeURIComponent(name)}`;
+  const query = cardId ? { id: cardId.id } : { name };
+
+  // card codes are shared across languages, so the printing is in the language read off the card
+  const lang = normalizeLanguage(extracted?.language) || "en";
+
+  debug.onepiece = debug.onepiece || {};
+  debug.onepiece.query = cardId ? cardId.id : name;
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("optcg", query, url, { timeoutMs: 6500, dbg: debug.onepiece, empty: [] });
+    const j = r.body;
+    debug.onepiece.http = r.status;
+    debug.onepiece.ms = nowMs() - t0;
+    let list = Array.isArray(j) ? j : [];
+    debug.onepiece.count = list.length;
+
+    if (!r.ok || !list.length) return [];
+
+    // an ID hit with the wrong name means a misread ID; keep it, but lower
+    const nameLc = name.toLowerCase();
+    if (cardId && nameLc) {
+      const same = list.filter((c) => String(c.card_name || "").toLowerCase().includes(nameLc));
+      if (same.length) list = same;
+    }
+
+    return list.slice(0, 8).map((c) => {
+      const nameMatches = !nameLc || String(c.card_name || "").toLowerCase().includes(nameLc);
+      const alt = /_p\d+$/i.test(String(c.card_image_id || ""));
+      return {
+        game: "onepiece",
+        name: c.card_name,
+        displayName: c.card_name,
+        set: c.set_name || null,
+        setCode: c.set_id || null,
+        collectorNumber: String(c.card_set_id || ""),
+        variant: [c.rarity, alt ? "alternate art" : null].filter(Boolean).join(" ") || null,
+        language: lang,
+        canonical: { provider: "optcgapi", id: c.card_image_id || c.card_set_id, image: c.card_image || null },
+        confidence: cardId ? (nameMatches ? 0.86 : 0.6) : 0.64,
+      };
+    });
+  } catch (e) {
+    debug.onepiece.http = "FETCH_ERR";
+    debug.onepiece.error = String(e?.message || e);
+    debug.onepiece.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+export default {
+  id: "onepiece",
+  label: "One Piece Card Game",
+  aliases: ["one piece", "one piece card game", "optcg"],
+  justtcg: "one-piece-card-game",
+  hints: [
+    `collectorNumber is the full card ID at bottom right, like "OP01-016" or "ST10-004"; setCode is its prefix ("OP01")`,
+    `variant: the rarity printed next to the ID (C, UC, R, SR, SEC, L), plus "alternate art" when the art differs from the standard print`,
+  ],
+  newDebug: () => ({}),
+  resolve: resolveOnePiece,
+};
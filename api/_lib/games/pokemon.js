@@ -0,0 +1,383 @@
+// /api/_lib/games/pokemon.js  (POKÉMON)
+//
+// The local catalog first (catalog.js, imported from TCGdex); on a miss TCGdex
+// (no key, quick) and PokémonTCG.io (optional POKETCG_API_KEY) race, and the
+// first to return the read number ends the race. Otherwise TCGdex's answer
+// is preferred. Every request of one resolve shares RESOLVER_BUDGET_MS.
+// TCGdex is queried in the locale of the printing (the extracted `language`),
+// and candidates carry the language of the printing they describe. When the
+// exact name finds nothing, both catalogs are retried with relaxed queries
+// and the results ranked by name similarity (see fuzzy.js).
+
+import { cached } from "../cache.js";
+import { getCatalogCard, searchCatalog } from "../catalog.js";
+import { rankByName, relaxedQueries } from "../fuzzy.js";
+import { catalogName, isAsianLanguage, normalizeLanguage } from "../language.js";
+import {
+  cachedJson,
+  createDeadline,
+  fetchJsonWithRetries,
+  mapWithConcurrency,
+  normalizeCollectorNumber,
+  nowMs,
+} from "../lookup.js";
+
+// TCGdex locales; Asian printings have their own sets, European ones share the English card ids
+const TCGDEX_LOCALES = ["en", "fr", "es", "it", "pt", "de", "ja", "ko", "zh-tw", "zh-cn"];
+
+const RESOLVER_BUDGET_MS = 8000;
+const DETAIL_LIMIT = 5; // TCGdex search hits to fetch details for
+const DETAIL_CONCURRENCY = 3;
+
+// `filter` is a TCGdex name filter: "eq:Pikachu" for an exact name, a bare value for a substring
+async function tcgdexSearch(locale, filter, debug, deadline) {
+  // API is fast + no key. Returns array.
+  // We avoid huge pages and keep it tight.
+  const url =
+    `https://api.tcgdex.net/v2/${locale}/cards?` +
+    new URLSearchParams({
+      name: filter,
+      "pagination:page": "1",
+      "pagination:itemsPerPage": "60",
+    }).toString();
+
+  const tcgDbg = { url, locale, http: null, count: 0, ms: null, error: null };
+  debug.pokemon.tcgdex.push(tcgDbg);
+  if (deadline.expired()) {
+    tcgDbg.error = "deadline";
+    return [];
+  }
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("tcgdex", { locale, name: filter, page: 1, perPage: 60 }, url, {
+      timeoutMs: deadline.timeout(6500),
+      signal: deadline.signal,
+      dbg: tcgDbg,
+      empty: [],
+    });
+    const j = r.body;
+    tcgDbg.http = r.status;
+    tcgDbg.ms = nowMs() - t0;
+    tcgDbg.count = Array.isArray(j) ? j.length : 0;
+    return r.ok && Array.isArray(j) ? j : [];
+  } catch (e) {
+    tcgDbg.http = "FETCH_ERR";
+    tcgDbg.error = String(e?.message || e);
+    tcgDbg.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+async function tcgdexCard(locale, id, debug, deadline) {
+  const url = `https://api.tcgdex.net/v2/${locale}/cards/${encodeURIComponent(id)}`;
+  const dDbg = { id, locale, http: null, ms: null, error: null };
+  debug.pokemon.tcgdex.push(dDbg);
+  if (deadline.expired()) {
+    dDbg.error = "deadline";
+    return null;
+  }
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("tcgdex", { locale, card: id }, url, {
+      timeoutMs: deadline.timeout(6500),
+      signal: deadline.signal,
+      dbg: dDbg,
+    });
+    const j = r.body;
+    dDbg.http = r.status;
+    dDbg.ms = nowMs() - t0;
+    return r.ok && j?.id ? j : null;
+  } catch (e) {
+    dDbg.http = "FETCH_ERR";
+    dDbg.ms = nowMs() - t0;
+    dDbg.error = String(e?.message || e);
+    return null;
+  }
+}
+
+// Narrow by number, then by set code (TCGdex ids are "<set>-<number>", e.g. "swsh3-136", "SV4a-012")
+function narrowTcgdex(list, num, setCode) {
+  let out = list;
+  if (out.length && num) {
+    const exact = out.filter((c) => String(c.localId || "").trim() === String(num));
+    if (exact.length) out = exact;
+  }
+  if (out.length && setCode) {
+    const prefix = `${setCode.toLowerCase()}-`;
+    const inSet = out.filter((c) => String(c.id || "").toLowerCase().startsWith(prefix));
+    if (inSet.length) out = inSet;
+  }
+  return out;
+}
+
+// Exact name, then relaxed substring queries ranked against the name as read.
+// Items from a relaxed query carry their `similarity`.
+async function tcgdexFind(locale, name, debug, deadline) {
+  const exact = await tcgdexSearch(locale, `eq:${name}`, debug, deadline);
+  if (exact.length) return exact;
+  for (const q of [name, ...relaxedQueries(name)]) {
+    if (deadline.expired()) break;
+    const ranked = rankByName(name, await tcgdexSearch(locale, q, debug, deadline), (c) => c.name);
+    if (ranked.length) {
+      debug.pokemon.relaxed = q;
+      return ranked.map((r) => ({ ...r.item, similarity: r.similarity }));
+    }
+  }
+  return [];
+}
+
+// TCGdex-shaped card details from the local catalog, following the same locale rules as the API path
+async function tcgdexFromCatalog(locale, extracted, num, setCode) {
+  const asDetail = (card, similarity) => ({
+    id: card.id,
+    localId: card.number,
+    name: card.name,
+    rarity: card.rarity,
+    image: card.image,
+    set: { id: card.setCode, name: card.set },
+    similarity,
+  });
+  const search = async (loc, name) => {
+    const hits = await searchCatalog("pokemon", { name, number: num, setCode, language: loc });
+    return narrowTcgdex(hits.map((h) => asDetail(h.card, h.similarity)), num, setCode);
+  };
+
+  const list = await search(locale, extracted.name);
+  if (list.length || locale === "en") return { details: list.slice(0, 5), detailLocale: locale };
+
+  const en = (await search("en", catalogName(extracted))).slice(0, 5);
+  if (isAsianLanguage(locale)) return { details: en, detailLocale: "en" };
+  // a European printing shares the English id; without its record the network path decides
+  const local = [];
+  for (const c of en) {
+    const card = await getCatalogCard("pokemon", c.id, locale);
+    if (card) local.push(asDetail(card, c.similarity));
+  }
+  return { details: local, detailLocale: locale };
+}
+
+// Score + map TCGdex card details into candidates; a printing in another language than
+// the one read off the card is a weaker match
+function tcgdexToCandidates(details, detailLocale, { name, num, setName, lang }) {
+  return details.map((c) => {
+    const cNum = c.localId ? String(c.localId).trim() : "";
+    const cSet = c.set?.name ? String(c.set.name) : "";
+    let conf = 0.62;
+    if (num && cNum === String(num)) conf = 0.86;
+    else if (setName && cSet.toLowerCase().includes(setName.toLowerCase())) conf = 0.72;
+    if (detailLocale !== lang) conf -= 0.15;
+    conf -= (1 - c.similarity) * 0.5;
+
+    return {
+      game: "pokemon",
+      name: c.name || name,
+      displayName: c.name || name,
+      set: c.set?.name || null,
+      setCode: c.set?.id || null,
+      collectorNumber: c.localId ? String(c.localId) : (num ? String(num) : ""),
+      variant: c.rarity || null,
+      language: detailLocale,
+      canonical: {
+        provider: "tcgdex",
+        id: c.id,
+        image: c.image ? `${c.image}/high` : null,
+      },
+      confidence: conf,
+    };
+  });
+}
+
+// ---- TCGdex: name search in the printing's locale, then details for the top hits ----
+async function fromTcgdex(ctx, debug, deadline) {
+  const { name, extracted, num, setCode, lang, locale } = ctx;
+  let tcgList = narrowTcgdex(await tcgdexFind(locale, name, debug, deadline), num, setCode);
+  let detailLocale = locale;
+  if (!tcgList.length && locale !== "en") {
+    // the name may have been read in English: find the card there, then re-read it in
+    // the printing's locale. Asian sets don't share ids, so those stay English printings.
+    tcgList = narrowTcgdex(await tcgdexFind("en", catalogName(extracted), debug, deadline), num, setCode);
+    if (isAsianLanguage(locale)) detailLocale = "en";
+  }
+
+  // Details for set info + image (a European locale 404s for cards never printed in it)
+  const details = (
+    await mapWithConcurrency(tcgList.slice(0, DETAIL_LIMIT), DETAIL_CONCURRENCY, async (c) => {
+      const d = await tcgdexCard(detailLocale, c.id, debug, deadline);
+      return d ? { ...d, similarity: c.similarity ?? 1 } : null;
+    })
+  ).filter(Boolean);
+
+  const sure = details.some(
+    (d) => num && String(d.localId || "").trim() === String(num) && d.similarity === 1 && detailLocale === lang
+  );
+  return { candidates: tcgdexToCandidates(details, detailLocale, ctx), sure };
+}
+
+// ---- PokémonTCG.io (English printings only): one tight query, then one wildcard query per relaxed name ----
+async function fromPokemontcg({ extracted, num, setName, lang }, debug, deadline) {
+  const readName = catalogName(extracted);
+  const filters = [];
+  if (num) filters.push(`number:"${String(num).replace(/"/g, "")}"`);
+  if (setName) filters.push(`set.name:"${setName.replace(/"/g, "")}"`);
+
+  let data = await pokemontcgSearch([`name:"${readName.replace(/"/g, "")}"`, ...filters].join(" "), debug, deadline);
+  let ranked = data.map((c) => ({ item: c, similarity: 1 }));
+  if (!ranked.length) {
+    // wildcards don't combine with quoted phrases, so only single-word relaxations apply
+    for (const rq of relaxedQueries(readName).filter((x) => /^[a-z0-9'.-]+$/.test(x))) {
+      if (deadline.expired()) break;
+      data = await pokemontcgSearch([`name:${rq}*`, ...filters].join(" "), debug, deadline);
+      ranked = rankByName(readName, data, (c) => c.name);
+      if (ranked.length) {
+        debug.pokemon.relaxed = rq;
+        break;
+      }
+    }
+  }
+
+  const candidates = ranked.slice(0, 8).map(({ item: c, similarity }) => ({
+    game: "pokemon",
+    name: c.name,
+    displayName: c.name,
+    set: c.set?.name || null,
+    setCode: c.set?.ptcgoCode || c.set?.id || null,
+    collectorNumber: String(c.number || ""),
+    variant: c.rarity || null,
+    language: "en",
+    canonical: { provider: "pokemontcg.io", id: c.id, image: c.images?.large || c.images?.small || null },
+    confidence: (lang === "en" ? 0.68 : 0.53) - (1 - similarity) * 0.5,
+  }));
+  const sure = lang === "en" && ranked.some((r) => num && String(r.item.number) === String(num) && r.similarity === 1);
+  return { candidates, sure };
+}
+
+/**
+ * Run the branches concurrently. Resolves as soon as one reports a sure match,
+ * else once all have settled or the deadline passes: { winner, results }, with
+ * `winner` the index of the branch that ended the race (or null) and `results`
+ * each branch's candidates ([] for one still running or failed). Ending the
+ * race early aborts the deadline, so the branches still running stop their
+ * requests instead of running on to their timeouts.
+ */
+function raceForSureMatch(branches, deadline) {
+  return new Promise((resolve) => {
+    const results = branches.map(() => []);
+    let pending = branches.length;
+    const finish = (winner) => {
+      clearTimeout(timer);
+      deadline.abort();
+      resolve({ winner, results });
+    };
+    const timer = setTimeout(() => finish(null), deadline.remaining());
+    branches.forEach((p, i) =>
+      p
+        .then((r) => {
+          results[i] = r.candidates;
+          if (r.sure) finish(i);
+        })
+        .catch(() => {})
+        .finally(() => {
+          if (--pending === 0) finish(null);
+        })
+    );
+  });
+}
+
+async function resolvePokemon(extracted, debug) {
+  const name = extracted?.name ? String(extracted.name).trim() : "";
+  if (!name) return [];
+
+  const lang = normalizeLanguage(extracted?.language) || "en";
+  const ctx = {
+    name,
+    extracted,
+    num: normalizeCollectorNumber(extracted?.collectorNumber),
+    setName: extracted?.set ? String(extracted.set).trim() : null,
+    setCode: extracted?.setCode ? String(extracted.setCode).trim() : null,
+    lang,
+    locale: TCGDEX_LOCALES.includes(lang) ? lang : "en",
+  };
+
+  debug.pokemon = debug.pokemon || { tcgdex: [], pokemontcg: [] };
+
+  // ---- 0) Local catalog ----
+  const t0 = nowMs();
+  const local = await tcgdexFromCatalog(ctx.locale, extracted, ctx.num, ctx.setCode);
+  debug.pokemon.catalog = { hits: local.details.length, ms: nowMs() - t0 };
+  if (local.details.length) return tcgdexToCandidates(local.details, local.detailLocale, ctx).slice(0, 8);
+
+  // ---- 1) TCGdex and PokémonTCG.io race under one deadline ----
+  const t1 = nowMs();
+  const deadline = createDeadline(RESOLVER_BUDGET_MS);
+  const providers = ["tcgdex", "pokemontcg"];
+  const { winner, results } = await raceForSureMatch(
+    [fromTcgdex(ctx, debug, deadline), fromPokemontcg(ctx, debug, deadline)],
+    deadline
+  );
+  debug.pokemon.race = { winner: winner == null ? null : providers[winner], budgetMs: deadline.budgetMs, ms: nowMs() - t1 };
+
+  const [tcgdexCandidates, pokemontcgCandidates] = results;
+  const chosen = winner != null ? results[winner] : tcgdexCandidates.length ? tcgdexCandidates : pokemontcgCandidates;
+  return chosen.slice(0, 8);
+}
+
+async function pokemontcgSearch(q, debug, deadline) {
+  const apiKey = process.env.POKETCG_API_KEY;
+  const headers = apiKey ? { "X-Api-Key": apiKey } : {};
+
+  const pokeUrl =
+    `https://api.pokemontcg.io/v2/cards?` +
+    new URLSearchParams({
+      q,
+      pageSize: "35",
+      select: "id,name,number,rarity,set.name,set.id,set.ptcgoCode,images.small,images.large",
+    }).toString();
+
+  const pDbg = { url: pokeUrl, http: null, count: 0, ms: null, error: null, apiKeyPresent: !!apiKey };
+  debug.pokemon.pokemontcg.push(pDbg);
+  if (deadline.expired()) {
+    pDbg.error = "deadline";
+    return [];
+  }
+
+  const t0 = nowMs();
+  try {
+    const r = await cached(
+      "pokemontcg",
+      { q, pageSize: 35 },
+      async () => {
+        const { r, j } = await fetchJsonWithRetries(pokeUrl, { headers }, pDbg, 1, 7000, deadline);
+        return { status: r.status, ok: r.ok, body: j };
+      },
+      { dbg: pDbg }
+    );
+    const j = r.body;
+    pDbg.http = r.status;
+    pDbg.ms = nowMs() - t0;
+
+    const data = Array.isArray(j?.data) ? j.data : [];
+    pDbg.count = data.length;
+    return r.ok ? data : [];
+  } catch (e) {
+    pDbg.ms = nowMs() - t0;
+    pDbg.error = String(e?.message || e);
+    return [];
+  }
+}
+
+export default {
+  id: "pokemon",
+  label: "Pokémon",
+  aliases: ["pokémon", "pkmn", "ptcg"],
+  justtcg: "pokemon",
+  justtcgRegional: { ja: "pokemon-japan" },
+  hints: [
+    `collectorNumber is printed bottom left or right, like "11/108" or "SWSH123"`,
+    `on Japanese and Korean cards setCode is the set mark printed bottom left, like "SV4a" or "S12a"`,
+    "set is the expansion name; setCode only if the set abbreviation is printed",
+  ],
+  newDebug: () => ({ tcgdex: [], pokemontcg: [] }),
+  resolve: resolvePokemon,
+};
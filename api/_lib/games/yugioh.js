@@ -0,0 +1,272 @@
+// /api/_lib/games/yugioh.js  (YU-GI-OH!)
+//
+// The local catalog (catalog.js, imported from YGOPRODeck's dump) first, then
+// YGOPRODeck fuzzy-name search; the printed set code picks the printing, and
+// its region letters ("-EN", "-DE", "-JP") the printing's language. The search
+// matches substrings, so a misread name is retried shorter (see fuzzy.js) and
+// results are ordered by how close their name is to the one read.
+// Candidates are printings, not cards: one per set code + rarity that fits the
+// code and rarity read, so a LOB-EN001 Ultra Rare and its reprints stay apart.
+// The database doesn't list editions; the edition read ("1st Edition",
+// "Unlimited") rides along on every candidate for pricing, and stays null
+// when none was read.
+
+import { searchCatalog } from "../catalog.js";
+import { rankByName, relaxedQueries } from "../fuzzy.js";
+import { catalogName, normalizeLanguage } from "../language.js";
+import { cachedJson, nowMs } from "../lookup.js";
+
+// Region letters in printed set codes: "LOB-EN001", "SDK-G001" (old German), "RA01-JP001"
+const REGION_LANG = {
+  EN: "en",
+  E: "en",
+  AE: "en",
+  JP: "ja",
+  KR: "ko",
+  K: "ko",
+  TC: "zh-tw",
+  SC: "zh-cn",
+  FR: "fr",
+  F: "fr",
+  DE: "de",
+  G: "de",
+  IT: "it",
+  I: "it",
+  SP: "es",
+  S: "es",
+  PT: "pt",
+  P: "pt",
+};
+const SET_CODE_RE = /^([A-Z0-9]{2,5})-([A-Z]{0,2})([A-Z]?\d{2,3})$/i; // promo slots too: "YGLD-ENA01"
+
+// YGOPRODeck serves translated names for these (cardinfo.php?language=)
+const YGOPRODECK_LANGS = ["fr", "de", "it", "pt"];
+
+// Rarity abbreviations a reader may use instead of the name YGOPRODeck lists
+const RARITY_ALIASES = {
+  c: "Common",
+  r: "Rare",
+  sr: "Super Rare",
+  ur: "Ultra Rare",
+  scr: "Secret Rare",
+  utr: "Ultimate Rare",
+  gr: "Ghost Rare",
+  str: "Starlight Rare",
+  cr: "Collector's Rare",
+  pscr: "Prismatic Secret Rare",
+  qcscr: "Quarter Century Secret Rare",
+};
+const MAX_PRINTINGS_PER_CARD = 6;
+
+function parseSetCode(code) {
+  const m = String(code || "").trim().match(SET_CODE_RE);
+  if (!m) return null;
+  const region = m[2].toUpperCase();
+  return { code: m[0].toUpperCase(), prefix: m[1].toUpperCase(), number: m[3].toUpperCase(), language: REGION_LANG[region] || null };
+}
+
+// "Ultra Rare 1st Edition" -> { rarity: "Ultra Rare", edition: "1st Edition" }. Unlimited
+// prints carry no edition text, so an edition that wasn't read is unknown (null), not Unlimited.
+function parseVariant(variant) {
+  let s = String(variant || "").trim();
+  if (!s) return { rarity: null, edition: null };
+  let edition = null;
+  if (/\b(1st|first)\s*ed(ition|\.)?/i.test(s)) edition = "1st Edition";
+  else if (/\bunlimited\b/i.test(s)) edition = "Unlimited";
+  else if (/\blimited\s*ed(ition|\.)?/i.test(s)) edition = "Limited";
+  s = s
+    .replace(/\b(1st|first|limited|unlimited)\s*(ed(ition|\.)?)?/gi, "")
+    .replace(/[,()]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const rarity = RARITY_ALIASES[s.toLowerCase()] || s || null;
+  return { rarity, edition };
+}
+
+const rarityKey = (r) => String(r || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const sameRarity = (a, b) => !!a && !!b && rarityKey(a) === rarityKey(b);
+const rarityId = (r) => rarityKey(r).replace(/ /g, "-") || "unknown";
+
+async function ygoSearch(query, lang, debug) {
+  const params = { fname: query };
+  if (YGOPRODECK_LANGS.includes(lang)) params.language = lang;
+  const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php?${new URLSearchParams(params).toString()}`;
+
+  debug.yugioh.query = query;
+  debug.yugioh.language = params.language || "en";
+
+  const t0 = nowMs();
+  try {
+    const r = await cachedJson("ygoprodeck", params, url, { timeoutMs: 6500, dbg: debug.yugioh });
+    const j = r.body;
+    debug.yugioh.http = r.status;
+    debug.yugioh.ms = nowMs() - t0;
+    debug.yugioh.count = Array.isArray(j?.data) ? j.data.length : 0;
+    return r.ok && Array.isArray(j?.data) ? j.data : [];
+  } catch (e) {
+    debug.yugioh.http = "FETCH_ERR";
+    debug.yugioh.error = String(e?.message || e);
+    debug.yugioh.ms = nowMs() - t0;
+    return [];
+  }
+}
+
+// Catalog records are one per printing; regroup them into YGOPRODeck-shaped cards with their sets
+async function ygoFromCatalog(readName, setCode, language) {
+  const hits = await searchCatalog("yugioh", { name: readName, setCode, language, limit: 200 });
+  const byId = new Map();
+  for (const { card, similarity } of hits) {
+    let entry = byId.get(card.id);
+    if (!entry) {
+      entry = {
+        item: { id: card.id, name: card.name, ygoprodeck_url: card.url, card_images: [{ image_url: card.image }], card_sets: [] },
+        similarity: 0,
+      };
+      byId.set(card.id, entry);
+    }
+    if (card.setCode) entry.item.card_sets.push({ set_code: card.setCode, set_name: card.set, set_rarity: card.rarity });
+    entry.similarity = readName ? Math.max(entry.similarity, similarity) : 1;
+  }
+  return [...byId.values()].sort((a, b) => b.similarity - a.similarity);
+}
+
+// The printings of one card the read code / rarity point at, each with how it matched.
+// Empty when neither was read (any printing would be a guess), null when no printing has them.
+function matchPrintings(sets, printed, rarity) {
+  if (!printed && !rarity) return [];
+  const seen = new Set();
+  const unique = sets.filter((s) => {
+    const key = `${String(s.set_code || "").toUpperCase()}|${rarityKey(s.set_rarity)}`;
+    if (!s.set_code || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  let pool = unique.map((s) => ({ set: s, match: null }));
+  if (printed) {
+    // the database lists TCG (mostly English) codes; a regional printing matches on set + number
+    const exact = pool.filter((p) => String(p.set.set_code).toUpperCase() === printed.code);
+    const sameSlot = pool.filter((p) => {
+      const q = parseSetCode(p.set.set_code);
+      return q && q.prefix === printed.prefix && q.number === printed.number;
+    });
+    pool = exact.length ? exact.map((p) => ({ ...p, match: "code" })) : sameSlot.map((p) => ({ ...p, match: "slot" }));
+    if (!pool.length) return null;
+  }
+  if (rarity) {
+    const sameRar = pool.filter((p) => sameRarity(p.set.set_rarity, rarity));
+    if (sameRar.length) return sameRar.map((p) => ({ ...p, rarityMatch: true }));
+    // a code pins the printing even when the rarity was misread
+    if (!printed) return null;
+  }
+  return pool.map((p) => ({ ...p, rarityMatch: false }));
+}
+
+async function resolveYugioh(extracted, debug) {
+  const name = extracted?.name ? String(extracted.name).trim() : "";
+  // the full code is the collector number; older extractions put it in setCode
+  const printed = parseSetCode(extracted?.collectorNumber) || parseSetCode(extracted?.setCode);
+  const setCode = printed?.code || (extracted?.setCode ? String(extracted.setCode).trim() : null);
+  if (!name && !setCode) return [];
+  const { rarity, edition } = parseVariant(extracted?.variant);
+
+  // the set code's region letters say which printing this is; the extracted language is the fallback
+  const lang = printed?.language || normalizeLanguage(extracted?.language) || "en";
+
+  debug.yugioh = debug.yugioh || {};
+  // translated names only exist for a few languages; everything else searches by English name
+  const translated = YGOPRODECK_LANGS.includes(lang);
+  const query = (translated ? name : catalogName(extracted)) || setCode;
+
+  const t0 = nowMs();
+  let ranked = await ygoFromCatalog(translated ? name : catalogName(extracted), setCode, translated ? lang : "en");
+  if (!ranked.length && translated) ranked = await ygoFromCatalog(catalogName(extracted), setCode, "en");
+  debug.yugioh.catalog = { hits: ranked.length, ms: nowMs() - t0 };
+
+  if (!ranked.length) {
+    let data = await ygoSearch(query, lang, debug);
+    let readName = translated ? name : catalogName(extracted);
+    if (!data.length && translated) {
+      readName = catalogName(extracted);
+      data = await ygoSearch(readName || setCode, "en", debug);
+    }
+
+    // substring hits ("Dark Magician Girl" for "Dark Magician") rank below the name itself
+    ranked = readName ? rankByName(readName, data, (c) => c.name, 0) : data.map((c) => ({ item: c, similarity: 1 }));
+    if (!ranked.length && readName) {
+      for (const q of relaxedQueries(readName)) {
+        ranked = rankByName(readName, await ygoSearch(q, readName === name ? lang : "en", debug), (c) => c.name);
+        if (ranked.length) {
+          debug.yugioh.relaxed = q;
+          break;
+        }
+      }
+    }
+  }
+
+  debug.yugioh.printing = { code: printed?.code || null, rarity, edition, matched: 0 };
+  const candidates = [];
+  for (const { item: c, similarity } of ranked.slice(0, 8)) {
+    const base = {
+      game: "yugioh",
+      name: c.name,
+      displayName: c.name,
+      language: lang,
+      edition,
+    };
+    const canonical = {
+      provider: "ygoprodeck",
+      id: String(c.id),
+      ygo_url: c.ygoprodeck_url,
+      image: c.card_images?.[0]?.image_url || null,
+    };
+    const namePenalty = (1 - similarity) * 0.5;
+
+    const matches = matchPrintings(Array.isArray(c.card_sets) ? c.card_sets : [], printed, rarity);
+    if (!matches?.length) {
+      // nothing to pick a printing by, or no printing fits: the card itself, without guessing one
+      candidates.push({
+        ...base,
+        set: null,
+        setCode: null,
+        collectorNumber: null,
+        variant: null,
+        rarity: null,
+        canonical,
+        confidence: (printed || rarity ? 0.56 : 0.66) - namePenalty,
+      });
+      continue;
+    }
+
+    debug.yugioh.printing.matched += matches.length;
+    for (const { set: s, match, rarityMatch } of matches.slice(0, MAX_PRINTINGS_PER_CARD)) {
+      const code = match === "slot" ? printed.code : String(s.set_code).toUpperCase();
+      let confidence = match === "code" ? 0.86 : match === "slot" ? 0.82 : 0.66;
+      if (rarity) confidence += rarityMatch ? 0.04 : -0.06;
+      candidates.push({
+        ...base,
+        set: s.set_name || null,
+        setCode: parseSetCode(code)?.prefix || null,
+        collectorNumber: code,
+        variant: s.set_rarity || null,
+        rarity: s.set_rarity || null,
+        canonical: { ...canonical, print: `${code}/${rarityId(s.set_rarity)}` },
+        confidence: confidence - namePenalty,
+      });
+    }
+  }
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+export default {
+  id: "yugioh",
+  label: "Yu-Gi-Oh!",
+  aliases: ["yu-gi-oh", "ygo"],
+  justtcg: "yu-gi-oh",
+  hints: [
+    `collectorNumber is the full code under the artwork's right corner, with its region letters, like "LOB-EN001" or "RA01-JP054"; setCode is its prefix ("LOB")`,
+    `variant: the rarity (Common, Rare, Super Rare, Ultra Rare, Secret Rare, ...), plus "1st Edition" or "Limited Edition" when printed under the artwork`,
+  ],
+  newDebug: () => ({}),
+  resolve: resolveYugioh,
+};
@@ -0,0 +1,164 @@
+// /api/_lib/gradeEnsemble.js  (MULTI-PASS GRADE MERGE)
+//
+// A single grading pass reports its own `confidence` and `distribution`, and
+// both are poorly calibrated. With several independent passes we can instead
+// measure how much the passes agree: the spread of their mostLikely values
+// becomes the distribution, and agreement becomes the confidence.
+
+import { mergeDefects } from "./defects.js";
+import { SUBGRADE_KEYS, snapGrade, validateGradeReport } from "./gradeSchema.js";
+
+export const MAX_SAMPLES = 5;
+
+// Share of the merged distribution taken from the pass histogram; the rest is the
+// mean of the passes' own distributions, which keeps some mass on neighbouring
+// grades when every pass happens to agree.
+const EMPIRICAL_WEIGHT = 0.7;
+
+// Inspection orders rotated across passes so each one reads the card differently.
+const PASS_FOCUS = [
+  "Inspect surface first, then edges, corners, centering.",
+  "Inspect corners first, then edges, surface, centering.",
+  "Inspect centering first, then corners, surface, edges.",
+  "Inspect the BACK first (edges + corners), then the FRONT.",
+  "Inspect edges first, then surface, centering, corners.",
+];
+
+export function passVariation(index, total) {
+  if (total <= 1) return { temperature: 0.25, focus: null };
+  return {
+    temperature: 0.25 + 0.1 * (index % 3),
+    focus: PASS_FOCUS[index % PASS_FOCUS.length],
+  };
+}
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function stats(xs) {
+  if (!xs.length) return { n: 0, mean: null, median: null, variance: null, sd: null, min: null, max: null };
+  const m = mean(xs);
+  const variance = xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length;
+  return {
+    n: xs.length,
+    mean: m,
+    median: median(xs),
+    variance,
+    sd: Math.sqrt(variance),
+    min: Math.min(...xs),
+    max: Math.max(...xs),
+  };
+}
+
+function quantile(distribution, q) {
+  let acc = 0;
+  for (const d of distribution) {
+    acc += d.prob;
+    if (acc >= q - 1e-9) return d.grade;
+  }
+  return distribution[distribution.length - 1].grade;
+}
+
+function rankedUnion(lists) {
+  const counts = new Map();
+  for (const list of lists) {
+    const seen = new Set();
+    for (const item of list || []) {
+      const key = String(item).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const row = counts.get(key) || { text: String(item), count: 0 };
+      row.count++;
+      counts.set(key, row);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Merge validated single-pass reports into one ensemble report.
+ * `reports` are outputs of validateGradeReport().report.
+ * Returns { report, ensemble } — report has the same schema as a single pass.
+ */
+export function mergeGradePasses(reports, { scale = { min: 1, max: 10, step: 0.5 } } = {}) {
+  const n = reports.length;
+  if (!n) throw new Error("Ensemble: no successful passes");
+
+  const snap = (x) => snapGrade(x, scale);
+  const mls = reports.map((r) => r.mostLikely);
+
+  // empirical histogram of pass verdicts
+  const hist = new Map();
+  for (const g of mls) hist.set(g, (hist.get(g) || 0) + 1 / n);
+
+  // mean of the passes' own distributions
+  const modelMix = new Map();
+  for (const r of reports) {
+    for (const d of r.distribution) modelMix.set(d.grade, (modelMix.get(d.grade) || 0) + d.prob / n);
+  }
+
+  const grades = [...new Set([...hist.keys(), ...modelMix.keys()])].sort((a, b) => a - b);
+  const distribution = grades.map((grade) => ({
+    grade,
+    prob: EMPIRICAL_WEIGHT * (hist.get(grade) || 0) + (1 - EMPIRICAL_WEIGHT) * (modelMix.get(grade) || 0),
+  }));
+
+  const mostLikely = snap(median(mls));
+  const agreement = mls.filter((g) => g === mostLikely).length / n;
+  const spread = stats(mls).sd;
+
+  // agreement between passes, not the model's self-report
+  const confidence =
+    n === 1
+      ? reports[0].confidence
+      : Math.max(0.05, Math.min(0.99, 0.5 * agreement + 0.5 * (1 - Math.min(spread, 1.5) / 1.5)));
+
+  const subgradeStats = {};
+  const subgrades = {};
+  for (const k of SUBGRADE_KEYS) {
+    const xs = reports.map((r) => r.subgrades?.[k]).filter((x) => x != null);
+    subgradeStats[k] = stats(xs);
+    subgrades[k] = xs.length ? snapGrade(median(xs), { ...scale, grades: null }) : null;
+  }
+
+  const consensusPass = reports.find((r) => r.mostLikely === mostLikely);
+  const issues = rankedUnion(reports.map((r) => r.issues));
+  const notes = rankedUnion(reports.map((r) => r.notes));
+
+  const { report, repaired } = validateGradeReport(
+    {
+      mostLikely,
+      range: [quantile(distribution, 0.1), quantile(distribution, 0.9)],
+      confidence,
+      label: consensusPass?.label || `Likely ${mostLikely}`,
+      distribution,
+      subgrades,
+      issues: issues.map((x) => x.text),
+      notes: notes.map((x) => x.text),
+      defects: mergeDefects(reports.map((r) => r.defects)),
+    },
+    { scale }
+  );
+
+  return {
+    report,
+    repaired,
+    ensemble: {
+      samples: n,
+      agreement,
+      mostLikelyStats: stats(mls),
+      subgradeStats,
+      modelConfidenceMean: mean(reports.map((r) => r.confidence)),
+      issueCounts: issues.map((x) => ({ issue: x.text, passes: x.count })),
+      passes: reports.map((r) => ({ mostLikely: r.mostLikely, confidence: r.confidence, subgrades: r.subgrades })),
+      weights: { empirical: EMPIRICAL_WEIGHT, model: 1 - EMPIRICAL_WEIGHT },
+    },
+  };
+}
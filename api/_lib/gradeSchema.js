@@ -0,0 +1,273 @@
+// /api/_lib/gradeSchema.js  (PRE-GRADE REPORT SCHEMA)
+//
+// The model is asked for a fixed JSON shape but routinely drifts: grades off the
+// 0.5 grid, ranges that exclude mostLikely, subgrades as strings, issues as one
+// long sentence. validateGradeReport() walks every field, coerces what it can,
+// falls back to a derived value where it can't, and records each change so the
+// UI can say which parts of the report were corrected.
+
+import { cleanDefects } from "./defects.js";
+
+export const GRADE_SCHEMA_VERSION = "pregrade-report@2";
+
+export const SUBGRADE_KEYS = ["centering", "corners", "edges", "surface"];
+
+const MAX_LIST_ITEMS = 12;
+const MAX_TEXT_LEN = 240;
+const MAX_LABEL_LEN = 60;
+
+export class GradeSchemaError extends Error {
+  constructor(message, repaired = []) {
+    super(message);
+    this.name = "GradeSchemaError";
+    this.repaired = repaired;
+  }
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return isFinite(v) ? v : null;
+  if (typeof v === "string" && v.trim()) {
+    const n = Number(v.trim().replace(/^(grade|psa|bgs|cgc|sgc)\s*/i, ""));
+    return isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+// `grades` (optional) lists the only legal values, e.g. PSA has no 9.5.
+// Ties snap down — a pre-screen should not round a card up.
+export function snapGrade(n, { min = 1, max = 10, step = 0.5, grades = null } = {}) {
+  const v = clamp(n, min, max);
+  if (Array.isArray(grades) && grades.length) {
+    let best = grades[0];
+    for (const g of grades) {
+      const d = Math.abs(g - v);
+      const bd = Math.abs(best - v);
+      if (d < bd - 1e-9 || (Math.abs(d - bd) <= 1e-9 && g < best)) best = g;
+    }
+    return best;
+  }
+  return clamp(Math.ceil(v / step - 0.5) * step, min, max);
+}
+
+// Neighbouring legal grade in direction dir (-1 | +1).
+export function stepGrade(g, dir, scale = {}) {
+  const { grades = null, step = 0.5 } = scale;
+  if (Array.isArray(grades) && grades.length) {
+    const sorted = [...grades].sort((a, b) => a - b);
+    const i = sorted.indexOf(snapGrade(g, scale));
+    return sorted[clamp(i + dir, 0, sorted.length - 1)];
+  }
+  return snapGrade(g + dir * step, scale);
+}
+
+/**
+ * Best-effort local recovery of a JSON object from model text: strips markdown
+ * fences, slices the outermost {...} and drops trailing commas. Returns the
+ * parsed object or null; never calls a model.
+ */
+export function salvageJson(text) {
+  const s = String(text || "").trim();
+  const attempts = [s];
+
+  const fenced = s.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  attempts.push(fenced);
+
+  const a = fenced.indexOf("{");
+  const b = fenced.lastIndexOf("}");
+  if (a >= 0 && b > a) {
+    const body = fenced.slice(a, b + 1);
+    attempts.push(body);
+    attempts.push(body.replace(/,\s*([}\]])/g, "$1"));
+  }
+
+  for (const t of attempts) {
+    try {
+      const v = JSON.parse(t);
+      if (v && typeof v === "object" && !Array.isArray(v)) return v;
+    } catch {}
+  }
+  return null;
+}
+
+function cleanTextList(v) {
+  let list = v;
+  if (typeof list === "string") list = list.split(/\n|;\s*/);
+  if (!Array.isArray(list)) return null;
+  return list
+    .map((x) => (typeof x === "string" ? x : x && typeof x === "object" ? x.text || x.description || "" : ""))
+    .map((x) => String(x).replace(/\s+/g, " ").trim().slice(0, MAX_TEXT_LEN))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Validate and coerce a raw pre-grade object.
+ * Returns { report, repaired } where repaired is [{ field, reason }].
+ * Throws GradeSchemaError when the object carries no usable grade at all.
+ */
+export function validateGradeReport(raw, { scale = { min: 1, max: 10, step: 0.5 } } = {}) {
+  const repaired = [];
+  const fix = (field, reason) => repaired.push({ field, reason });
+  const snap = (n) => snapGrade(n, scale);
+  const src = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+
+  // ---- distribution ----
+  let distribution = [];
+  if (Array.isArray(src.distribution)) {
+    const merged = new Map();
+    let dropped = 0;
+    let snapped = 0;
+    for (const row of src.distribution) {
+      const g = toNumber(row?.grade);
+      const p = toNumber(row?.prob);
+      if (g == null || p == null || p <= 0) {
+        dropped++;
+        continue;
+      }
+      const sg = snap(g);
+      if (sg !== g) snapped++;
+      merged.set(sg, (merged.get(sg) || 0) + p);
+    }
+    distribution = [...merged.entries()].map(([grade, prob]) => ({ grade, prob }));
+    if (dropped) fix("distribution", `dropped ${dropped} invalid row(s)`);
+    if (snapped) fix("distribution", `snapped ${snapped} grade(s) to the grading scale`);
+  } else if (src.distribution != null) {
+    fix("distribution", "not an array");
+  }
+
+  // ---- mostLikely ----
+  let mostLikely = toNumber(src.mostLikely);
+  if (mostLikely == null) {
+    if (distribution.length) {
+      mostLikely = [...distribution].sort((a, b) => b.prob - a.prob)[0].grade;
+      fix("mostLikely", "missing; taken from distribution mode");
+    } else {
+      const r = Array.isArray(src.range) ? src.range.map(toNumber).filter((x) => x != null) : [];
+      if (!r.length) throw new GradeSchemaError("Grade: model output has no usable grade", repaired);
+      mostLikely = r.reduce((s, x) => s + x, 0) / r.length;
+      fix("mostLikely", "missing; taken from range midpoint");
+    }
+  }
+  if (snap(mostLikely) !== mostLikely) {
+    fix("mostLikely", `snapped ${mostLikely} to the grading scale`);
+    mostLikely = snap(mostLikely);
+  }
+
+  if (!distribution.length) {
+    distribution = [
+      { grade: stepGrade(mostLikely, -1, scale), prob: 0.25 },
+      { grade: mostLikely, prob: 0.5 },
+      { grade: stepGrade(mostLikely, +1, scale), prob: 0.25 },
+    ];
+    // collapse duplicates at the ends of the scale
+    const m = new Map();
+    for (const d of distribution) m.set(d.grade, (m.get(d.grade) || 0) + d.prob);
+    distribution = [...m.entries()].map(([grade, prob]) => ({ grade, prob }));
+    fix("distribution", "missing; synthesized around mostLikely");
+  }
+
+  // mostLikely must be one of the distribution's grades
+  if (!distribution.some((d) => d.grade === mostLikely)) {
+    const nearest = [...distribution].sort(
+      (a, b) => Math.abs(a.grade - mostLikely) - Math.abs(b.grade - mostLikely) || b.prob - a.prob
+    )[0].grade;
+    fix("mostLikely", `${mostLikely} not in distribution; moved to ${nearest}`);
+    mostLikely = nearest;
+  }
+
+  const sum = distribution.reduce((s, d) => s + d.prob, 0);
+  if (Math.abs(sum - 1) > 0.01) fix("distribution", "probabilities renormalized");
+  distribution = distribution
+    .map((d) => ({ grade: d.grade, prob: d.prob / sum }))
+    .sort((a, b) => a.grade - b.grade);
+
+  // ---- range ----
+  let range = Array.isArray(src.range) ? src.range.map(toNumber).filter((x) => x != null) : [];
+  if (range.length !== 2) {
+    range = [stepGrade(mostLikely, -1, scale), stepGrade(mostLikely, +1, scale)];
+    fix("range", "missing or malformed; derived from mostLikely");
+  } else {
+    const snapped = range.map(snap).sort((a, b) => a - b);
+    if (snapped[0] !== range[0] || snapped[1] !== range[1]) fix("range", "snapped/sorted");
+    range = snapped;
+  }
+  if (mostLikely < range[0] || mostLikely > range[1]) {
+    range = [Math.min(range[0], mostLikely), Math.max(range[1], mostLikely)];
+    fix("range", "widened to include mostLikely");
+  }
+
+  // ---- confidence ----
+  let confidence = toNumber(src.confidence);
+  if (confidence == null) {
+    confidence = 0.5;
+    fix("confidence", "missing; defaulted to 0.5");
+  } else if (confidence > 1 && confidence <= 100) {
+    confidence = confidence / 100;
+    fix("confidence", "percentage converted to 0..1");
+  } else if (confidence < 0 || confidence > 1) {
+    confidence = clamp(confidence, 0, 1);
+    fix("confidence", "clamped to 0..1");
+  }
+
+  // ---- subgrades ----
+  // subgrades always use plain steps; `grades` restrictions apply to the overall only
+  const subScale = { ...scale, grades: null };
+  const subgrades = {};
+  const sgSrc = src.subgrades && typeof src.subgrades === "object" ? src.subgrades : null;
+  if (!sgSrc) fix("subgrades", "missing");
+  for (const k of SUBGRADE_KEYS) {
+    const v = toNumber(sgSrc?.[k]);
+    if (v == null) {
+      subgrades[k] = null;
+      if (sgSrc) fix(`subgrades.${k}`, "missing or not a number");
+      continue;
+    }
+    subgrades[k] = snapGrade(v, subScale);
+    if (subgrades[k] !== v) fix(`subgrades.${k}`, `snapped ${v} to ${subgrades[k]}`);
+  }
+
+  // ---- issues / notes ----
+  const lists = {};
+  for (const k of ["issues", "notes"]) {
+    const cleaned = cleanTextList(src[k]);
+    if (cleaned == null) {
+      lists[k] = [];
+      if (src[k] != null) fix(k, "not a list of strings");
+      continue;
+    }
+    const before = Array.isArray(src[k]) ? src[k].length : 1;
+    if (cleaned.length !== before || !Array.isArray(src[k])) fix(k, "cleaned");
+    lists[k] = cleaned;
+  }
+
+  // ---- defects (located flaws; optional) ----
+  const defects = cleanDefects(src.defects, SUBGRADE_KEYS, fix);
+
+  // ---- label ----
+  let label = typeof src.label === "string" ? src.label.replace(/\s+/g, " ").trim() : "";
+  if (!label) {
+    label = `Likely ${mostLikely}`;
+    fix("label", "missing; generated from mostLikely");
+  } else if (label.length > MAX_LABEL_LEN) {
+    label = label.slice(0, MAX_LABEL_LEN).trim();
+    fix("label", "truncated");
+  }
+
+  const report = {
+    mostLikely,
+    range,
+    confidence,
+    label,
+    distribution,
+    subgrades,
+    issues: lists.issues,
+    notes: lists.notes,
+    defects,
+  };
+
+  return { report, repaired };
+}
@@ -0,0 +1,355 @@
+// /api/_lib/graders.js  (GRADING-COMPANY PROFILES)
+//
+// Each grader has its own scale, half-grade rules, label vocabulary, premium
+// tiers and centering tolerances. Tolerances are the published front/back
+// worst-side ratios (larger share, e.g. 55 for 55/45); uplift tables are the
+// same kind of placeholder as the generic one in /api/price — tune later.
+
+function range(a, b, step) {
+  const out = [];
+  for (let g = a; g <= b + 1e-9; g += step) out.push(Math.round(g * 2) / 2);
+  return out;
+}
+
+const GENERIC = {
+  id: "generic",
+  name: "Generic",
+  scale: { min: 1, max: 10, step: 0.5, grades: range(1, 10, 0.5) },
+  reportsSubgrades: true,
+  labels: {},
+  tiers: [],
+  // grade -> { front, back } max worst-side share
+  centering: [
+    { grade: 10, front: 55, back: 75 },
+    { grade: 9, front: 60, back: 90 },
+    { grade: 8, front: 65, back: 90 },
+    { grade: 7, front: 70, back: 90 },
+    { grade: 6, front: 80, back: 90 },
+  ],
+  // [minGrade, multiplier] checked top-down
+  uplift: [
+    [10, 3.0],
+    [9.5, 1.9],
+    [9.0, 1.35],
+    [8.5, 1.12],
+    [8.0, 1.08],
+    [0, 1.02],
+  ],
+  defaultFeeGBP: 15,
+  promptRules: [],
+};
+
+export const GRADER_PROFILES = {
+  generic: GENERIC,
+
+  psa: {
+    id: "psa",
+    name: "PSA",
+    // half grades only between 1.5 and 8.5; no 9.5
+    scale: { min: 1, max: 10, step: 0.5, grades: [...range(1, 8.5, 0.5), 9, 10] },
+    reportsSubgrades: false,
+    labels: {
+      10: "GEM MT",
+      9: "MINT",
+      8.5: "NM-MT+",
+      8: "NM-MT",
+      7.5: "NM+",
+      7: "NM",
+      6.5: "EX-MT+",
+      6: "EX-MT",
+      5.5: "EX+",
+      5: "EX",
+      4.5: "VG-EX+",
+      4: "VG-EX",
+      3.5: "VG+",
+      3: "VG",
+      2.5: "GOOD+",
+      2: "GOOD",
+      1.5: "FR",
+      1: "PR",
+    },
+    tiers: [],
+    centering: [
+      { grade: 10, front: 55, back: 75 },
+      { grade: 9, front: 60, back: 90 },
+      { grade: 8, front: 65, back: 90 },
+      { grade: 7, front: 70, back: 90 },
+      { grade: 6, front: 80, back: 90 },
+      { grade: 5, front: 85, back: 90 },
+    ],
+    uplift: [
+      [10, 3.0],
+      [9.0, 1.35],
+      [8.5, 1.12],
+      [8.0, 1.08],
+      [0, 1.02],
+    ],
+    defaultFeeGBP: 18,
+    promptRules: [
+      "PSA scale: whole grades 1-10; half grades only from 1.5 to 8.5. There is NO 9.5 — use 9 or 10.",
+      "PSA does not report subgrades on the slab; still fill subgrades for explanation.",
+    ],
+  },
+
+  bgs: {
+    id: "bgs",
+    name: "BGS",
+    scale: { min: 1, max: 10, step: 0.5, grades: range(1, 10, 0.5) },
+    reportsSubgrades: true,
+    labels: {
+      10: "Pristine",
+      9.5: "Gem Mint",
+      9: "Mint",
+      8.5: "NM-MT+",
+      8: "NM-MT",
+      7.5: "NM+",
+      7: "NM",
+      6.5: "EX-MT+",
+      6: "EX-MT",
+      5.5: "EX+",
+      5: "EX",
+      4.5: "VG-EX+",
+      4: "VG-EX",
+      3.5: "VG+",
+      3: "VG",
+      2.5: "G+",
+      2: "Good",
+      1.5: "Fair",
+      1: "Poor",
+    },
+    tiers: [
+      { id: "black-label", name: "Black Label", when: (r) => r.mostLikely >= 10 && allSubgradesAtLeast(r, 10) },
+      { id: "pristine", name: "Pristine 10", when: (r) => r.mostLikely >= 10 && bgsPristineSubgrades(r) },
+    ],
+    // overall may sit at most this far above the lowest subgrade
+    maxAboveLowestSubgrade: 1,
+    // BGS only gives a 10 as Pristine: three 10 subgrades and the fourth at 9.5
+    topGradeNeeds: (r) => bgsPristineSubgrades(r),
+    centering: [
+      { grade: 10, front: 50, back: 55 },
+      { grade: 9.5, front: 55, back: 60 },
+      { grade: 9, front: 60, back: 80 },
+      { grade: 8.5, front: 65, back: 90 },
+      { grade: 8, front: 70, back: 95 },
+      { grade: 7, front: 75, back: 95 },
+    ],
+    uplift: [
+      [10, 3.4],
+      [9.5, 1.9],
+      [9.0, 1.2],
+      [8.5, 1.08],
+      [8.0, 1.04],
+      [0, 1.0],
+    ],
+    defaultFeeGBP: 22,
+    promptRules: [
+      "BGS scale: 1-10 in 0.5 steps, with four 0.5-step subgrades (centering, corners, edges, surface).",
+      "Overall is driven by the lowest subgrade: it is at most 1 grade above the lowest subgrade.",
+      "BGS 10 Pristine needs three subgrades at 10 and the fourth at 9.5; Black Label needs all four subgrades at 10.",
+    ],
+  },
+
+  cgc: {
+    id: "cgc",
+    name: "CGC",
+    scale: { min: 1, max: 10, step: 0.5, grades: range(1, 10, 0.5) },
+    reportsSubgrades: true,
+    labels: {
+      10: "Gem Mint",
+      9.5: "Mint+",
+      9: "Mint",
+      8.5: "NM/Mint+",
+      8: "NM/Mint",
+      7.5: "NM+",
+      7: "NM",
+      6.5: "Ex/NM+",
+      6: "Ex/NM",
+      5.5: "Ex+",
+      5: "Ex",
+      4.5: "VG/Ex+",
+      4: "VG/Ex",
+      3.5: "VG+",
+      3: "VG",
+      2.5: "Good+",
+      2: "Good",
+      1.5: "Fair",
+      1: "Poor",
+    },
+    tiers: [{ id: "pristine", name: "Pristine 10", when: (r) => r.mostLikely >= 10 && allSubgradesAtLeast(r, 10) }],
+    centering: [
+      { grade: 10, front: 55, back: 75 },
+      { grade: 9.5, front: 60, back: 80 },
+      { grade: 9, front: 62, back: 85 },
+      { grade: 8, front: 65, back: 90 },
+      { grade: 7, front: 70, back: 90 },
+    ],
+    uplift: [
+      [10, 2.4],
+      [9.5, 1.5],
+      [9.0, 1.15],
+      [8.5, 1.05],
+      [8.0, 1.02],
+      [0, 1.0],
+    ],
+    defaultFeeGBP: 14,
+    promptRules: [
+      "CGC scale: 1-10 in 0.5 steps. A 10 is either Gem Mint or Pristine (Pristine = flawless, 50/50-ish centering).",
+    ],
+  },
+
+  sgc: {
+    id: "sgc",
+    name: "SGC",
+    scale: { min: 1, max: 10, step: 0.5, grades: range(1, 10, 0.5) },
+    reportsSubgrades: false,
+    labels: {
+      10: "GEM MINT",
+      9.5: "MINT+",
+      9: "MINT",
+      8.5: "NM/MT+",
+      8: "NM/MT",
+      7.5: "NM+",
+      7: "NM",
+      6.5: "EX/NM+",
+      6: "EX/NM",
+      5.5: "EX+",
+      5: "EX",
+      4.5: "VG/EX+",
+      4: "VG/EX",
+      3.5: "VG+",
+      3: "VG",
+      2.5: "G+",
+      2: "G",
+      1.5: "FR",
+      1: "PR",
+    },
+    tiers: [{ id: "pristine", name: "Pristine 10", when: (r) => r.mostLikely >= 10 && allSubgradesAtLeast(r, 10) }],
+    centering: [
+      { grade: 10, front: 55, back: 70 },
+      { grade: 9.5, front: 60, back: 75 },
+      { grade: 9, front: 65, back: 80 },
+      { grade: 8, front: 70, back: 85 },
+      { grade: 7, front: 75, back: 90 },
+    ],
+    uplift: [
+      [10, 2.6],
+      [9.5, 1.6],
+      [9.0, 1.2],
+      [8.5, 1.06],
+      [8.0, 1.03],
+      [0, 1.0],
+    ],
+    defaultFeeGBP: 16,
+    promptRules: [
+      "SGC scale: 1-10 in 0.5 steps. SGC 10 is Gem Mint; Pristine (Gold Label) 10 is reserved for flawless cards.",
+    ],
+  },
+};
+
+function subgradesAtLeast(report, g) {
+  const sg = report?.subgrades || {};
+  return ["centering", "corners", "edges", "surface"].filter((k) => sg[k] != null && sg[k] >= g).length;
+}
+
+function allSubgradesAtLeast(report, g) {
+  return subgradesAtLeast(report, g) === 4;
+}
+
+function bgsPristineSubgrades(report) {
+  return allSubgradesAtLeast(report, 9.5) && subgradesAtLeast(report, 10) >= 3;
+}
+
+export function getGraderProfile(company) {
+  const id = String(company || "").trim().toLowerCase();
+  return GRADER_PROFILES[id] || GENERIC;
+}
+
+export function isKnownCompany(company) {
+  return !!GRADER_PROFILES[String(company || "").trim().toLowerCase()];
+}
+
+export function upliftFor(grade, profile = GENERIC) {
+  for (const [min, mult] of profile.uplift) if (grade >= min) return mult;
+  return 1;
+}
+
+/**
+ * Highest grade the given worst-side centering shares allow, e.g.
+ * centeringCap(profile, { front: 58, back: 70 }) -> 9 for PSA.
+ * Returns null when neither side is known.
+ */
+export function centeringCap(profile, { front = null, back = null } = {}) {
+  if (front == null && back == null) return null;
+  for (const row of profile.centering) {
+    if ((front == null || front <= row.front) && (back == null || back <= row.back)) return row.grade;
+  }
+  const last = profile.centering[profile.centering.length - 1];
+  return last ? Math.max(profile.scale.min, last.grade - 1) : null;
+}
+
+export function gradeLabelFor(profile, grade) {
+  const word = profile.labels[grade];
+  const g = Number.isInteger(grade) ? String(grade) : grade.toFixed(1);
+  if (profile.id === "generic") return `Likely ${g}`;
+  return word ? `${profile.name} ${g} ${word}` : `${profile.name} ${g}`;
+}
+
+export function graderPromptBlock(profile) {
+  if (profile.id === "generic") return "";
+  const allowed = profile.scale.grades.join(", ");
+  const cent = profile.centering.map((c) => `${c.grade}: front ≤${c.front}/${100 - c.front}, back ≤${c.back}/${100 - c.back}`);
+  return [
+    `Grade in ${profile.name} terms.`,
+    ...profile.promptRules.map((r) => `- ${r}`),
+    `- Allowed overall grades: ${allowed}.`,
+    `- ${profile.name} centering tolerances (max grade by worst side): ${cent.join("; ")}.`,
+    `- "label" should use ${profile.name} wording, e.g. "${gradeLabelFor(profile, 9)}".`,
+  ].join("\n");
+}
+
+// Lower mostLikely to the highest legal grade <= cap, folding the probability
+// above it down onto it.
+function capGrade(report, profile, cap, why, repaired) {
+  const grades = profile.scale.grades.filter((g) => g <= cap);
+  const capped = grades[grades.length - 1] ?? profile.scale.min;
+  repaired.push({ field: "mostLikely", reason: `${profile.name}: capped at ${capped} by ${why}` });
+  report.mostLikely = capped;
+
+  const folded = new Map();
+  for (const d of report.distribution) {
+    const g = Math.min(d.grade, capped);
+    folded.set(g, (folded.get(g) || 0) + d.prob);
+  }
+  report.distribution = [...folded.entries()]
+    .map(([grade, prob]) => ({ grade, prob }))
+    .sort((a, b) => a.grade - b.grade);
+  report.range = [Math.min(report.range[0], capped), capped];
+}
+
+/**
+ * Express a validated report in the company's terms: enforce subgrade caps,
+ * attach the company label and any premium tier the report qualifies for.
+ * Mutates and returns `report`; pushes into `repaired` for anything changed.
+ */
+export function applyGraderProfile(report, profile, repaired = []) {
+  if (profile.maxAboveLowestSubgrade != null) {
+    const subs = Object.values(report.subgrades || {}).filter((v) => v != null);
+    if (subs.length) {
+      const cap = Math.min(...subs) + profile.maxAboveLowestSubgrade;
+      if (report.mostLikely > cap) capGrade(report, profile, cap, "lowest subgrade", repaired);
+    }
+  }
+  if (profile.topGradeNeeds && report.mostLikely >= profile.scale.max && !profile.topGradeNeeds(report)) {
+    capGrade(report, profile, profile.scale.max - profile.scale.step, `subgrades short of a ${profile.scale.max}`, repaired);
+  }
+
+  const tier = profile.tiers.find((t) => t.when(report)) || null;
+
+  report.company = profile.id;
+  report.companyLabel = tier ? `${profile.name} ${tier.name}` : gradeLabelFor(profile, report.mostLikely);
+  report.tier = tier ? { id: tier.id, name: tier.name } : null;
+  report.label = report.companyLabel;
+  report.subgradesReported = profile.reportsSubgrades;
+  report.distribution = report.distribution.map((d) => ({ ...d, label: gradeLabelFor(profile, d.grade) }));
+  return report;
+}
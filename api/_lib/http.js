@@ -0,0 +1,121 @@
+// /api/_lib/http.js  (OUTBOUND HTTP: LIVE / RECORD / REPLAY)
+//
+// Every outbound call (vision providers, TCGdex, PokémonTCG.io, Scryfall,
+// YGOPRODeck, JustTCG, ECB FX) goes through httpFetch() instead of the global
+// fetch, so a run can be captured once and played back offline:
+//
+//   HTTP_MODE          live | record | replay   (default: live)
+//   HTTP_FIXTURES_DIR  where recordings live  (default ./fixtures/http)
+//
+// record makes the live call and saves the response; replay only serves saved
+// responses and fails like a network error when one is missing, so an offline
+// run can never reach the network by accident. A recording is keyed on method,
+// URL and request body. Request headers — where the credentials are
+// (Authorization, X-Api-Key) — are neither part of the key nor written out.
+//
+// fetchWithTimeout() is httpFetch with a timeout, for callers that need one.
+//
+// setHttpTransport(fn) swaps the live transport for any fetch-compatible
+// function, e.g. to drive the handlers from a script with canned responses.
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const MODES = ["live", "record", "replay"];
+const KEPT_RESPONSE_HEADERS = ["content-type"];
+
+let transport = (url, opts) => fetch(url, opts);
+
+export function setHttpTransport(fn) {
+  transport = typeof fn === "function" ? fn : (url, opts) => fetch(url, opts);
+}
+
+export function httpMode() {
+  const mode = String(process.env.HTTP_MODE || "live").toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown HTTP_MODE "${mode}"`);
+  return mode;
+}
+
+function fixturesDir() {
+  return process.env.HTTP_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "http");
+}
+
+function requestKey(url, opts) {
+  const method = String(opts.method || "GET").toUpperCase();
+  const body = opts.body == null ? "" : String(opts.body);
+  const bodySha = body ? createHash("sha256").update(body).digest("hex") : null;
+  const hash = createHash("sha1").update(`${method} ${url}\n${bodySha || ""}`).digest("hex");
+  let host = "unknown";
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, "_");
+  } catch {}
+  return { method, bodySha, file: path.join(fixturesDir(), host, `${hash}.json`) };
+}
+
+function toResponse(rec) {
+  return new Response(rec.body, { status: rec.status, statusText: rec.statusText || "", headers: rec.headers || {} });
+}
+
+async function record(url, opts, key) {
+  const resp = await transport(url, opts);
+  const body = await resp.text();
+  const headers = {};
+  for (const h of KEPT_RESPONSE_HEADERS) {
+    const v = resp.headers.get(h);
+    if (v) headers[h] = v;
+  }
+  const rec = { status: resp.status, statusText: resp.statusText, headers, body };
+
+  try {
+    await mkdir(path.dirname(key.file), { recursive: true });
+    const tmp = `${key.file}.${process.pid}.tmp`;
+    const fixture = {
+      request: { method: key.method, url, bodySha256: key.bodySha },
+      response: rec,
+      recordedAt: new Date().toISOString(),
+    };
+    await writeFile(tmp, JSON.stringify(fixture, null, 2), "utf8");
+    await rename(tmp, key.file);
+  } catch (e) {
+    console.error("http record failed:", e?.message || e);
+  }
+  // the body was consumed above; hand the caller an identical fresh one
+  return toResponse(rec);
+}
+
+async function replay(url, opts, key) {
+  if (opts.signal?.aborted) throw opts.signal.reason || new Error("aborted");
+  let fixture;
+  try {
+    fixture = JSON.parse(await readFile(key.file, "utf8"));
+  } catch {
+    throw new Error(`No recorded response for ${key.method} ${url} (HTTP_MODE=replay)`);
+  }
+  return toResponse(fixture.response);
+}
+
+// httpFetch with an abort after `timeoutMs`; 0 means no timeout. An
+// `opts.signal` still aborts it earlier.
+export async function fetchWithTimeout(url, opts = {}, timeoutMs = 0) {
+  if (!timeoutMs) return await httpFetch(url, opts);
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+  const signal = opts.signal ? AbortSignal.any([opts.signal, controller.signal]) : controller.signal;
+  try {
+    return await httpFetch(url, { ...opts, signal });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * fetch() replacement for every outbound call. Same arguments, returns a
+ * standard Response in all modes.
+ */
+export async function httpFetch(url, opts = {}) {
+  const mode = httpMode();
+  if (mode === "live") return await transport(url, opts);
+  const key = requestKey(String(url), opts);
+  return mode === "record" ? await record(url, opts, key) : await replay(url, opts, key);
+}
@@ -0,0 +1,869 @@
+// /api/_lib/image.js  (IMAGE DECODING)
+//
+// Dependency-free decoding of the data URLs the front-end sends. The page
+// re-encodes every upload through a canvas (baseline JPEG), so this covers
+// baseline/extended-sequential JPEG and non-interlaced PNG — enough for
+// measurement, not a general-purpose codec. A baseline JPEG encoder hands
+// processed images (e.g. normalized cards) back out. Images are plain objects:
+//   { width, height, data: Uint8ClampedArray }   // RGB, 3 bytes per pixel
+//
+// A few KB of JPEG or PNG can declare a frame of billions of pixels, and the
+// decoders allocate from the declared size: anything over MAX_PIXELS is
+// refused from its header, before a byte of pixel data is touched.
+
+import { inflateSync } from "node:zlib";
+
+export const MAX_PIXELS = 25 * 1000 * 1000; // a 6000x4000 phone photo fits
+
+export class ImageError extends Error {
+  constructor(message, code = "image_invalid") {
+    super(message);
+    this.name = "ImageError";
+    this.code = code;
+  }
+}
+
+// ----------------------------
+// Data URLs
+// ----------------------------
+export function parseDataUrl(dataUrl) {
+  const s = String(dataUrl || "");
+  const m = s.match(/^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,/i);
+  if (!m) throw new ImageError("Not a data URL", "not_data_url");
+  const mime = String(m[1] || "text/plain").toLowerCase();
+  const payload = s.slice(m[0].length);
+  const bytes = m[3] ? Buffer.from(payload, "base64") : Buffer.from(decodeURIComponent(payload), "utf8");
+  return { mime, bytes };
+}
+
+export function sniffMime(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504e47 && bytes.readUInt32BE(4) === 0x0d0a1a0a) return "image/png";
+  if (bytes.length >= 12 && bytes.toString("ascii", 0, 4) === "RIFF" && bytes.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  if (bytes.length >= 6 && /^GIF8[79]a/.test(bytes.toString("ascii", 0, 6))) return "image/gif";
+  return null;
+}
+
+// { width, height } from a JPEG frame header or PNG IHDR, without decoding; null if there is none.
+export function readImageSize(bytes) {
+  const kind = sniffMime(bytes);
+  if (kind === "image/png") {
+    if (bytes.length < 24 || bytes.toString("ascii", 12, 16) !== "IHDR") return null;
+    return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+  if (kind !== "image/jpeg") return null;
+  let pos = 2;
+  while (pos + 9 <= bytes.length) {
+    if (bytes[pos] !== 0xff) return null;
+    const marker = bytes[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos += 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) return null;
+    // SOF0..SOF15; C4 (Huffman tables), C8 and CC (arithmetic coding) are not frames
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: bytes.readUInt16BE(pos + 7), height: bytes.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + bytes.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+function checkPixelCount(width, height) {
+  if (width * height > MAX_PIXELS) {
+    throw new ImageError(`Image is ${width}x${height} (max ${MAX_PIXELS / 1e6} megapixels)`, "too_many_pixels");
+  }
+}
+
+export function decodeImage(bytes) {
+  const size = readImageSize(bytes);
+  if (size) checkPixelCount(size.width, size.height);
+  const kind = sniffMime(bytes);
+  if (kind === "image/jpeg") return decodeJpeg(bytes);
+  if (kind === "image/png") return decodePng(bytes);
+  throw new ImageError(`Unsupported image format${kind ? ` (${kind})` : ""}`, "unsupported_format");
+}
+
+// The same data URL is usually decoded by several stages of one request
+// (quality gate, centering, ...); keep the last few results.
+const DECODE_CACHE_SIZE = 4;
+const decodeCache = new Map();
+
+export function decodeDataUrl(dataUrl) {
+  const hit = decodeCache.get(dataUrl);
+  if (hit) return hit;
+
+  const { mime, bytes } = parseDataUrl(dataUrl);
+  const out = { mime, bytes, image: decodeImage(bytes) };
+
+  decodeCache.set(dataUrl, out);
+  if (decodeCache.size > DECODE_CACHE_SIZE) decodeCache.delete(decodeCache.keys().next().value);
+  return out;
+}
+
+// ----------------------------
+// Pixel helpers
+// ----------------------------
+export function toGray(img) {
+  const { width, height, data } = img;
+  const out = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < out.length; i++, p += 3) {
+    out[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return out;
+}
+
+// Copy of the pixel rectangle { x, y, width, height }, clamped to the image.
+export function cropImage(img, { x, y, width, height }) {
+  const left = Math.max(0, Math.min(img.width - 1, Math.floor(x)));
+  const top = Math.max(0, Math.min(img.height - 1, Math.floor(y)));
+  const w = Math.max(1, Math.min(img.width - left, Math.round(width)));
+  const h = Math.max(1, Math.min(img.height - top, Math.round(height)));
+  const data = new Uint8ClampedArray(w * h * 3);
+  for (let row = 0; row < h; row++) {
+    const from = ((top + row) * img.width + left) * 3;
+    data.set(img.data.subarray(from, from + w * 3), row * w * 3);
+  }
+  return { width: w, height: h, data };
+}
+
+// Box-filter downscale so the longest side is at most maxSide.
+export function downscale(img, maxSide) {
+  const { width, height, data } = img;
+  const f = Math.max(width, height) / maxSide;
+  if (f <= 1) return img;
+  const w = Math.max(1, Math.round(width / f));
+  const h = Math.max(1, Math.round(height / f));
+  const out = new Uint8ClampedArray(w * h * 3);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor((y * height) / h);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / h));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor((x * width) / w);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / w));
+      let r = 0, g = 0, b = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        let p = (yy * width + x0) * 3;
+        for (let xx = x0; xx < x1; xx++, p += 3) {
+          r += data[p];
+          g += data[p + 1];
+          b += data[p + 2];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * w + x) * 3;
+      out[o] = r / n;
+      out[o + 1] = g / n;
+      out[o + 2] = b / n;
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+// ----------------------------
+// PNG
+// ----------------------------
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+export function decodePng(bytes) {
+  let pos = 8;
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+  let palette = null;
+  const idat = [];
+
+  while (pos + 8 <= bytes.length) {
+    const len = bytes.readUInt32BE(pos);
+    const type = bytes.toString("ascii", pos + 4, pos + 8);
+    const body = bytes.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === "PLTE") palette = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+  }
+
+  if (!width || !height) throw new ImageError("PNG: missing IHDR");
+  checkPixelCount(width, height);
+  if (interlace) throw new ImageError("PNG: interlaced images are not supported", "unsupported_format");
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new ImageError(`PNG: unsupported color type ${colorType}`, "unsupported_format");
+
+  const bitsPP = channels * bitDepth;
+  const bpp = Math.max(1, bitsPP >> 3);
+  const stride = Math.ceil((width * bitsPP) / 8);
+
+  let raw;
+  try {
+    // no more than the header's frame needs, so a small file can't inflate into gigabytes
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: height * (stride + 1) });
+  } catch {
+    throw new ImageError("PNG: corrupt image data");
+  }
+
+  if (raw.length < height * (stride + 1)) throw new ImageError("PNG: truncated image data");
+
+  // unfilter in place, scanline by scanline
+  const lines = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const ft = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const x = raw[src + i];
+      const a = i >= bpp ? lines[dst + i - bpp] : 0;
+      const b = y ? lines[dst - stride + i] : 0;
+      const c = y && i >= bpp ? lines[dst - stride + i - bpp] : 0;
+      let v;
+      if (ft === 0) v = x;
+      else if (ft === 1) v = x + a;
+      else if (ft === 2) v = x + b;
+      else if (ft === 3) v = x + ((a + b) >> 1);
+      else if (ft === 4) v = x + paeth(a, b, c);
+      else throw new ImageError(`PNG: bad filter type ${ft}`);
+      lines[dst + i] = v & 0xff;
+    }
+  }
+
+  const sample = (y, x, ch) => {
+    const idx = x * channels + ch;
+    if (bitDepth === 8) return lines[y * stride + idx];
+    if (bitDepth === 16) return lines[y * stride + idx * 2];
+    const bitPos = idx * bitDepth;
+    const byte = lines[y * stride + (bitPos >> 3)];
+    const shift = 8 - bitDepth - (bitPos & 7);
+    return (byte >> shift) & ((1 << bitDepth) - 1);
+  };
+  const scaleBits = (v) => (bitDepth >= 8 || colorType === 3 ? v : Math.round((v * 255) / ((1 << bitDepth) - 1)));
+
+  const out = new Uint8ClampedArray(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 3;
+      let r, g, b, a = 255;
+      if (colorType === 3) {
+        const i = sample(y, x, 0) * 3;
+        r = palette?.[i] ?? 0;
+        g = palette?.[i + 1] ?? 0;
+        b = palette?.[i + 2] ?? 0;
+      } else if (colorType === 0 || colorType === 4) {
+        r = g = b = scaleBits(sample(y, x, 0));
+        if (colorType === 4) a = sample(y, x, 1);
+      } else {
+        r = sample(y, x, 0);
+        g = sample(y, x, 1);
+        b = sample(y, x, 2);
+        if (colorType === 6) a = sample(y, x, 3);
+      }
+      // composite transparency onto white, like a browser preview would
+      out[o] = (r * a + 255 * (255 - a)) / 255;
+      out[o + 1] = (g * a + 255 * (255 - a)) / 255;
+      out[o + 2] = (b * a + 255 * (255 - a)) / 255;
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+// ----------------------------
+// JPEG (baseline + extended sequential, Huffman)
+// ----------------------------
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21,
+  28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61,
+  54, 47, 55, 62, 63,
+]);
+
+// cos table for the separable float IDCT: IDCT_COS[x * 8 + u] = C(u) * cos((2x+1)uπ/16) / 2
+const IDCT_COS = (() => {
+  const t = new Float32Array(64);
+  for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+      const cu = u === 0 ? Math.SQRT1_2 : 1;
+      t[x * 8 + u] = (cu * Math.cos(((2 * x + 1) * u * Math.PI) / 16)) / 2;
+    }
+  }
+  return t;
+})();
+
+function buildHuffman(counts, symbols) {
+  // canonical codes -> per-length lookup (maxcode / valptr / mincode)
+  const maxcode = new Int32Array(18).fill(-1);
+  const valptr = new Int32Array(17);
+  const mincode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valptr[len] = k;
+    mincode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    maxcode[len] = counts[len - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxcode[17] = 0x7fffffff;
+  return { maxcode, valptr, mincode, symbols };
+}
+
+function idctBlock(coef, out, outOff, outStride) {
+  const tmp = new Float32Array(64);
+  // rows: tmp[y][x] = sum_u coef[y][u] * cos(x,u)
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let s = 0;
+      for (let u = 0; u < 8; u++) s += coef[y * 8 + u] * IDCT_COS[x * 8 + u];
+      tmp[y * 8 + x] = s;
+    }
+  }
+  // columns
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let s = 0;
+      for (let v = 0; v < 8; v++) s += tmp[v * 8 + x] * IDCT_COS[y * 8 + v];
+      const val = Math.round(s + 128);
+      out[outOff + y * outStride + x] = val < 0 ? 0 : val > 255 ? 255 : val;
+    }
+  }
+}
+
+export function decodeJpeg(bytes) {
+  const qt = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let pos = 2;
+
+  const u16 = (p) => (bytes[p] << 8) | bytes[p + 1];
+
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = bytes[pos + 1];
+    pos += 2;
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      if (marker === 0xff) pos--;
+      continue;
+    }
+    if (marker === 0xd9) break;
+
+    const len = u16(pos);
+    const seg = bytes.subarray(pos + 2, pos + len);
+
+    if (marker === 0xdb) {
+      let p = 0;
+      while (p < seg.length) {
+        const pq = seg[p] >> 4;
+        const tq = seg[p] & 15;
+        p++;
+        const table = new Int32Array(64);
+        for (let i = 0; i < 64; i++) {
+          table[i] = pq ? (seg[p] << 8) | seg[p + 1] : seg[p];
+          p += pq ? 2 : 1;
+        }
+        qt[tq] = table;
+      }
+    } else if (marker === 0xc4) {
+      let p = 0;
+      while (p < seg.length) {
+        const tc = seg[p] >> 4;
+        const th = seg[p] & 15;
+        const counts = seg.subarray(p + 1, p + 17);
+        let total = 0;
+        for (let i = 0; i < 16; i++) total += counts[i];
+        const symbols = seg.slice(p + 17, p + 17 + total);
+        (tc === 0 ? dcTables : acTables)[th] = buildHuffman(counts, symbols);
+        p += 17 + total;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      if (seg[0] !== 8) throw new ImageError("JPEG: only 8-bit precision is supported", "unsupported_format");
+      const height = u16(pos + 3);
+      const width = u16(pos + 5);
+      if (!width || !height) throw new ImageError("JPEG: frame without dimensions");
+      checkPixelCount(width, height);
+      const n = seg[5];
+      const components = [];
+      for (let i = 0; i < n; i++) {
+        const o = 6 + i * 3;
+        components.push({ id: seg[o], h: seg[o + 1] >> 4, v: seg[o + 1] & 15, tq: seg[o + 2] });
+      }
+      frame = { width, height, components };
+      const hmax = Math.max(...components.map((c) => c.h));
+      const vmax = Math.max(...components.map((c) => c.v));
+      frame.hmax = hmax;
+      frame.vmax = vmax;
+      frame.mcusPerLine = Math.ceil(width / (8 * hmax));
+      frame.mcusPerColumn = Math.ceil(height / (8 * vmax));
+      for (const c of components) {
+        c.blocksPerLine = frame.mcusPerLine * c.h;
+        c.blocksPerColumn = frame.mcusPerColumn * c.v;
+        c.compW = Math.ceil((width * c.h) / hmax);
+        c.compH = Math.ceil((height * c.v) / vmax);
+        c.pixels = new Uint8ClampedArray(c.blocksPerLine * 8 * c.blocksPerColumn * 8);
+        c.pred = 0;
+      }
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new ImageError("JPEG: progressive/lossless/arithmetic JPEG is not supported", "unsupported_format");
+    } else if (marker === 0xdd) {
+      restartInterval = u16(pos + 2);
+    } else if (marker === 0xee) {
+      if (seg.toString("ascii", 0, 5) === "Adobe") adobeTransform = seg[11];
+    } else if (marker === 0xda) {
+      if (!frame) throw new ImageError("JPEG: scan before frame header");
+      const ns = seg[0];
+      const scanComps = [];
+      for (let i = 0; i < ns; i++) {
+        const c = frame.components.find((x) => x.id === seg[1 + i * 2]);
+        if (!c) throw new ImageError("JPEG: scan references unknown component");
+        c.dc = dcTables[seg[2 + i * 2] >> 4];
+        c.ac = acTables[seg[2 + i * 2] & 15];
+        c.q = qt[c.tq];
+        if (!c.dc || !c.ac || !c.q) throw new ImageError("JPEG: missing Huffman or quantization table");
+        scanComps.push(c);
+      }
+      pos = decodeScan(bytes, pos + len, frame, scanComps, restartInterval);
+      continue;
+    }
+
+    pos += len;
+  }
+
+  if (!frame) throw new ImageError("JPEG: no frame header");
+  return jpegToRgb(frame, adobeTransform);
+}
+
+function decodeScan(bytes, start, frame, comps, restartInterval) {
+  let pos = start;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  let hitMarker = false;
+
+  const readBit = () => {
+    if (bitCnt === 0) {
+      if (hitMarker) return 0; // pad with zeros past a marker
+      let b = bytes[pos];
+      if (b === 0xff) {
+        const nxt = bytes[pos + 1];
+        if (nxt === 0x00) pos += 2;
+        else {
+          hitMarker = true;
+          return 0;
+        }
+      } else pos++;
+      if (b === undefined) {
+        hitMarker = true;
+        return 0;
+      }
+      bitBuf = b;
+      bitCnt = 8;
+    }
+    bitCnt--;
+    return (bitBuf >> bitCnt) & 1;
+  };
+
+  const receive = (n) => {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+    return v;
+  };
+  const extend = (v, n) => (n && v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+
+  const decodeHuff = (t) => {
+    let code = readBit();
+    let len = 1;
+    while (len <= 16 && code > t.maxcode[len]) {
+      code = (code << 1) | readBit();
+      len++;
+    }
+    if (len > 16) return 0;
+    return t.symbols[t.valptr[len] + code - t.mincode[len]];
+  };
+
+  const coef = new Float32Array(64);
+  const decodeBlock = (c, row, col) => {
+    coef.fill(0);
+    const t = decodeHuff(c.dc);
+    const diff = t === 0 ? 0 : extend(receive(t), t);
+    c.pred += diff;
+    coef[0] = c.pred * c.q[0];
+    let k = 1;
+    while (k < 64) {
+      const rs = decodeHuff(c.ac);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r === 15) {
+          k += 16;
+          continue;
+        }
+        break;
+      }
+      k += r;
+      if (k > 63) break;
+      coef[ZIGZAG[k]] = extend(receive(s), s) * c.q[k];
+      k++;
+    }
+    const stride = c.blocksPerLine * 8;
+    idctBlock(coef, c.pixels, row * 8 * stride + col * 8, stride);
+  };
+
+  const resetAtMarker = () => {
+    // expect RSTn: realign to the marker and skip it
+    bitCnt = 0;
+    hitMarker = false;
+    while (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7)) pos++;
+    if (pos < bytes.length) pos += 2;
+    for (const c of comps) c.pred = 0;
+  };
+
+  for (const c of comps) c.pred = 0;
+  let units = 0;
+
+  if (comps.length === 1) {
+    const c = comps[0];
+    const bw = Math.ceil(c.compW / 8);
+    const bh = Math.ceil(c.compH / 8);
+    for (let row = 0; row < bh; row++) {
+      for (let col = 0; col < bw; col++) {
+        if (restartInterval && units && units % restartInterval === 0) resetAtMarker();
+        decodeBlock(c, row, col);
+        units++;
+      }
+    }
+  } else {
+    for (let mr = 0; mr < frame.mcusPerColumn; mr++) {
+      for (let mc = 0; mc < frame.mcusPerLine; mc++) {
+        if (restartInterval && units && units % restartInterval === 0) resetAtMarker();
+        for (const c of comps) {
+          for (let v = 0; v < c.v; v++) {
+            for (let h = 0; h < c.h; h++) decodeBlock(c, mr * c.v + v, mc * c.h + h);
+          }
+        }
+        units++;
+      }
+    }
+  }
+
+  // advance to the next marker
+  bitCnt = 0;
+  while (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] !== 0x00 && !(bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7))) pos++;
+  return pos;
+}
+
+function jpegToRgb(frame, adobeTransform) {
+  const { width, height, components, hmax, vmax } = frame;
+  const out = new Uint8ClampedArray(width * height * 3);
+
+  const sampleAt = (c, x, y) => {
+    const cx = Math.min(c.compW - 1, Math.floor((x * c.h) / hmax));
+    const cy = Math.min(c.compH - 1, Math.floor((y * c.v) / vmax));
+    return c.pixels[cy * c.blocksPerLine * 8 + cx];
+  };
+
+  if (components.length === 1) {
+    const c = components[0];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const v = sampleAt(c, x, y);
+        const o = (y * width + x) * 3;
+        out[o] = out[o + 1] = out[o + 2] = v;
+      }
+    }
+    return { width, height, data: out };
+  }
+
+  if (components.length !== 3) throw new ImageError("JPEG: CMYK images are not supported", "unsupported_format");
+
+  const transform = adobeTransform == null ? true : adobeTransform !== 0;
+  const [cy, ccb, ccr] = components;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const Y = sampleAt(cy, x, y);
+      const Cb = sampleAt(ccb, x, y);
+      const Cr = sampleAt(ccr, x, y);
+      const o = (y * width + x) * 3;
+      if (transform) {
+        out[o] = Y + 1.402 * (Cr - 128);
+        out[o + 1] = Y - 0.344136 * (Cb - 128) - 0.714136 * (Cr - 128);
+        out[o + 2] = Y + 1.772 * (Cb - 128);
+      } else {
+        out[o] = Y;
+        out[o + 1] = Cb;
+        out[o + 2] = Cr;
+      }
+    }
+  }
+  return { width, height, data: out };
+}
+
+// ----------------------------
+// JPEG encoding (baseline, 4:2:0, standard Annex K tables)
+// ----------------------------
+const STD_Q_LUMA = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51,
+  87, 80, 62, 18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+const STD_Q_CHROMA = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99,
+];
+
+// { counts: bits per code length 1..16, symbols }
+const STD_HUFF = {
+  dcLuma: {
+    counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  dcChroma: {
+    counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  acLuma: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14,
+      0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72, 0x82, 0x09,
+      0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a,
+      0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65,
+      0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88,
+      0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9,
+      0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca,
+      0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea,
+      0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+    ],
+  },
+  acChroma: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32,
+      0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16,
+      0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39,
+      0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64,
+      0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86,
+      0x87, 0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8,
+      0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9,
+      0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+    ],
+  },
+};
+
+// symbol -> [code, length]
+function huffmanCodes({ counts, symbols }) {
+  const codes = new Map();
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let i = 0; i < counts[len - 1]; i++) codes.set(symbols[k++], [code++, len]);
+    code <<= 1;
+  }
+  return codes;
+}
+
+// IJG quality scaling; tables returned in zigzag order, as written to DQT
+function scaleQuant(base, quality) {
+  const q = Math.max(1, Math.min(100, Math.round(quality)));
+  const s = q < 50 ? 5000 / q : 200 - q * 2;
+  const out = new Int32Array(64);
+  for (let i = 0; i < 64; i++) out[i] = Math.max(1, Math.min(255, Math.floor((base[ZIGZAG[i]] * s + 50) / 100)));
+  return out;
+}
+
+class BitWriter {
+  constructor(size) {
+    this.buf = Buffer.alloc(size);
+    this.pos = 0;
+    this.acc = 0;
+    this.nbits = 0;
+  }
+  byte(b) {
+    if (this.pos >= this.buf.length) {
+      const next = Buffer.alloc(this.buf.length * 2);
+      this.buf.copy(next);
+      this.buf = next;
+    }
+    this.buf[this.pos++] = b;
+  }
+  bytes(arr) {
+    for (const b of arr) this.byte(b);
+  }
+  bits(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.acc = (this.acc << 1) | ((value >> i) & 1);
+      if (++this.nbits === 8) {
+        this.byte(this.acc);
+        if (this.acc === 0xff) this.byte(0); // byte stuffing
+        this.acc = 0;
+        this.nbits = 0;
+      }
+    }
+  }
+  flush() {
+    if (this.nbits) this.bits(0x7f, 8 - this.nbits); // pad with 1s
+  }
+}
+
+const FDCT_ROWS = new Float32Array(64);
+const FDCT_OUT = new Float32Array(64);
+
+function fdctQuantize(block, qz, out) {
+  // rows: FDCT_ROWS[y][u] = sum_x block[y][x] * cos(x,u)
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let s = 0;
+      for (let x = 0; x < 8; x++) s += block[y * 8 + x] * IDCT_COS[x * 8 + u];
+      FDCT_ROWS[y * 8 + u] = s;
+    }
+  }
+  // columns
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let s = 0;
+      for (let y = 0; y < 8; y++) s += FDCT_ROWS[y * 8 + u] * IDCT_COS[y * 8 + v];
+      FDCT_OUT[v * 8 + u] = s;
+    }
+  }
+  for (let i = 0; i < 64; i++) out[i] = Math.round(FDCT_OUT[ZIGZAG[i]] / qz[i]);
+}
+
+function sizeOf(v) {
+  let a = Math.abs(v);
+  let n = 0;
+  while (a) {
+    n++;
+    a >>= 1;
+  }
+  return n;
+}
+
+function writeBlock(w, coef, prevDc, dcCodes, acCodes) {
+  const diff = coef[0] - prevDc;
+  const ds = sizeOf(diff);
+  w.bits(...dcCodes.get(ds));
+  if (ds) w.bits(diff < 0 ? diff + (1 << ds) - 1 : diff, ds);
+
+  let run = 0;
+  for (let i = 1; i < 64; i++) {
+    const v = coef[i];
+    if (!v) {
+      run++;
+      continue;
+    }
+    while (run > 15) {
+      w.bits(...acCodes.get(0xf0));
+      run -= 16;
+    }
+    const s = sizeOf(v);
+    w.bits(...acCodes.get((run << 4) | s));
+    w.bits(v < 0 ? v + (1 << s) - 1 : v, s);
+    run = 0;
+  }
+  if (run) w.bits(...acCodes.get(0x00)); // EOB
+  return coef[0];
+}
+
+/**
+ * Encode an RGB image as a baseline JFIF JPEG (Buffer). Used to hand
+ * normalized images back to the model and the UI; not tuned for size.
+ */
+export function encodeJpeg(img, quality = 88) {
+  const { width, height, data } = img;
+  const qY = scaleQuant(STD_Q_LUMA, quality);
+  const qC = scaleQuant(STD_Q_CHROMA, quality);
+  const codes = {
+    dcY: huffmanCodes(STD_HUFF.dcLuma),
+    acY: huffmanCodes(STD_HUFF.acLuma),
+    dcC: huffmanCodes(STD_HUFF.dcChroma),
+    acC: huffmanCodes(STD_HUFF.acChroma),
+  };
+
+  const w = new BitWriter(Math.max(4096, width * height));
+  const marker = (m, payload) => {
+    w.bytes([0xff, m, (payload.length + 2) >> 8, (payload.length + 2) & 255]);
+    w.bytes(payload);
+  };
+
+  w.bytes([0xff, 0xd8]);
+  marker(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  marker(0xdb, [0, ...qY, 1, ...qC]);
+  marker(0xc0, [8, height >> 8, height & 255, width >> 8, width & 255, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  marker(0xc4, [
+    0x00, ...STD_HUFF.dcLuma.counts, ...STD_HUFF.dcLuma.symbols,
+    0x10, ...STD_HUFF.acLuma.counts, ...STD_HUFF.acLuma.symbols,
+    0x01, ...STD_HUFF.dcChroma.counts, ...STD_HUFF.dcChroma.symbols,
+    0x11, ...STD_HUFF.acChroma.counts, ...STD_HUFF.acChroma.symbols,
+  ]);
+  marker(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  const px = (x, y) => (Math.min(height - 1, y) * width + Math.min(width - 1, x)) * 3;
+  const Y = new Float32Array(64);
+  const Cb = new Float32Array(64);
+  const Cr = new Float32Array(64);
+  const coef = new Int32Array(64);
+  let dcY = 0;
+  let dcCb = 0;
+  let dcCr = 0;
+
+  for (let my = 0; my < height; my += 16) {
+    for (let mx = 0; mx < width; mx += 16) {
+      Cb.fill(0);
+      Cr.fill(0);
+      for (let by = 0; by < 2; by++) {
+        for (let bx = 0; bx < 2; bx++) {
+          for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+              const sx = mx + bx * 8 + x;
+              const sy = my + by * 8 + y;
+              const p = px(sx, sy);
+              const r = data[p];
+              const g = data[p + 1];
+              const b = data[p + 2];
+              Y[y * 8 + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+              const c = ((by * 8 + y) >> 1) * 8 + ((bx * 8 + x) >> 1);
+              Cb[c] += (-0.168736 * r - 0.331264 * g + 0.5 * b) / 4;
+              Cr[c] += (0.5 * r - 0.418688 * g - 0.081312 * b) / 4;
+            }
+          }
+          fdctQuantize(Y, qY, coef);
+          dcY = writeBlock(w, coef, dcY, codes.dcY, codes.acY);
+        }
+      }
+      fdctQuantize(Cb, qC, coef);
+      dcCb = writeBlock(w, coef, dcCb, codes.dcC, codes.acC);
+      fdctQuantize(Cr, qC, coef);
+      dcCr = writeBlock(w, coef, dcCr, codes.dcC, codes.acC);
+    }
+  }
+
+  w.flush();
+  w.bytes([0xff, 0xd9]);
+  return w.buf.subarray(0, w.pos);
+}
+
+export function toJpegDataUrl(img, quality = 88) {
+  return `data:image/jpeg;base64,${encodeJpeg(img, quality).toString("base64")}`;
+}
@@ -0,0 +1,178 @@
+// /api/_lib/imageCache.js  (MODEL RESULTS BY IMAGE)
+//
+// People re-run the same photos (after toggling strict, re-opening the page,
+// analyze after a separate identify), and every run paid for fresh model
+// calls. Model-stage results (identify extraction, grading) are stored against
+// fingerprints of the submitted photos:
+//   sha     SHA-256 of the decoded pixels: the same picture re-sent, even
+//           re-encoded losslessly or with different metadata
+//   dhash   256-bit difference hash: near-duplicates (the same photo
+//           re-compressed, resized or lightly edited)
+// A result is reused only when its stage key (model, prompt version, options)
+// is identical and every side matches, exactly or within MAX_DISTANCE bits.
+//
+// Entries live in the lookup cache's backend (CACHE_BACKEND, see cache.js)
+// and expire after CACHE_TTLS.imageResults.fresh.
+
+import { createHash } from "node:crypto";
+import { CACHE_TTLS, cacheKey, resolveCache } from "./cache.js";
+import { decodeDataUrl, downscale, toGray } from "./image.js";
+
+const HASH_W = 17; // 16 horizontal gradients per row
+const HASH_H = 16;
+const MAX_DISTANCE = 10; // differing dHash bits per side (of 256) still treated as the same photo
+const INDEX_MAX_ENTRIES = 200; // per stage key; oldest dropped first
+
+// ----------------------------
+// Fingerprints
+// ----------------------------
+// Box-average a grayscale image down to exactly w x h.
+function resampleGray(gray, width, height, w, h) {
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor((y * height) / h);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / h));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor((x * width) / w);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / w));
+      let sum = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) sum += gray[yy * width + xx];
+      }
+      out[y * w + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+// 256-bit difference hash (hex) of an image; also used to compare card art (visualMatch.js)
+export function differenceHash(img) {
+  const small = downscale(img, 128);
+  const g = resampleGray(toGray(small), small.width, small.height, HASH_W, HASH_H);
+  let hex = "";
+  for (let y = 0; y < HASH_H; y++) {
+    for (let x = 0; x < HASH_W - 1; x += 4) {
+      let nibble = 0;
+      for (let b = 0; b < 4; b++) {
+        const i = y * HASH_W + x + b;
+        nibble = (nibble << 1) | (g[i] < g[i + 1] ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+  }
+  return hex;
+}
+
+/**
+ * { sha, dhash } for a photo data URL. Images the decoder can't read fall back
+ * to a hash of the encoded bytes, with no near-duplicate matching.
+ */
+export function imageFingerprint(dataUrl) {
+  let image;
+  try {
+    ({ image } = decodeDataUrl(dataUrl));
+  } catch {
+    return { sha: createHash("sha256").update(String(dataUrl || "")).digest("hex"), dhash: null };
+  }
+  const sha = createHash("sha256")
+    .update(`${image.width}x${image.height}:`)
+    .update(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength))
+    .digest("hex");
+  return { sha, dhash: differenceHash(image) };
+}
+
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let d = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; x; x &= x - 1) d++;
+  }
+  return d;
+}
+
+// ----------------------------
+// Lookup / store
+// ----------------------------
+// `images` is { side: dataUrl } (e.g. { front } or { front, back }).
+function fingerprints(images) {
+  const out = {};
+  for (const side of Object.keys(images).sort()) out[side] = imageFingerprint(images[side]);
+  return out;
+}
+
+// Sum of per-side distances, or Infinity when any side is too far apart.
+function matchDistance(a, b) {
+  const sides = Object.keys(a);
+  if (sides.length !== Object.keys(b).length) return Infinity;
+  let total = 0;
+  for (const side of sides) {
+    if (!b[side]) return Infinity;
+    if (a[side].sha === b[side].sha) continue;
+    const d = hammingDistance(a[side].dhash, b[side].dhash);
+    if (d > MAX_DISTANCE) return Infinity;
+    total += d;
+  }
+  return total;
+}
+
+const indexKey = (stage, key) => cacheKey("imageResults", { index: stage, key });
+const resultKey = (stage, key, fps) =>
+  cacheKey("imageResults", { stage, key, sha: Object.values(fps).map((f) => f.sha) });
+
+/**
+ * Find a stored result of `stage` for these photos under `key` (model, prompt
+ * version, options). Returns { value, match: "exact"|"near", distance, ageMs }
+ * or null. `value` is a fresh copy the caller may modify.
+ */
+export async function findImageResult(stage, key, images) {
+  const store = resolveCache();
+  if (!store) return null;
+  const fps = fingerprints(images);
+  const maxAge = CACHE_TTLS.imageResults.fresh;
+
+  const exact = await store.get(resultKey(stage, key, fps));
+  if (exact && Date.now() - exact.storedAt < maxAge) {
+    return { value: structuredClone(exact.value), match: "exact", distance: 0, ageMs: Date.now() - exact.storedAt };
+  }
+
+  const index = (await store.get(indexKey(stage, key)))?.value || [];
+  let best = null;
+  for (const e of index) {
+    if (Date.now() - e.storedAt >= maxAge) continue;
+    const d = matchDistance(fps, e.fps);
+    if (d < (best?.distance ?? Infinity)) best = { entry: e, distance: d };
+  }
+  if (!best) return null;
+
+  const hit = await store.get(resultKey(stage, key, best.entry.fps));
+  if (!hit) return null;
+  return {
+    value: structuredClone(hit.value),
+    match: best.distance === 0 ? "exact" : "near",
+    distance: best.distance,
+    ageMs: Date.now() - hit.storedAt,
+  };
+}
+
+/**
+ * Store `value` as the result of `stage` for these photos under `key`.
+ * Never throws: a failed write only costs the next run a model call.
+ */
+export async function storeImageResult(stage, key, images, value) {
+  try {
+    const store = resolveCache();
+    if (!store) return;
+    const fps = fingerprints(images);
+    const storedAt = Date.now();
+    await store.set(resultKey(stage, key, fps), { storedAt, value: structuredClone(value) });
+
+    const ik = indexKey(stage, key);
+    const shas = (f) => Object.values(f).map((x) => x.sha).join(",");
+    const index = ((await store.get(ik))?.value || []).filter((e) => shas(e.fps) !== shas(fps));
+    index.push({ fps, storedAt });
+    await store.set(ik, { storedAt, value: index.slice(-INDEX_MAX_ENTRIES) });
+  } catch (e) {
+    console.error(`image cache ${stage}:`, e?.message || e);
+  }
+}
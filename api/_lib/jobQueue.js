@@ -0,0 +1,538 @@
+// /api/_lib/jobQueue.js  (JOB QUEUE)
+//
+// Heavy analyses (a multi-pass grade, a binder page) outlast a client's
+// request timeout. POST /api/jobs stores the work here as a job and answers
+// with its ID straight away; a worker (api/jobs/_worker.js) claims queued jobs,
+// runs them and records progress and the result, which GET /api/jobs/:id
+// reports. A job's input (photos included) is stored once, apart from the
+// record, so progress updates never rewrite it. It is written in one piece —
+// for kv one SET, which has to fit Upstash's request size limit (1MB on its
+// free plan) — so enqueueJob refuses an input over JOB_INPUT_MAX_BYTES: a
+// front/back pair at the page's fast-mode size fits, a many-card batch has to
+// be split into several jobs.
+//
+// Only the worker that claimed a job may write to it: progress, the result and
+// a failure carry the claim's lease ({ workerId, attempt }, see jobLease) and
+// are dropped once the job was claimed again after that lease ran out.
+//
+//   JOB_QUEUE            memory | file | kv   (default: kv on Vercel, memory elsewhere)
+//   JOB_QUEUE_DIR        file: directory for <id>.json + <id>.input.json  (default <tmpdir>/grd-jobs)
+//   JOB_WORKER           inline | external   (default: inline for memory, external otherwise)
+//   JOB_INPUT_MAX_BYTES  largest input, as JSON  (default 1MB; raise it with the Upstash plan's limit)
+//
+// memory is one process's queue (tests, `vercel dev`): the process that
+// enqueues also works it. file is shared between the API and a worker
+// started with `node scripts/job-worker.js` on the same host. kv (see kv.js)
+// is shared by every host, and is the only queue Vercel can use: its function
+// instances share neither memory nor disk. Vercel also freezes a function once
+// it has answered, so a job can't run inline behind the 202 there; on Vercel
+// the queue must be kv and JOB_WORKER external, with scripts/job-worker.js
+// running somewhere long-lived against the same KV_* settings.
+
+import { randomBytes } from "node:crypto";
+import { mkdir, open, readdir, readFile, rename, stat, unlink, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { kvCommand, kvKey, kvPipeline, runsOnVercel } from "./kv.js";
+
+export const JOB_VERSION = "job@1";
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+const ID_BYTES = 16;
+const ID_RE = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+const LEASE_MS = 5 * 60 * 1000; // a running job nobody touched this long is claimed again
+const LOCK_STALE_MS = 5000;
+const FINISHED_TTL_S = 7 * 24 * 3600; // kv: how long a finished job (input included) stays readable
+const DEFAULT_INPUT_MAX_BYTES = 1024 * 1024;
+
+export class JobQueueError extends Error {
+  constructor(message, code = "bad_request") {
+    super(message);
+    this.name = "JobQueueError";
+    this.code = code;
+  }
+}
+
+export function createJobId() {
+  return randomBytes(ID_BYTES).toString("base64url");
+}
+
+export function isJobId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+const isDue = (job, now) =>
+  (job.status === "queued" && (job.runAfter || 0) <= now) || (job.status === "running" && (job.leaseUntil || 0) <= now);
+
+// ----------------------------
+// Adapters
+// ----------------------------
+// Every adapter exposes:
+//   name
+//   shared -> whether every instance sees the same queue
+//   create(job, input) -> void
+//   get(id) -> job | null
+//   input(id) -> the stored input | null
+//   update(id, fn) -> fn(job) applied atomically; returns the new job (null if unknown).
+//                     fn returns the job itself to leave it untouched.
+//   claim(workerId, now) -> oldest due job, now running under workerId (see claimDue); null if none
+//   pending() -> number of queued or running jobs
+
+const memoryJobs = new Map();
+const memoryInputs = new Map();
+
+const memoryAdapter = {
+  name: "memory",
+  shared: false,
+  async create(job, input) {
+    memoryJobs.set(job.id, JSON.stringify(job));
+    memoryInputs.set(job.id, JSON.stringify(input));
+  },
+  async get(id) {
+    const s = memoryJobs.get(id);
+    return s ? JSON.parse(s) : null;
+  },
+  async input(id) {
+    const s = memoryInputs.get(id);
+    return s ? JSON.parse(s) : null;
+  },
+  async update(id, fn) {
+    const s = memoryJobs.get(id);
+    if (!s) return null;
+    const job = JSON.parse(s);
+    const next = fn(job);
+    if (next !== job) memoryJobs.set(id, JSON.stringify(next));
+    return next;
+  },
+  async claim(workerId, now) {
+    for (const [id, s] of memoryJobs) {
+      if (!isDue(JSON.parse(s), now)) continue;
+      const job = await this.update(id, (j) => claimDue(j, workerId, now));
+      if (job.status === "running") return job;
+    }
+    return null;
+  },
+  async pending() {
+    let n = 0;
+    for (const s of memoryJobs.values()) if (["queued", "running"].includes(JSON.parse(s).status)) n++;
+    return n;
+  },
+};
+
+function queueDir() {
+  return process.env.JOB_QUEUE_DIR || path.join(os.tmpdir(), "grd-jobs");
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// write-then-rename so a reader never sees half a file
+async function writeJson(file, value) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  await writeFile(tmp, JSON.stringify(value), "utf8");
+  await rename(tmp, file);
+}
+
+// Read-modify-write under <id>.lock, created exclusively, so the API, a worker
+// and a second worker never interleave their writes to one job. A write takes
+// milliseconds; a lock older than LOCK_STALE_MS was left by a process that died
+// holding it, and is taken over.
+async function withFileLock(id, fn) {
+  const lock = path.join(queueDir(), `${id}.lock`);
+  for (let i = 0; ; i++) {
+    try {
+      const h = await open(lock, "wx");
+      await h.close();
+      break;
+    } catch (e) {
+      if (e?.code !== "EEXIST") throw e;
+      const held = await stat(lock).catch(() => null);
+      if (held && Date.now() - held.mtimeMs > LOCK_STALE_MS) {
+        await unlink(lock).catch(() => {});
+        continue;
+      }
+      if (i >= 50) throw e;
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await unlink(lock).catch(() => {});
+  }
+}
+
+const fileAdapter = {
+  name: "file",
+  shared: false, // one host's disk
+  async create(job, input) {
+    const dir = queueDir();
+    await mkdir(dir, { recursive: true });
+    // the input first: a worker may see the job the moment its record exists
+    await writeJson(path.join(dir, `${job.id}.input.json`), input);
+    await writeJson(path.join(dir, `${job.id}.json`), job);
+  },
+  async get(id) {
+    return await readJson(path.join(queueDir(), `${id}.json`));
+  },
+  async input(id) {
+    return await readJson(path.join(queueDir(), `${id}.input.json`));
+  },
+  async update(id, fn) {
+    const file = path.join(queueDir(), `${id}.json`);
+    return await withFileLock(id, async () => {
+      const job = await readJson(file);
+      if (!job) return null;
+      const next = fn(job);
+      if (next !== job) await writeJson(file, next);
+      return next;
+    });
+  },
+  async claim(workerId, now) {
+    const jobs = await this.list();
+    for (const job of jobs.filter((j) => isDue(j, now)).sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+      let claimed = null;
+      try {
+        // another worker may have taken it since the listing; only a still-due job is ours
+        await this.update(job.id, (j) => {
+          if (!isDue(j, now)) return j;
+          const next = claimDue(j, workerId, now);
+          if (next.status === "running") claimed = next;
+          return next;
+        });
+      } catch (e) {
+        if (e?.code === "EEXIST") continue; // locked by someone else right now
+        throw e;
+      }
+      if (claimed) return claimed;
+    }
+    return null;
+  },
+  async pending() {
+    return (await this.list()).filter((j) => j.status === "queued" || j.status === "running").length;
+  },
+  async list() {
+    let names;
+    try {
+      names = await readdir(queueDir());
+    } catch (e) {
+      if (e?.code === "ENOENT") return [];
+      throw e;
+    }
+    const out = [];
+    for (const n of names) {
+      if (!n.endsWith(".json") || n.endsWith(".input.json") || n.startsWith(".")) continue;
+      const job = await readJson(path.join(queueDir(), n));
+      if (job) out.push(job);
+    }
+    return out;
+  },
+};
+
+// kv: the record at job:<id>, the input at job:<id>:input, and a "jobs:due"
+// sorted set of the queued and running jobs scored by when each is next due
+// (runAfter, or leaseUntil while running), so claiming is one range query.
+// Writes go through a job:<id>:lock key set NX with a LOCK_STALE_MS expiry —
+// the file adapter's lock, with Redis expiring a dead holder's lock. The lock
+// holds a random token and is only deleted while it still holds ours: a holder
+// that outlived the expiry must not release the lock someone else took since.
+const kvJobKey = (id, ...rest) => kvKey("job", id, ...rest);
+const kvDueKey = () => kvKey("jobs", "due");
+
+function dueAt(job) {
+  if (job.status === "queued") return job.runAfter || 0;
+  if (job.status === "running") return job.leaseUntil || 0;
+  return null;
+}
+
+async function withKvLock(id, fn) {
+  const lock = kvJobKey(id, "lock");
+  const token = randomBytes(ID_BYTES).toString("base64url");
+  for (let i = 0; ; i++) {
+    if ((await kvCommand(["SET", lock, token, "NX", "PX", LOCK_STALE_MS])) === "OK") break;
+    if (i >= 50) throw Object.assign(new Error(`Job ${id} is locked`), { code: "EEXIST" });
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  try {
+    return await fn();
+  } finally {
+    const release = async () => {
+      if ((await kvCommand(["GET", lock])) === token) await kvCommand(["DEL", lock]);
+    };
+    await release().catch(() => {});
+  }
+}
+
+// The record write plus the due-set change it implies, as one pipeline.
+function kvWrite(job) {
+  const at = dueAt(job);
+  if (at != null) return [["SET", kvJobKey(job.id), JSON.stringify(job)], ["ZADD", kvDueKey(), at, job.id]];
+  return [
+    ["SET", kvJobKey(job.id), JSON.stringify(job), "EX", FINISHED_TTL_S],
+    ["EXPIRE", kvJobKey(job.id, "input"), FINISHED_TTL_S],
+    ["ZREM", kvDueKey(), job.id],
+  ];
+}
+
+const kvAdapter = {
+  name: "kv",
+  shared: true,
+  async create(job, input) {
+    // the input first: a worker may see the job the moment it is in the due set
+    await kvCommand(["SET", kvJobKey(job.id, "input"), JSON.stringify(input)]);
+    await kvPipeline(kvWrite(job));
+  },
+  async get(id) {
+    const s = await kvCommand(["GET", kvJobKey(id)]);
+    return s ? JSON.parse(s) : null;
+  },
+  async input(id) {
+    const s = await kvCommand(["GET", kvJobKey(id, "input")]);
+    return s ? JSON.parse(s) : null;
+  },
+  async update(id, fn) {
+    return await withKvLock(id, async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+      const next = fn(job);
+      if (next !== job) await kvPipeline(kvWrite(next));
+      return next;
+    });
+  },
+  async claim(workerId, now) {
+    const ids = await kvCommand(["ZRANGEBYSCORE", kvDueKey(), "-inf", now, "LIMIT", 0, 10]);
+    for (const id of ids || []) {
+      let claimed = null;
+      try {
+        // another worker may have taken it since the range query; only a still-due job is ours
+        const job = await this.update(id, (j) => {
+          if (!isDue(j, now)) return j;
+          const next = claimDue(j, workerId, now);
+          if (next.status === "running") claimed = next;
+          return next;
+        });
+        // a record that expired or was deleted leaves nothing to run
+        if (!job) await kvCommand(["ZREM", kvDueKey(), id]);
+      } catch (e) {
+        if (e?.code === "EEXIST") continue; // locked by someone else right now
+        throw e;
+      }
+      if (claimed) return claimed;
+    }
+    return null;
+  },
+  async pending() {
+    return Number(await kvCommand(["ZCARD", kvDueKey()])) || 0;
+  },
+};
+
+const ADAPTERS = {
+  memory: memoryAdapter,
+  file: fileAdapter,
+  kv: kvAdapter,
+};
+
+export function resolveJobQueue() {
+  const name = String(process.env.JOB_QUEUE || (runsOnVercel() ? "kv" : "memory")).toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown JOB_QUEUE "${name}"`);
+  if (!adapter.shared && runsOnVercel()) {
+    throw new Error(`JOB_QUEUE=${name} isn't shared between Vercel functions, so queued jobs would be lost; use JOB_QUEUE=kv`);
+  }
+  return adapter;
+}
+
+// Whether the process that enqueues a job should also run it. Never on
+// Vercel, which freezes the function (and an inline loop with it) once the
+// 202 is sent.
+export function runsJobsInline() {
+  const mode = String(process.env.JOB_WORKER || (resolveJobQueue().name === "memory" ? "inline" : "external")).toLowerCase();
+  if (mode === "inline" && runsOnVercel()) {
+    throw new Error("JOB_WORKER=inline can't run on Vercel, which freezes a function once it has answered; use JOB_WORKER=external with scripts/job-worker.js");
+  }
+  return mode === "inline";
+}
+
+// ----------------------------
+// Job lifecycle
+// ----------------------------
+// What claiming a due job turns it into: running under workerId, or — when its
+// lease ran out with no attempts left (the worker crashed or hung on it every
+// time) — failed, so a job that kills its worker can't be retried forever.
+function claimDue(job, workerId, now) {
+  if (job.status === "running" && job.attempts >= job.maxAttempts) {
+    const at = new Date(now).toISOString();
+    const error = { message: `Worker stopped responding on attempt ${job.attempts} of ${job.maxAttempts}` };
+    return {
+      ...job,
+      status: "failed",
+      error,
+      errors: [...(job.errors || []), { attempt: job.attempts, at, transient: true, ...error }],
+      leaseUntil: null,
+      updatedAt: at,
+      finishedAt: at,
+    };
+  }
+  return startRun(job, workerId, now);
+}
+
+function startRun(job, workerId, now) {
+  return {
+    ...job,
+    status: "running",
+    attempts: job.attempts + 1,
+    workerId,
+    startedAt: job.startedAt || new Date(now).toISOString(),
+    leaseUntil: now + LEASE_MS,
+    updatedAt: new Date(now).toISOString(),
+  };
+}
+
+function inputMaxBytes() {
+  const n = Number(process.env.JOB_INPUT_MAX_BYTES);
+  return n > 0 ? n : DEFAULT_INPUT_MAX_BYTES;
+}
+
+/**
+ * Store a new queued job. `input` is kept apart from the record (see the
+ * adapters) and handed to the runner as is. Returns the job record; throws
+ * JobQueueError "too_large" for an input over JOB_INPUT_MAX_BYTES.
+ */
+export async function enqueueJob(type, input, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  const bytes = Buffer.byteLength(JSON.stringify(input));
+  if (bytes > inputMaxBytes()) {
+    const mb = (n) => (n / 1048576).toFixed(1);
+    throw new JobQueueError(`Job input is ${mb(bytes)}MB (max ${mb(inputMaxBytes())}MB); split it into several jobs`, "too_large");
+  }
+  const now = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    version: JOB_VERSION,
+    type,
+    status: "queued",
+    attempts: 0,
+    maxAttempts,
+    runAfter: 0,
+    leaseUntil: null,
+    workerId: null,
+    progress: null,
+    result: null,
+    error: null,
+    errors: [],
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+  await resolveJobQueue().create(job, input);
+  return job;
+}
+
+// A stored job, or null when the ID is malformed or unknown.
+export async function getJob(id) {
+  if (!isJobId(id)) return null;
+  return await resolveJobQueue().get(id);
+}
+
+export async function jobInput(id) {
+  return await resolveJobQueue().input(id);
+}
+
+export async function claimJob(workerId) {
+  return await resolveJobQueue().claim(workerId, Date.now());
+}
+
+export async function pendingJobs() {
+  return await resolveJobQueue().pending();
+}
+
+// What a worker holds a claimed job by: the claim's worker and attempt.
+export function jobLease(job) {
+  return { workerId: job.workerId, attempt: job.attempts };
+}
+
+const holdsLease = (job, lease) => job.status === "running" && job.workerId === lease?.workerId && job.attempts === lease?.attempt;
+
+// Apply fn to the job only while `lease` still holds it. Returns the new job,
+// or null when the job is unknown or was claimed again (or finished) since.
+async function updateLeased(id, lease, fn) {
+  let held = false;
+  const job = await resolveJobQueue().update(id, (j) => {
+    if (!holdsLease(j, lease)) return j;
+    held = true;
+    return fn(j);
+  });
+  return held ? job : null;
+}
+
+// Record progress on a running job and extend its lease.
+export async function reportProgress(id, progress, lease) {
+  const now = Date.now();
+  return await updateLeased(id, lease, (job) => ({
+    ...job,
+    progress: { ...job.progress, ...progress },
+    leaseUntil: now + LEASE_MS,
+    updatedAt: new Date(now).toISOString(),
+  }));
+}
+
+export async function completeJob(id, result, lease) {
+  const now = new Date().toISOString();
+  return await updateLeased(id, lease, (job) => ({
+    ...job,
+    status: "succeeded",
+    result,
+    error: null,
+    leaseUntil: null,
+    updatedAt: now,
+    finishedAt: now,
+  }));
+}
+
+/**
+ * Record a failed attempt. A transient error with attempts left puts the job
+ * back in the queue after an exponential backoff; anything else fails it.
+ */
+export async function failJob(id, error, lease, { transient = false } = {}) {
+  const now = Date.now();
+  return await updateLeased(id, lease, (job) => {
+    const entry = { attempt: job.attempts, at: new Date(now).toISOString(), transient, ...error };
+    const base = { ...job, errors: [...(job.errors || []), entry], leaseUntil: null, updatedAt: entry.at };
+    if (transient && job.attempts < job.maxAttempts) {
+      return { ...base, status: "queued", runAfter: now + retryDelayMs(job.attempts), error: null };
+    }
+    return { ...base, status: "failed", error, finishedAt: entry.at };
+  });
+}
+
+// 2s, 4s, 8s, ... capped at a minute, with ±20% jitter so retries don't move in step
+export function retryDelayMs(attempt) {
+  const ms = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+}
+
+// Timeouts, dropped connections, rate limits and 5xx answers are worth another try.
+export function isTransientError(e) {
+  if (e?.transient != null) return !!e.transient;
+  const status = Number(e?.status);
+  if ([408, 425, 429, 500, 502, 503, 504].includes(status)) return true;
+  const msg = `${e?.name || ""} ${e?.code || ""} ${e?.message || e || ""}`;
+  return /AbortError|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed|FETCH_ERR|HTTP (408|425|429|5\d\d)\b/i.test(
+    msg
+  );
+}
+
+// What GET /api/jobs/:id shows: the record without worker bookkeeping.
+export function publicJob(job) {
+  const { leaseUntil, workerId, runAfter, ...rest } = job;
+  return { ...rest, retryAt: job.status === "queued" && runAfter ? new Date(runAfter).toISOString() : null };
+}
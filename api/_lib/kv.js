@@ -0,0 +1,71 @@
+// /api/_lib/kv.js  (SHARED KEY-VALUE STORE)
+//
+// On Vercel every function runs on its own short-lived instances: memory and
+// the temp directory are neither shared between functions nor kept between
+// requests. Whatever has to outlive one request — shared reports, labelled
+// examples, the job queue — goes to Redis over its REST API instead (Upstash,
+// which is also what a Vercel KV / Upstash integration provisions). Commands
+// are plain Redis commands as arrays: kvCommand(["SET", key, value, "NX"]).
+//
+//   KV_REST_API_URL     REST endpoint  (or UPSTASH_REDIS_REST_URL)
+//   KV_REST_API_TOKEN   its token      (or UPSTASH_REDIS_REST_TOKEN)
+//   KV_PREFIX           prefix for every key  (default grd:)
+//
+// Store traffic is state, not a lookup worth recording, so it uses fetch
+// directly: HTTP_MODE (see http.js) doesn't apply to it.
+
+const TIMEOUT_MS = 5000;
+
+// Whether this process runs on Vercel, where only a shared backend keeps state.
+export function runsOnVercel() {
+  return !!process.env.VERCEL;
+}
+
+function kvConfig() {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  if (!url || !token) throw new Error("The kv backend needs KV_REST_API_URL and KV_REST_API_TOKEN");
+  return { url: url.replace(/\/+$/, ""), token };
+}
+
+export function kvKey(...parts) {
+  return `${process.env.KV_PREFIX ?? "grd:"}${parts.join(":")}`;
+}
+
+async function post(path, body) {
+  const { url, token } = kvConfig();
+  const r = await fetch(`${url}${path}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  const j = await r.json().catch(() => null);
+  if (!r.ok || j == null) {
+    throw Object.assign(new Error(`KV HTTP ${r.status}${j?.error ? `: ${j.error}` : ""}`), { status: r.status });
+  }
+  return j;
+}
+
+/**
+ * Run one Redis command, e.g. ["GET", key]. Returns its result; a Redis
+ * error is thrown.
+ */
+export async function kvCommand(command) {
+  const j = await post("", command.map(String));
+  if (j.error) throw new Error(`KV ${command[0]}: ${j.error}`);
+  return j.result;
+}
+
+/**
+ * Run several commands in one round trip (not atomically; use EVAL for
+ * that). Returns their results in order; the first Redis error is thrown.
+ */
+export async function kvPipeline(commands) {
+  if (!commands.length) return [];
+  const out = await post("/pipeline", commands.map((c) => c.map(String)));
+  return out.map((x, i) => {
+    if (x.error) throw new Error(`KV ${commands[i][0]}: ${x.error}`);
+    return x.result;
+  });
+}
@@ -0,0 +1,153 @@
+// /api/_lib/labelStore.js  (LABELLED IDENTIFY EXAMPLES)
+//
+// Every identity confirmed through /api/confirm is also a labelled example:
+// what the model read off the card next to what the card turned out to be.
+// Stored examples are the ground truth for measuring extraction and resolver
+// accuracy later (per field, per game, per prompt version). Photos are never
+// stored; a front fingerprint (see imageCache.js) ties examples of the same
+// photo together.
+//
+//   LABEL_STORE       kv | file | memory | off   (default: kv on Vercel, file elsewhere)
+//   LABEL_STORE_DIR   file: directory for <createdAt>-<id>.json  (default <tmpdir>/grd-labels)
+//
+// Like the report store, kv is the shared backend (see kv.js) and file is for
+// local use and single-instance hosts. On Vercel file and memory would scatter
+// examples over short-lived instances and lose them, so they are refused there.
+
+import { randomBytes } from "node:crypto";
+import { mkdir, readdir, readFile, rename, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { kvCommand, kvKey, runsOnVercel } from "./kv.js";
+
+export const LABEL_VERSION = "label@1";
+
+// The fields a user can confirm or correct, in extraction terms.
+export const LABEL_FIELDS = ["game", "name", "nameEn", "set", "setCode", "collectorNumber", "variant", "language"];
+
+// ----------------------------
+// Adapters
+// ----------------------------
+// Every adapter exposes:
+//   name
+//   shared -> whether every instance sees the same records
+//   put(record) -> void
+//   list() -> records, oldest first
+
+const memoryRecords = [];
+
+const memoryAdapter = {
+  name: "memory",
+  shared: false,
+  async put(record) {
+    memoryRecords.push(JSON.stringify(record));
+  },
+  async list() {
+    return memoryRecords.map((s) => JSON.parse(s));
+  },
+};
+
+function storeDir() {
+  return process.env.LABEL_STORE_DIR || path.join(os.tmpdir(), "grd-labels");
+}
+
+const fileAdapter = {
+  name: "file",
+  shared: false,
+  async put(record) {
+    const dir = storeDir();
+    await mkdir(dir, { recursive: true });
+    // the timestamp prefix keeps a directory listing in creation order
+    const base = `${record.createdAt.replace(/[^0-9]/g, "")}-${record.id}`;
+    const tmp = path.join(dir, `.${base}.tmp`);
+    await writeFile(tmp, JSON.stringify(record), "utf8");
+    await rename(tmp, path.join(dir, `${base}.json`));
+  },
+  async list() {
+    let names;
+    try {
+      names = await readdir(storeDir());
+    } catch (e) {
+      if (e?.code === "ENOENT") return [];
+      throw e;
+    }
+    const out = [];
+    for (const n of names.filter((x) => x.endsWith(".json")).sort()) {
+      out.push(JSON.parse(await readFile(path.join(storeDir(), n), "utf8")));
+    }
+    return out;
+  },
+};
+
+const offAdapter = {
+  name: "off",
+  shared: true, // nothing kept, so nothing lost
+  async put() {},
+  async list() {
+    return [];
+  },
+};
+
+// one list, appended to, so it reads back in creation order
+const kvAdapter = {
+  name: "kv",
+  shared: true,
+  async put(record) {
+    await kvCommand(["RPUSH", kvKey("labels"), JSON.stringify(record)]);
+  },
+  async list() {
+    return (await kvCommand(["LRANGE", kvKey("labels"), 0, -1])).map((s) => JSON.parse(s));
+  },
+};
+
+const ADAPTERS = {
+  kv: kvAdapter,
+  file: fileAdapter,
+  memory: memoryAdapter,
+  off: offAdapter,
+};
+
+export function resolveLabelStore() {
+  const name = String(process.env.LABEL_STORE || (runsOnVercel() ? "kv" : "file")).toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown LABEL_STORE "${name}"`);
+  if (!adapter.shared && runsOnVercel()) {
+    throw new Error(`LABEL_STORE=${name} keeps examples on one instance, so they would be lost on Vercel; use LABEL_STORE=kv (or off)`);
+  }
+  return adapter;
+}
+
+function pickFields(v) {
+  const out = {};
+  for (const k of LABEL_FIELDS) out[k] = v?.[k] ?? null;
+  return out;
+}
+
+/**
+ * Store one confirmed identification. `predicted` is the extraction as the
+ * model returned it, `corrections` the fields the user changed, `confirmed`
+ * the locked identity. Returns the stored record.
+ */
+export async function saveLabel({ predicted, predictedCandidateId = null, corrections = {}, confirmed, photo = null, model = null }) {
+  const record = {
+    id: randomBytes(12).toString("base64url"),
+    version: LABEL_VERSION,
+    createdAt: new Date().toISOString(),
+    model,
+    photo,
+    predicted: { ...pickFields(predicted), candidateId: predictedCandidateId },
+    corrections,
+    confirmed: {
+      ...pickFields(confirmed),
+      candidateId: confirmed?.id || null,
+      method: confirmed?.confirmation?.method || null,
+    },
+  };
+  await resolveLabelStore().put(record);
+  return record;
+}
+
+// Every stored example, oldest first.
+export async function listLabels() {
+  return await resolveLabelStore().list();
+}
@@ -0,0 +1,52 @@
+// /api/_lib/language.js  (CARD LANGUAGES)
+//
+// The extraction returns `language` as the model reads it ("Japanese", "JP",
+// "日本語", "en"); resolvers and pricing need one code per printing language.
+// Codes are lowercase ISO 639-1, with zh-tw / zh-cn for the two Chinese
+// scripts. Catalog-specific spellings (Scryfall's "zhs", Yu-Gi-Oh! region
+// letters) are mapped next to the resolver that needs them.
+
+export const LANGUAGES = {
+  en: { label: "English", aliases: ["eng", "english"] },
+  ja: { label: "Japanese", aliases: ["jp", "jpn", "japanese", "日本語"] },
+  ko: { label: "Korean", aliases: ["kr", "kor", "korean", "한국어"] },
+  "zh-tw": { label: "Chinese (Traditional)", aliases: ["zht", "tc", "traditional chinese", "繁體中文"] },
+  "zh-cn": { label: "Chinese (Simplified)", aliases: ["zhs", "sc", "zh", "chinese", "simplified chinese", "简体中文"] },
+  fr: { label: "French", aliases: ["fra", "fre", "french", "français", "francais"] },
+  de: { label: "German", aliases: ["deu", "ger", "german", "deutsch"] },
+  it: { label: "Italian", aliases: ["ita", "italian", "italiano"] },
+  es: { label: "Spanish", aliases: ["spa", "sp", "spanish", "español", "espanol"] },
+  pt: { label: "Portuguese", aliases: ["por", "portuguese", "português", "portugues", "pt-br"] },
+  ru: { label: "Russian", aliases: ["rus", "russian", "русский"] },
+};
+
+const BY_ALIAS = new Map();
+for (const [code, l] of Object.entries(LANGUAGES)) {
+  for (const a of [code, l.label, ...l.aliases]) BY_ALIAS.set(a.toLowerCase(), code);
+}
+
+/**
+ * Language code for a free-form value, or null when it isn't recognised.
+ */
+export function normalizeLanguage(raw) {
+  const s = String(raw || "").trim().toLowerCase().replace(/_/g, "-");
+  if (!s) return null;
+  return BY_ALIAS.get(s) || BY_ALIAS.get(s.split(/[-\s(]/)[0]) || null;
+}
+
+export function languageLabel(code) {
+  return LANGUAGES[code]?.label || null;
+}
+
+// Asian-market printings have their own sets and numbering; European ones
+// reprint the English sets card for card.
+export function isAsianLanguage(code) {
+  return code === "ja" || code === "ko" || code === "zh-tw" || code === "zh-cn";
+}
+
+// Name for catalogs that only know English names: the extracted English name
+// of a foreign printing, else the printed name.
+export function catalogName(extracted) {
+  const s = extracted?.nameEn || extracted?.name;
+  return s ? String(s).trim() : "";
+}
@@ -0,0 +1,97 @@
+// /api/_lib/lookup.js  (CATALOG LOOKUP HELPERS)
+//
+// Shared plumbing for the card-catalog resolvers in _lib/games/: timeouts and
+// deadlines, a bounded concurrency pool, a retrying JSON GET, and GETs through
+// the lookup cache (cache.js). Every request goes through httpFetch so it can
+// be recorded and replayed.
+
+import { cached } from "./cache.js";
+import { fetchWithTimeout } from "./http.js";
+
+export function nowMs() {
+  return Date.now();
+}
+
+export function normalizeCollectorNumber(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  if (!s) return null;
+  // "11/108" -> "11"
+  if (s.includes("/")) return s.split("/")[0].trim();
+  return s;
+}
+
+/**
+ * A time budget shared by every request of one resolve: `timeout(ms)` caps a
+ * per-request timeout to what is left, `expired()` says not to start another.
+ * `abort()` ends it early, cancelling the requests in flight on its `signal`.
+ */
+export function createDeadline(budgetMs) {
+  const endsAt = nowMs() + budgetMs;
+  const controller = new AbortController();
+  return {
+    budgetMs,
+    signal: controller.signal,
+    abort: () => controller.abort(),
+    remaining: () => Math.max(0, endsAt - nowMs()),
+    timeout: (ms) => Math.max(1, Math.min(ms, endsAt - nowMs())),
+    expired: () => controller.signal.aborted || nowMs() >= endsAt,
+  };
+}
+
+// fn over items with at most `limit` calls in flight; results keep the input order.
+export async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+async function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export async function fetchJsonWithRetries(url, opts, dbg, retries = 1, timeoutMs = 8000, deadline = null) {
+  let lastErr = null;
+  for (let i = 0; i <= retries; i++) {
+    if (i > 0 && deadline?.expired()) break;
+    try {
+      const r = deadline
+        ? await fetchWithTimeout(url, { ...opts, signal: deadline.signal }, deadline.timeout(timeoutMs))
+        : await fetchWithTimeout(url, opts, timeoutMs);
+      const j = await r.json().catch(() => ({}));
+      dbg.http = r.status;
+      dbg.ok = r.ok;
+      dbg.error = r.ok ? null : (j?.error?.message || j?.message || j?.error || `HTTP ${r.status}`);
+      return { r, j };
+    } catch (e) {
+      lastErr = e;
+      dbg.http = "FETCH_ERR";
+      dbg.ok = false;
+      dbg.error = String(e?.message || e);
+      if (i < retries) await sleep(180 + 220 * i);
+    }
+  }
+  throw lastErr || new Error("Fetch failed");
+}
+
+// GET through the lookup cache; resolves { status, ok, body }. `empty` is the
+// body used when the response isn't JSON; `signal` cancels the request.
+export async function cachedJson(source, query, url, { opts = {}, timeoutMs = 8000, signal = null, dbg = null, empty = {} } = {}) {
+  return await cached(
+    source,
+    query,
+    async () => {
+      const r = await fetchWithTimeout(url, signal ? { ...opts, signal } : opts, timeoutMs);
+      const body = await r.json().catch(() => empty);
+      return { status: r.status, ok: r.ok, body };
+    },
+    { dbg }
+  );
+}
@@ -0,0 +1,599 @@
+// /api/_lib/normalize.js  (CARD NORMALIZATION)
+//
+// Turns a phone photo of a card (angled, on a table, with background around
+// it) into a flat, tightly cropped 63x88 image before it reaches the model or
+// the measurements. The card outline is found with a Hough transform over
+// thinned edges: every pair of roughly parallel lines is combined with every
+// other pair, and the quadrilateral whose four sides are best supported by
+// real edges (with a card-like shape) wins. Its sides are then refined at full
+// resolution and the quad is warped through a homography.
+
+import { decodeDataUrl, downscale, toJpegDataUrl } from "./image.js";
+
+export const NORMALIZE_METHOD = "quad-hough@1";
+
+export const CARD_MM = { width: 63, height: 88 };
+
+const WORK_SIDE = 480; // detection runs on a downscaled copy
+const EDGE_T = 60; // Sobel magnitude for an edge pixel
+const MAX_LINES = 56;
+const MAX_LINES_PER_DIRECTION = 18; // within ±15°, so busy art can't crowd out the other sides
+const MIN_AREA_SHARE = 0.12; // the card must fill at least this much of the photo
+const MIN_SIDE_COVERAGE = 0.6; // share of each side that must lie on an edge...
+const MIN_MEAN_COVERAGE = 0.8; // ...and of the four sides together
+const CROPPED_ASPECT_TOL = 0.025; // a frame this close to 63:88 may already be the card
+const CROPPED_MAX_MARGIN = 0.15; // print border width, as a share of the side
+const CROPPED_MAX_TILT = 0.005; // a scan's border is square to the frame; a hand-held photo isn't
+const OUTPUT_LONG_SIDE = 1100; // matches the page's fast-mode upload size
+
+// ----------------------------
+// Geometry helpers
+// ----------------------------
+function intersect(a, b) {
+  const det = a.c * b.s - a.s * b.c;
+  if (Math.abs(det) < 1e-6) return null;
+  return { x: (a.r * b.s - a.s * b.r) / det, y: (a.c * b.r - a.r * b.c) / det };
+}
+
+function dist(p, q) {
+  return Math.hypot(p.x - q.x, p.y - q.y);
+}
+
+function polygonArea(pts) {
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i];
+    const q = pts[(i + 1) % pts.length];
+    s += p.x * q.y - q.x * p.y;
+  }
+  return s / 2;
+}
+
+function isConvex(pts) {
+  let sign = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const c = pts[(i + 2) % pts.length];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-9) return false;
+    if (sign && Math.sign(cross) !== sign) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
+
+// Clockwise from top-left (image coordinates, y down).
+function orderCorners(pts) {
+  const cx = pts.reduce((s, p) => s + p.x, 0) / 4;
+  const cy = pts.reduce((s, p) => s + p.y, 0) / 4;
+  const sorted = [...pts].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  let start = 0;
+  for (let i = 1; i < 4; i++) if (sorted[i].x + sorted[i].y < sorted[start].x + sorted[start].y) start = i;
+  return [0, 1, 2, 3].map((i) => sorted[(start + i) % 4]);
+}
+
+// Solve the 8 homography terms mapping dst (u,v) -> src (x,y).
+function homography(dst, src) {
+  const A = [];
+  for (let i = 0; i < 4; i++) {
+    const { x: u, y: v } = dst[i];
+    const { x, y } = src[i];
+    A.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+    A.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+  }
+  for (let col = 0; col < 8; col++) {
+    let piv = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(A[r][col]) > Math.abs(A[piv][col])) piv = r;
+    [A[col], A[piv]] = [A[piv], A[col]];
+    if (Math.abs(A[col][col]) < 1e-12) return null;
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = A[r][col] / A[col][col];
+      for (let k = col; k < 9; k++) A[r][k] -= f * A[col][k];
+    }
+  }
+  return A.map((row, i) => row[8] / row[i]);
+}
+
+// ----------------------------
+// Edges + Hough
+// ----------------------------
+function edgeMap(img) {
+  const { width: w, height: h, data } = img;
+  const mag = new Float32Array(w * h);
+  const gxs = new Float32Array(w * h);
+  const gys = new Float32Array(w * h);
+
+  // colour structure tensor (Di Zenzo): a stable edge direction across all
+  // three channels, where picking the strongest channel per pixel is noisy
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      let jxx = 0;
+      let jyy = 0;
+      let jxy = 0;
+      for (let ch = 0; ch < 3; ch++) {
+        const at = (xx, yy) => data[(yy * w + xx) * 3 + ch];
+        const gx =
+          at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+        const gy =
+          at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+        jxx += gx * gx;
+        jyy += gy * gy;
+        jxy += gx * gy;
+      }
+      const i = y * w + x;
+      const angle = 0.5 * Math.atan2(2 * jxy, jxx - jyy);
+      const lambda = 0.5 * (jxx + jyy + Math.sqrt((jxx - jyy) ** 2 + 4 * jxy * jxy));
+      mag[i] = Math.sqrt(lambda);
+      gxs[i] = Math.cos(angle) * mag[i];
+      gys[i] = Math.sin(angle) * mag[i];
+    }
+  }
+
+  // thin to one pixel across the edge so each side gives one sharp Hough peak
+  const edge = new Uint8Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const m = mag[i];
+      if (m < EDGE_T) continue;
+      const ax = Math.abs(gxs[i]);
+      const ay = Math.abs(gys[i]);
+      let a;
+      let b;
+      if (ax > 2.4 * ay) [a, b] = [i - 1, i + 1];
+      else if (ay > 2.4 * ax) [a, b] = [i - w, i + w];
+      else if (gxs[i] * gys[i] > 0) [a, b] = [i - w - 1, i + w + 1];
+      else [a, b] = [i - w + 1, i + w - 1];
+      if (m >= mag[a] && m >= mag[b]) edge[i] = 1;
+    }
+  }
+  return { w, h, edge, gx: gxs, gy: gys };
+}
+
+function houghLines({ w, h, edge, gx, gy }) {
+  const nTheta = 180;
+  const diag = Math.ceil(Math.hypot(w, h));
+  const nRho = 2 * diag + 1;
+  const acc = new Uint16Array(nTheta * nRho);
+  const cos = new Float32Array(nTheta);
+  const sin = new Float32Array(nTheta);
+  for (let t = 0; t < nTheta; t++) {
+    cos[t] = Math.cos((t * Math.PI) / nTheta);
+    sin[t] = Math.sin((t * Math.PI) / nTheta);
+  }
+
+  // each edge pixel votes only near its own gradient direction
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (!edge[i]) continue;
+      let t0 = Math.round((Math.atan2(gy[i], gx[i]) * nTheta) / Math.PI);
+      t0 = ((t0 % nTheta) + nTheta) % nTheta;
+      for (let d = -6; d <= 6; d++) {
+        const t = (t0 + d + nTheta) % nTheta;
+        const r = Math.round(x * cos[t] + y * sin[t]) + diag;
+        acc[t * nRho + r]++;
+      }
+    }
+  }
+
+  // a line between two theta bins smears across neighbouring rho bins; score
+  // each cell with its rho neighbours so slightly tilted sides aren't penalized
+  const votes = new Uint16Array(acc.length);
+  for (let t = 0; t < nTheta; t++) {
+    for (let r = 1; r < nRho - 1; r++) {
+      const k = t * nRho + r;
+      votes[k] = acc[k - 1] + acc[k] + acc[k + 1];
+    }
+  }
+
+  const minVotes = Math.max(20, Math.round(0.2 * Math.min(w, h)));
+  const cells = [];
+  for (let k = 0; k < votes.length; k++) if (votes[k] >= minVotes) cells.push(k);
+  cells.sort((a, b) => votes[b] - votes[a]);
+
+  const lines = [];
+  for (const k of cells) {
+    const t = Math.floor(k / nRho);
+    const r = (k % nRho) - diag;
+    const close = lines.some((l) => {
+      let dt = Math.abs(l.t - t);
+      let dr = Math.abs(l.rho - r);
+      if (dt > nTheta / 2) {
+        // theta wraps at 180 with rho changing sign
+        dt = nTheta - dt;
+        dr = Math.abs(l.rho + r);
+      }
+      return dt <= 3 && dr <= 5;
+    });
+    if (close) continue;
+    const sameDirection = lines.filter((l) => Math.min(Math.abs(l.t - t), nTheta - Math.abs(l.t - t)) <= 15).length;
+    if (sameDirection >= MAX_LINES_PER_DIRECTION) continue;
+    const theta = (t * Math.PI) / nTheta;
+    lines.push({ t, rho: r, theta, c: Math.cos(theta), s: Math.sin(theta), r, votes: votes[k] });
+    if (lines.length >= MAX_LINES) break;
+  }
+  return lines;
+}
+
+// Share of a segment lying on edge pixels whose gradient agrees with the side.
+function sideCoverage(em, p, q) {
+  const { w, h, edge, gx, gy } = em;
+  const len = dist(p, q);
+  const n = Math.max(8, Math.round(len / 2));
+  const nx = -(q.y - p.y) / len;
+  const ny = (q.x - p.x) / len;
+  let hits = 0;
+  for (let k = 0; k < n; k++) {
+    const t = 0.06 + (0.88 * k) / (n - 1);
+    const x = Math.round(p.x + (q.x - p.x) * t);
+    const y = Math.round(p.y + (q.y - p.y) * t);
+    let hit = false;
+    for (let dy = -1; dy <= 1 && !hit; dy++) {
+      for (let dx = -1; dx <= 1 && !hit; dx++) {
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx < 0 || yy < 0 || xx >= w || yy >= h) continue;
+        const i = yy * w + xx;
+        if (!edge[i]) continue;
+        const gm = Math.hypot(gx[i], gy[i]) || 1;
+        if (Math.abs((gx[i] * nx + gy[i] * ny) / gm) > 0.85) hit = true;
+      }
+    }
+    if (hit) hits++;
+  }
+  return hits / n;
+}
+
+function angleDiff(a, b) {
+  const d = Math.abs(a - b) % Math.PI;
+  return Math.min(d, Math.PI - d);
+}
+
+// Cheap geometry first; edge coverage (the expensive part) only for quads
+// larger than the best outline found so far.
+function scoreQuad(em, lines, bestArea) {
+  const [a1, a2, b1, b2] = lines;
+  const raw = [intersect(a1, b1), intersect(a1, b2), intersect(a2, b2), intersect(a2, b1)];
+  if (raw.some((p) => !p)) return null;
+
+  const margin = 0.03 * Math.max(em.w, em.h);
+  if (raw.some((p) => p.x < -margin || p.y < -margin || p.x > em.w + margin || p.y > em.h + margin)) return null;
+
+  const corners = orderCorners(raw);
+  if (!isConvex(corners)) return null;
+  const areaShare = Math.abs(polygonArea(corners)) / (em.w * em.h);
+  if (areaShare < MIN_AREA_SHARE) return null;
+
+  const sides = corners.map((p, i) => dist(p, corners[(i + 1) % 4]));
+  if (Math.min(...sides) < 0.1 * Math.min(em.w, em.h)) return null;
+
+  // opposite sides averaged: only a rough aspect under perspective, so it is
+  // a loose filter and a light penalty
+  const horiz = (sides[0] + sides[2]) / 2;
+  const vert = (sides[1] + sides[3]) / 2;
+  const aspect = Math.min(horiz, vert) / Math.max(horiz, vert);
+  const aspectPenalty = Math.abs(Math.log(aspect / (CARD_MM.width / CARD_MM.height)));
+  if (aspectPenalty > 0.45) return null;
+
+  if (areaShare <= bestArea) return null;
+
+  const coverage = [];
+  for (let i = 0; i < 4; i++) {
+    const c = sideCoverage(em, corners[i], corners[(i + 1) % 4]);
+    if (c < MIN_SIDE_COVERAGE) return null;
+    coverage.push(c);
+  }
+  const meanCov = coverage.reduce((s, x) => s + x, 0) / 4;
+  if (meanCov < MIN_MEAN_COVERAGE) return null;
+
+  const score = meanCov - 0.5 * (1 - Math.min(...coverage)) - 0.3 * aspectPenalty;
+  return { corners, coverage, score, areaShare, aspect };
+}
+
+function bestQuad(em, lines) {
+  const minGap = 0.15 * Math.min(em.w, em.h);
+  const pairs = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      const a = lines[i];
+      const b = lines[j];
+      if (angleDiff(a.theta, b.theta) > (25 * Math.PI) / 180) continue;
+      // far enough apart to be opposite sides
+      const foot = { x: a.c * a.r, y: a.s * a.r };
+      if (Math.abs(foot.x * b.c + foot.y * b.s - b.r) < minGap) continue;
+      pairs.push([a, b]);
+    }
+  }
+
+  // The outer card edge and the inner print border are both clean rectangles;
+  // among well-supported outlines the largest is the card itself.
+  let best = null;
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const [a1, a2] = pairs[i];
+      const [b1, b2] = pairs[j];
+      if (angleDiff(a1.theta, b1.theta) < (50 * Math.PI) / 180) continue;
+      const q = scoreQuad(em, [a1, a2, b1, b2], best ? best.areaShare : 0);
+      if (q) best = q;
+    }
+  }
+  return best;
+}
+
+// ----------------------------
+// Full-resolution refinement + warp
+// ----------------------------
+function sampleRgb(img, x, y, out) {
+  const { width, height, data } = img;
+  const fx = Math.max(0, Math.min(width - 1.001, x));
+  const fy = Math.max(0, Math.min(height - 1.001, y));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const ax = fx - x0;
+  const ay = fy - y0;
+  const p00 = (y0 * width + x0) * 3;
+  const p01 = p00 + 3;
+  const p10 = p00 + width * 3;
+  const p11 = p10 + 3;
+  for (let c = 0; c < 3; c++) {
+    const top = data[p00 + c] * (1 - ax) + data[p01 + c] * ax;
+    const bot = data[p10 + c] * (1 - ax) + data[p11 + c] * ax;
+    out[c] = top * (1 - ay) + bot * ay;
+  }
+  return out;
+}
+
+// Snap one side to the strongest colour step near it and refit the line.
+function refineSide(img, p, q, reach) {
+  const len = dist(p, q);
+  const nx = -(q.y - p.y) / len;
+  const ny = (q.x - p.x) / len;
+  const a = [0, 0, 0];
+  const b = [0, 0, 0];
+  const pts = [];
+  const N = 48;
+  for (let k = 0; k < N; k++) {
+    const t = 0.1 + (0.8 * k) / (N - 1);
+    const bx = p.x + (q.x - p.x) * t;
+    const by = p.y + (q.y - p.y) * t;
+    let best = 0;
+    let bestOff = 0;
+    for (let o = -reach; o <= reach; o += 0.5) {
+      sampleRgb(img, bx + nx * (o - 1), by + ny * (o - 1), a);
+      sampleRgb(img, bx + nx * (o + 1), by + ny * (o + 1), b);
+      const d = Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+      if (d > best) {
+        best = d;
+        bestOff = o;
+      }
+    }
+    if (best >= 30) pts.push({ x: bx + nx * bestOff, y: by + ny * bestOff });
+  }
+  if (pts.length < N / 3) return null;
+
+  // total least squares through the snapped points
+  const mx = pts.reduce((s, u) => s + u.x, 0) / pts.length;
+  const my = pts.reduce((s, u) => s + u.y, 0) / pts.length;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const u of pts) {
+    sxx += (u.x - mx) ** 2;
+    sxy += (u.x - mx) * (u.y - my);
+    syy += (u.y - my) ** 2;
+  }
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy); // direction of the line
+  const c = -Math.sin(angle);
+  const s = Math.cos(angle);
+  return { c, s, r: mx * c + my * s };
+}
+
+function refineCorners(img, corners, reach) {
+  const sides = corners.map((p, i) => refineSide(img, p, corners[(i + 1) % 4], reach));
+  if (sides.some((l) => !l)) return corners;
+  // corner i sits between side i-1 and side i
+  const refined = corners.map((_, i) => intersect(sides[(i + 3) % 4], sides[i]));
+  // refinement is a nudge; a corner that moved far means a side locked onto something else
+  if (refined.some((p, i) => !p || dist(p, corners[i]) > reach * 3)) return corners;
+  return refined;
+}
+
+export function warpQuad(img, corners, outW, outH) {
+  const dst = [
+    { x: 0, y: 0 },
+    { x: outW, y: 0 },
+    { x: outW, y: outH },
+    { x: 0, y: outH },
+  ];
+  const H = homography(dst, corners);
+  if (!H) return null;
+  const out = new Uint8ClampedArray(outW * outH * 3);
+  const px = [0, 0, 0];
+  for (let v = 0; v < outH; v++) {
+    for (let u = 0; u < outW; u++) {
+      const uu = u + 0.5;
+      const vv = v + 0.5;
+      const wz = H[6] * uu + H[7] * vv + 1;
+      const x = (H[0] * uu + H[1] * vv + H[2]) / wz - 0.5;
+      const y = (H[3] * uu + H[4] * vv + H[5]) / wz - 0.5;
+      sampleRgb(img, x, y, px);
+      const o = (v * outW + u) * 3;
+      out[o] = px[0];
+      out[o + 1] = px[1];
+      out[o + 2] = px[2];
+    }
+  }
+  return { width: outW, height: outH, data: out };
+}
+
+function looksPreCropped(image, quad, scale) {
+  const { width: w, height: h } = image;
+  const frameAspect = Math.min(w, h) / Math.max(w, h);
+  if (Math.abs(Math.log(frameAspect / (CARD_MM.width / CARD_MM.height))) > CROPPED_ASPECT_TOL) return false;
+  if (!quad) return true;
+
+  // the outline must be an upright rectangle a border's width inside the frame
+  const [tl, tr, br, bl] = quad.corners.map((p) => ({ x: (p.x * scale) / w, y: (p.y * scale) / h }));
+  const margins = [tl.x, bl.x, 1 - tr.x, 1 - br.x, tl.y, tr.y, 1 - bl.y, 1 - br.y];
+  const tilt = [tl.x - bl.x, tr.x - br.x, tl.y - tr.y, bl.y - br.y];
+  return margins.every((m) => m > 0 && m < CROPPED_MAX_MARGIN) && tilt.every((d) => Math.abs(d) < CROPPED_MAX_TILT);
+}
+
+// ----------------------------
+// Public API
+// ----------------------------
+/**
+ * Locate the card in a decoded image. Returns { ok, corners:[tl,tr,br,bl],
+ * coverage, confidence } in the image's own pixel coordinates, or
+ * { ok:false, reason }.
+ */
+export function findCardQuad(image) {
+  const work = downscale(image, WORK_SIDE);
+  const scale = image.width / work.width;
+  const em = edgeMap(work);
+  const lines = houghLines(em);
+  const quad = lines.length >= 4 ? bestQuad(em, lines) : null;
+
+  // A scan or an already-cropped upload has no background: the frame is the
+  // card edge and the best outline inside it is the print border.
+  if (looksPreCropped(image, quad, scale)) {
+    const { width: w, height: h } = image;
+    return {
+      ok: true,
+      corners: [
+        { x: 0, y: 0 },
+        { x: w, y: 0 },
+        { x: w, y: h },
+        { x: 0, y: h },
+      ],
+      coverage: null,
+      confidence: quad ? Math.round(Math.max(0, Math.min(1, quad.score)) * 100) / 100 : 0.5,
+      preCropped: true,
+    };
+  }
+
+  if (!quad) {
+    return {
+      ok: false,
+      reason: "No card-shaped outline found (card not fully in frame, too small in the photo, or low contrast with the background).",
+    };
+  }
+
+  const coarse = quad.corners.map((p) => ({ x: p.x * scale, y: p.y * scale }));
+  const corners = refineCorners(image, coarse, Math.max(3, Math.ceil(scale * 2)));
+
+  return {
+    ok: true,
+    corners: corners.map((p) => ({ x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 })),
+    coverage: quad.coverage.map((x) => Math.round(x * 100) / 100),
+    confidence: Math.round(Math.max(0, Math.min(1, quad.score)) * 100) / 100,
+    preCropped: false,
+  };
+}
+
+/**
+ * Find, flatten and crop the card. The result is always portrait 63:88; a card
+ * photographed sideways is turned a quarter clockwise (`rotated: 90`).
+ * `corners` are the output's top-left, top-right, bottom-right and bottom-left
+ * as they sit in the photo, i.e. already in the card's upright order.
+ */
+export function normalizeCard(image, { longSide = OUTPUT_LONG_SIDE } = {}) {
+  const found = findCardQuad(image);
+  if (!found.ok) return found;
+
+  let [tl, tr, br, bl] = found.corners;
+  let rotated = 0;
+  const horiz = (dist(tl, tr) + dist(bl, br)) / 2;
+  const vert = (dist(tl, bl) + dist(tr, br)) / 2;
+  if (horiz > vert) {
+    [tl, tr, br, bl] = [bl, tl, tr, br];
+    rotated = 90;
+  }
+
+  // never upscale past what the photo actually resolved
+  const srcLong = Math.max(dist(tl, bl), dist(tr, br));
+  const outH = Math.round(Math.min(longSide, srcLong));
+  const outW = Math.round((outH * CARD_MM.width) / CARD_MM.height);
+
+  // pre-shrink so bilinear sampling doesn't alias on large photos
+  let src = image;
+  let corners = [tl, tr, br, bl];
+  const f = srcLong / outH;
+  if (f > 1.4) {
+    src = downscale(image, Math.max(image.width, image.height) / f);
+    const k = src.width / image.width;
+    corners = corners.map((p) => ({ x: p.x * k, y: p.y * k }));
+  }
+
+  const warped = warpQuad(src, corners, outW, outH);
+  if (!warped) return { ok: false, reason: "Degenerate card outline." };
+
+  return {
+    ok: true,
+    image: warped,
+    corners: [tl, tr, br, bl],
+    coverage: found.coverage,
+    preCropped: found.preCropped,
+    confidence: found.confidence,
+    rotated,
+    width: outW,
+    height: outH,
+  };
+}
+
+/**
+ * Map a point on the normalized card (u, v in 0..1 of its width and height)
+ * back into the photo, using the `corners` a successful normalization returned.
+ * Returns { x, y } in photo pixels, or null for a degenerate outline.
+ */
+export function cardPointToPhoto(corners, u, v) {
+  const unit = [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 },
+  ];
+  const H = homography(unit, corners);
+  if (!H) return null;
+  const w = H[6] * u + H[7] * v + 1;
+  return { x: (H[0] * u + H[1] * v + H[2]) / w, y: (H[3] * u + H[4] * v + H[5]) / w };
+}
+
+/**
+ * Normalize one data URL. When ok, `dataUrl` is the corrected JPEG and
+ * `corners` locate the card in the original photo.
+ */
+export function normalizeCardDataUrl(dataUrl, opts = {}) {
+  if (!dataUrl) return { ok: false, reason: "No image" };
+  const t0 = Date.now();
+  try {
+    const { image } = decodeDataUrl(dataUrl);
+    const r = normalizeCard(image, opts);
+    if (!r.ok) return { ...r, source: { width: image.width, height: image.height }, ms: Date.now() - t0 };
+    const { image: warped, ...rest } = r;
+    return {
+      ...rest,
+      source: { width: image.width, height: image.height },
+      dataUrl: toJpegDataUrl(warped, opts.quality ?? 88),
+      ms: Date.now() - t0,
+    };
+  } catch (e) {
+    return { ok: false, reason: e?.message || "Decode failed", ms: Date.now() - t0 };
+  }
+}
+
+/**
+ * Normalize a front/back pair. Each side carries `dataUrl` (the corrected
+ * JPEG) when ok; callers fall back to the original photo otherwise.
+ */
+export function normalizeCardImages({ frontDataUrl, backDataUrl, longSide = OUTPUT_LONG_SIDE, quality = 88 }) {
+  const opts = { longSide, quality };
+  return {
+    method: NORMALIZE_METHOD,
+    front: normalizeCardDataUrl(frontDataUrl, opts),
+    back: normalizeCardDataUrl(backDataUrl, opts),
+  };
+}
@@ -0,0 +1,244 @@
+// /api/_lib/quality.js  (IMAGE QUALITY GATE)
+//
+// Cheap, local checks that run before any paid model call: is this a decodable
+// image of a sensible size, and is the photo sharp, evenly exposed and free of
+// glare? Every finding is a structured issue so the UI can ask for a retake
+// with a specific reason ("glare on upper-left") instead of a generic error.
+
+import { ImageError, MAX_PIXELS, decodeDataUrl, downscale, parseDataUrl, readImageSize, sniffMime, toGray } from "./image.js";
+
+export const QUALITY_VERSION = "quality@1";
+
+const ALLOWED_MIME = ["image/jpeg", "image/png"];
+
+export const QUALITY_LIMITS = {
+  maxBytes: 8 * 1024 * 1024,
+  minBytes: 12 * 1024,
+  maxPixels: MAX_PIXELS, // read from the header; larger frames are never decoded
+  minLongSide: 800, // the page's fast mode sends 1100px on the long side
+  warnLongSide: 1000,
+  blurReject: 40, // variance of the Laplacian at 800px
+  blurWarn: 100,
+  darkReject: 35, // mean luminance
+  darkWarn: 60,
+  brightReject: 230,
+  brightWarn: 210,
+  clippedReject: 0.3, // share of pixels at 250+
+  glareCellWarn: 0.04, // share of a 3x3 cell that is specular highlight
+  glareCellReject: 0.15,
+  flatReject: 8, // luminance std-dev: a blank frame, not a card
+};
+
+// A pocket cut from a binder page photo (see segment.js) is a third of the
+// page on each side: a 1100-1700px page gives 360-570px pockets, so the
+// resolution and file-size floors are scaled to match. The photo checks are
+// the same.
+export const POCKET_QUALITY_LIMITS = {
+  ...QUALITY_LIMITS,
+  minBytes: 4 * 1024,
+  minLongSide: 300,
+  warnLongSide: 450,
+};
+
+const REGIONS = [
+  ["upper-left", "top", "upper-right"],
+  ["left", "center", "right"],
+  ["lower-left", "bottom", "lower-right"],
+];
+
+function issue(side, code, severity, message, extra = {}) {
+  return { side, code, severity, message, ...extra };
+}
+
+function laplacianVariance(gray, w, h) {
+  let s = 0;
+  let s2 = 0;
+  let n = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const l = gray[i - 1] + gray[i + 1] + gray[i - w] + gray[i + w] - 4 * gray[i];
+      s += l;
+      s2 += l * l;
+      n++;
+    }
+  }
+  if (!n) return 0;
+  return s2 / n - (s / n) ** 2;
+}
+
+function exposureStats(gray) {
+  let sum = 0;
+  let sum2 = 0;
+  let high = 0;
+  let low = 0;
+  for (let i = 0; i < gray.length; i++) {
+    const v = gray[i];
+    sum += v;
+    sum2 += v * v;
+    if (v >= 250) high++;
+    else if (v <= 5) low++;
+  }
+  const mean = sum / gray.length;
+  return {
+    mean,
+    std: Math.sqrt(Math.max(0, sum2 / gray.length - mean * mean)),
+    clippedHigh: high / gray.length,
+    clippedLow: low / gray.length,
+  };
+}
+
+// Specular glare: every channel at or near clipping. White card borders and
+// stock usually sit a little below that, so they don't count. Returns the
+// share per 3x3 cell.
+function glareGrid(img) {
+  const { width, height, data } = img;
+  const cells = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const totals = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  for (let y = 0; y < height; y++) {
+    const cy = Math.min(2, Math.floor((y * 3) / height));
+    for (let x = 0; x < width; x++) {
+      const cx = Math.min(2, Math.floor((x * 3) / width));
+      const p = (y * width + x) * 3;
+      const r = data[p];
+      const g = data[p + 1];
+      const b = data[p + 2];
+      totals[cy * 3 + cx]++;
+      if (Math.min(r, g, b) >= 250) cells[cy * 3 + cx]++;
+    }
+  }
+  return cells.map((c, i) => c / totals[i]);
+}
+
+/**
+ * Check one data URL. Returns { side, ok, mime, bytes, width, height, metrics, issues }.
+ * ok is false when any issue has severity "reject".
+ */
+export function assessImage(dataUrl, side = "front", limits = QUALITY_LIMITS) {
+  const out = { side, ok: false, mime: null, bytes: 0, width: null, height: null, metrics: null, issues: [] };
+  const push = (...a) => out.issues.push(issue(side, ...a));
+
+  if (!dataUrl) {
+    push("missing", "reject", `No ${side} image.`);
+    return out;
+  }
+
+  const fail = (e) => {
+    const code = e instanceof ImageError ? e.code : "image_invalid";
+    push(code, "reject", `${side}: ${e?.message || "could not decode image"}.`);
+    return out;
+  };
+
+  // everything that can be judged from the bytes and the header comes before decoding
+  let parsed;
+  try {
+    parsed = parseDataUrl(dataUrl);
+  } catch (e) {
+    return fail(e);
+  }
+
+  const { mime, bytes } = parsed;
+  const sniffed = sniffMime(bytes);
+  out.mime = sniffed || mime;
+  out.bytes = bytes.length;
+
+  if (!ALLOWED_MIME.includes(mime)) push("mime_not_allowed", "reject", `${side}: ${mime} is not accepted (JPEG or PNG only).`);
+  else if (!ALLOWED_MIME.includes(sniffed)) push("unsupported_format", "reject", `${side}: content is not a JPEG or PNG image.`);
+  else if (sniffed !== mime) push("mime_mismatch", "warn", `${side}: declared ${mime} but content is ${sniffed}.`);
+
+  if (bytes.length > limits.maxBytes) {
+    push("too_large", "reject", `${side}: image is ${(bytes.length / 1048576).toFixed(1)}MB (max ${limits.maxBytes / 1048576}MB).`);
+  } else if (bytes.length < limits.minBytes) {
+    push("too_small_file", "warn", `${side}: image file is very small (${Math.round(bytes.length / 1024)}KB); detail may be lost.`);
+  }
+  if (out.issues.some((x) => x.severity === "reject")) return out;
+
+  const size = readImageSize(bytes);
+  if (!size) return fail(new ImageError("no image dimensions in the header"));
+  out.width = size.width;
+  out.height = size.height;
+  if (size.width * size.height > limits.maxPixels) {
+    push(
+      "too_many_pixels",
+      "reject",
+      `${side}: image is ${size.width}x${size.height} (max ${Math.round(limits.maxPixels / 1e6)} megapixels).`
+    );
+    return out;
+  }
+  const longSide = Math.max(size.width, size.height);
+  if (longSide < limits.minLongSide) {
+    push("low_resolution", "reject", `${side}: resolution below ${limits.minLongSide}px (${size.width}x${size.height}).`);
+    return out;
+  }
+  if (longSide < limits.warnLongSide) {
+    push("low_resolution", "warn", `${side}: resolution below ${limits.warnLongSide}px; use Strict mode for more detail.`);
+  }
+
+  let image;
+  try {
+    ({ image } = decodeDataUrl(dataUrl));
+  } catch (e) {
+    return fail(e);
+  }
+
+  // measure on a fixed working size so thresholds don't depend on upload size
+  const work = downscale(image, 800);
+  const gray = toGray(work);
+  const exposure = exposureStats(gray);
+  const blur = laplacianVariance(gray, work.width, work.height);
+  const glare = glareGrid(work);
+
+  out.metrics = {
+    blur: Math.round(blur),
+    exposure: {
+      mean: Math.round(exposure.mean),
+      std: Math.round(exposure.std),
+      clippedHigh: Math.round(exposure.clippedHigh * 1000) / 1000,
+      clippedLow: Math.round(exposure.clippedLow * 1000) / 1000,
+    },
+    glare: Object.fromEntries(REGIONS.flat().map((r, i) => [r, Math.round(glare[i] * 1000) / 1000])),
+    longSide,
+  };
+
+  if (exposure.std < limits.flatReject) {
+    push("no_card", "reject", `${side}: image is almost uniform — no card detected.`);
+  }
+
+  if (blur < limits.blurReject) push("blurry", "reject", `${side}: photo is blurry; hold steady and tap to focus.`);
+  else if (blur < limits.blurWarn) push("blurry", "warn", `${side}: photo is slightly soft; edges and corners may be misjudged.`);
+
+  if (exposure.mean < limits.darkReject) push("underexposed", "reject", `${side}: photo is too dark.`);
+  else if (exposure.mean < limits.darkWarn) push("underexposed", "warn", `${side}: photo is dark; add light.`);
+  else if (exposure.mean > limits.brightReject || exposure.clippedHigh > limits.clippedReject) {
+    push("overexposed", "reject", `${side}: photo is overexposed.`);
+  } else if (exposure.mean > limits.brightWarn) push("overexposed", "warn", `${side}: photo is bright; reduce light.`);
+
+  REGIONS.flat().forEach((region, i) => {
+    const share = glare[i];
+    if (share >= limits.glareCellReject) {
+      push("glare", "reject", `${side}: strong glare on ${region}.`, { region, share: Math.round(share * 100) / 100 });
+    } else if (share >= limits.glareCellWarn) {
+      push("glare", "warn", `${side}: glare on ${region}.`, { region, share: Math.round(share * 100) / 100 });
+    }
+  });
+
+  out.ok = !out.issues.some((x) => x.severity === "reject");
+  return out;
+}
+
+/**
+ * Gate a front/back pair. `sides` limits which images are required; `limits`
+ * is QUALITY_LIMITS or POCKET_QUALITY_LIMITS. Returns { version, ok, front,
+ * back, issues } with issues flattened for display.
+ */
+export function checkImages({ frontDataUrl, backDataUrl, sides = ["front", "back"], limits = QUALITY_LIMITS }) {
+  const result = { version: QUALITY_VERSION, ok: true, issues: [] };
+  const urls = { front: frontDataUrl, back: backDataUrl };
+  for (const side of sides) {
+    const r = assessImage(urls[side], side, limits);
+    result[side] = r;
+    result.issues.push(...r.issues);
+    if (!r.ok) result.ok = false;
+  }
+  return result;
+}
@@ -0,0 +1,218 @@
+// /api/_lib/reportStore.js  (SHAREABLE REPORT STORE)
+//
+// Completed reports (pre-grade, identification, price) saved under a random,
+// unguessable ID so a result can be shared as a link. Records are immutable:
+// there is a save and a get, nothing lists or edits them. Photos are never
+// stored — data URLs are stripped before saving.
+//
+//   REPORT_STORE        kv | file | sqlite | memory   (default: kv on Vercel, file elsewhere)
+//   REPORT_STORE_DIR    file: directory for <id>.json  (default <tmpdir>/grd-reports)
+//   REPORT_STORE_DB     sqlite: database path  (default <tmpdir>/grd-reports.sqlite)
+//
+// kv is the shared backend (see kv.js). file and sqlite are for local use and
+// single-instance hosts: on Vercel the instance that saved a report is rarely
+// the one asked for it, so they are refused there rather than handing out
+// share links that 404.
+
+import { randomBytes } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { kvCommand, kvKey, runsOnVercel } from "./kv.js";
+
+export const REPORT_VERSION = "report@1";
+export const REPORT_SECTIONS = ["preGrade", "identify", "price"];
+
+const MAX_REPORT_BYTES = 512 * 1024; // after photos are stripped
+const ID_BYTES = 16;
+const ID_RE = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+const DROPPED_KEYS = new Set(["debug", "dataUrl", "frontDataUrl", "backDataUrl"]);
+
+export class ReportError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ReportError";
+    this.code = code;
+  }
+}
+
+export function createReportId() {
+  return randomBytes(ID_BYTES).toString("base64url");
+}
+
+export function isReportId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+// Deep copy without photos or debug payloads.
+function strip(v) {
+  if (Array.isArray(v)) return v.map(strip);
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+      if (DROPPED_KEYS.has(k)) continue;
+      if (typeof x === "string" && x.startsWith("data:")) continue;
+      out[k] = strip(x);
+    }
+    return out;
+  }
+  return v;
+}
+
+/**
+ * Build the stored record from a client payload: the known sections plus
+ * `inputs`, with photos removed. Throws ReportError("invalid" | "too_large").
+ */
+export function buildReportRecord(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ReportError("Report must be a JSON object", "invalid");
+  }
+  const sections = REPORT_SECTIONS.filter((k) => input[k] && typeof input[k] === "object");
+  if (!sections.length) {
+    throw new ReportError(`Report needs at least one of: ${REPORT_SECTIONS.join(", ")}`, "invalid");
+  }
+
+  const record = {
+    id: createReportId(),
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    inputs: input.inputs && typeof input.inputs === "object" ? strip(input.inputs) : {},
+  };
+  for (const k of sections) record[k] = strip(input[k]);
+
+  const bytes = Buffer.byteLength(JSON.stringify(record));
+  if (bytes > MAX_REPORT_BYTES) {
+    throw new ReportError(`Report is ${Math.round(bytes / 1024)}KB (max ${MAX_REPORT_BYTES / 1024}KB)`, "too_large");
+  }
+  return record;
+}
+
+// ----------------------------
+// Adapters
+// ----------------------------
+// Every adapter exposes:
+//   name
+//   shared -> whether every instance sees the same records
+//   put(record) -> void   (record.id is new; adapters may assume no collision)
+//   get(id) -> record | null
+
+const memoryRecords = new Map();
+
+const memoryAdapter = {
+  name: "memory",
+  shared: false,
+  async put(record) {
+    memoryRecords.set(record.id, JSON.stringify(record));
+  },
+  async get(id) {
+    const s = memoryRecords.get(id);
+    return s ? JSON.parse(s) : null;
+  },
+};
+
+function storeDir() {
+  return process.env.REPORT_STORE_DIR || path.join(os.tmpdir(), "grd-reports");
+}
+
+const fileAdapter = {
+  name: "file",
+  shared: false,
+  async put(record) {
+    const dir = storeDir();
+    await mkdir(dir, { recursive: true });
+    // write-then-rename so a reader never sees half a file
+    const tmp = path.join(dir, `.${record.id}.tmp`);
+    await writeFile(tmp, JSON.stringify(record), "utf8");
+    await rename(tmp, path.join(dir, `${record.id}.json`));
+  },
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(path.join(storeDir(), `${id}.json`), "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return null;
+      throw e;
+    }
+  },
+};
+
+let sqliteDb = null;
+
+async function openSqlite() {
+  if (sqliteDb) return sqliteDb;
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw new Error("REPORT_STORE=sqlite needs Node 22.5+ (node:sqlite)");
+  }
+  const file = process.env.REPORT_STORE_DB || path.join(os.tmpdir(), "grd-reports.sqlite");
+  await mkdir(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec("CREATE TABLE IF NOT EXISTS reports (id TEXT PRIMARY KEY, created_at TEXT NOT NULL, body TEXT NOT NULL)");
+  sqliteDb = db;
+  return db;
+}
+
+const sqliteAdapter = {
+  name: "sqlite",
+  shared: false,
+  async put(record) {
+    const db = await openSqlite();
+    db.prepare("INSERT INTO reports (id, created_at, body) VALUES (?, ?, ?)").run(
+      record.id,
+      record.createdAt,
+      JSON.stringify(record)
+    );
+  },
+  async get(id) {
+    const db = await openSqlite();
+    const row = db.prepare("SELECT body FROM reports WHERE id = ?").get(id);
+    return row ? JSON.parse(row.body) : null;
+  },
+};
+
+const kvAdapter = {
+  name: "kv",
+  shared: true,
+  async put(record) {
+    await kvCommand(["SET", kvKey("report", record.id), JSON.stringify(record), "NX"]);
+  },
+  async get(id) {
+    const s = await kvCommand(["GET", kvKey("report", id)]);
+    return s ? JSON.parse(s) : null;
+  },
+};
+
+const ADAPTERS = {
+  kv: kvAdapter,
+  file: fileAdapter,
+  sqlite: sqliteAdapter,
+  memory: memoryAdapter,
+};
+
+export function resolveReportStore() {
+  const name = String(process.env.REPORT_STORE || (runsOnVercel() ? "kv" : "file")).toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown REPORT_STORE "${name}"`);
+  if (!adapter.shared && runsOnVercel()) {
+    throw new Error(`REPORT_STORE=${name} keeps reports on one instance, so share links would break on Vercel; use REPORT_STORE=kv`);
+  }
+  return adapter;
+}
+
+/**
+ * Save a report payload. Returns the stored record (with its new `id`).
+ */
+export async function saveReport(input) {
+  const record = buildReportRecord(input);
+  await resolveReportStore().put(record);
+  return record;
+}
+
+/**
+ * Load a stored report, or null when the ID is malformed or unknown.
+ */
+export async function loadReport(id) {
+  if (!isReportId(id)) return null;
+  return await resolveReportStore().get(id);
+}
@@ -0,0 +1,114 @@
+// /api/_lib/segment.js  (BINDER PAGE SEGMENTATION)
+//
+// Splits one photo of a binder page (3x3 pockets by default) into one image
+// per pocket. The page is expected to fill the frame, photographed square-on;
+// each pocket's card is then found, flattened and cropped by the usual
+// normalization (normalize.js), which tolerates a card sitting crooked in its
+// pocket. Pockets with next to no texture are reported as empty rather than
+// sent on to identification.
+//
+// A photo of the back of the same page pairs up pocket by pocket: turning the
+// page over mirrors its columns, so back (row, col) is front (row, cols-1-col).
+
+import { cropImage, decodeDataUrl, downscale, toGray, toJpegDataUrl } from "./image.js";
+
+export const SEGMENT_METHOD = "grid@1";
+
+const MAX_GRID = 4; // per side; 9-pocket pages are 3x3, a few binders use 4x3
+const EMPTY_STDDEV = 10; // gray levels; an empty pocket (or page backing) is close to flat
+const CENTER_INSET = 0.2; // measure texture away from the pocket seams
+
+export class SegmentError extends Error {
+  constructor(message, code = "segment_invalid") {
+    super(message);
+    this.name = "SegmentError";
+    this.code = code;
+  }
+}
+
+function grayStdDev(img) {
+  const g = toGray(downscale(img, 64));
+  let sum = 0;
+  let sq = 0;
+  for (const v of g) {
+    sum += v;
+    sq += v * v;
+  }
+  const mean = sum / g.length;
+  return Math.sqrt(Math.max(0, sq / g.length - mean * mean));
+}
+
+function gridSize(v, fallback) {
+  const n = v == null ? fallback : Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_GRID) throw new SegmentError(`Grid size must be 1..${MAX_GRID}, got ${v}`, "bad_grid");
+  return n;
+}
+
+/**
+ * Cut a decoded page into rows x cols pockets, in reading order. With
+ * `mirrored` (the back of the page) the columns are swapped so index i is
+ * still the same card as on the front. Each pocket: { index, row, col, box,
+ * empty, image }.
+ */
+export function segmentPage(image, { rows = 3, cols = 3, mirrored = false } = {}) {
+  rows = gridSize(rows, 3);
+  cols = gridSize(cols, 3);
+  const cw = image.width / cols;
+  const ch = image.height / rows;
+  const out = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const srcCol = mirrored ? cols - 1 - col : col;
+      const box = { x: Math.round(srcCol * cw), y: Math.round(row * ch), width: Math.round(cw), height: Math.round(ch) };
+      const pocket = cropImage(image, box);
+      const inset = cropImage(pocket, {
+        x: pocket.width * CENTER_INSET,
+        y: pocket.height * CENTER_INSET,
+        width: pocket.width * (1 - 2 * CENTER_INSET),
+        height: pocket.height * (1 - 2 * CENTER_INSET),
+      });
+      out.push({ index: row * cols + col, row, col, box, empty: grayStdDev(inset) < EMPTY_STDDEV, image: pocket });
+    }
+  }
+  return out;
+}
+
+/**
+ * Segment a page photo (and optionally a photo of its back) into per-card
+ * data URLs: [{ index, row, col, empty, frontDataUrl, backDataUrl|null }].
+ * Throws SegmentError for an unreadable photo, a bad grid, or a page too
+ * small to give pockets of `minPocketLongSide` px.
+ */
+export function segmentPageDataUrls({ pageDataUrl, backPageDataUrl = null, rows = 3, cols = 3, quality = 90, minPocketLongSide = 0 }) {
+  rows = gridSize(rows, 3);
+  cols = gridSize(cols, 3);
+  const decode = (dataUrl, side) => {
+    let image;
+    try {
+      image = decodeDataUrl(dataUrl).image;
+    } catch (e) {
+      throw new SegmentError(`${side} page: ${e?.message || "decode failed"}`, "image_invalid");
+    }
+    // one clear error for the page instead of every pocket failing the quality gate
+    const pocket = Math.round(Math.max(image.width / cols, image.height / rows));
+    if (pocket < minPocketLongSide) {
+      throw new SegmentError(
+        `${side} page: ${image.width}x${image.height} gives ${rows}x${cols} pockets of about ${pocket}px; ` +
+          `need at least ${minPocketLongSide}px per pocket, so retake the page closer or at a higher resolution`,
+        "low_resolution"
+      );
+    }
+    return image;
+  };
+  const fronts = segmentPage(decode(pageDataUrl, "Front"), { rows, cols });
+  const backs = backPageDataUrl ? segmentPage(decode(backPageDataUrl, "Back"), { rows, cols, mirrored: true }) : null;
+
+  return fronts.map((f, i) => ({
+    index: f.index,
+    row: f.row,
+    col: f.col,
+    empty: f.empty,
+    frontDataUrl: f.empty ? null : toJpegDataUrl(f.image, quality),
+    backDataUrl: f.empty || !backs ? null : toJpegDataUrl(backs[i].image, quality),
+  }));
+}
@@ -0,0 +1,65 @@
+// /api/_lib/sse.js  (SERVER-SENT EVENTS)
+//
+// Long calls (identify's fallback path, multi-pass grading, analyze) can stream
+// progress instead of making the page wait on one final JSON body. A client
+// opts in with `Accept: text/event-stream`, `?stream=1` or `"stream": true`;
+// validation errors are still plain JSON because they happen before the
+// stream opens. The final body arrives as a `done` event with exactly the JSON
+// the non-streaming call would have returned; failures as an `error` event.
+
+const HEARTBEAT_MS = 15000;
+
+export function wantsEventStream(req, body = {}) {
+  if (body?.stream === true) return true;
+  const accept = String(req.headers?.accept || "");
+  if (accept.includes("text/event-stream")) return true;
+  return /[?&]stream=(1|true)\b/.test(String(req.url || ""));
+}
+
+/**
+ * Switch `res` to an event stream. Returns { send(event, data), close() };
+ * sending after close is a no-op, so late progress from a finished stage
+ * can't corrupt the response.
+ */
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // keep proxies from buffering the stream
+  res.flushHeaders?.();
+
+  let open = true;
+  let seq = 0;
+  const write = (s) => {
+    if (open) res.write(s);
+  };
+  const heartbeat = setInterval(() => write(": ping\n\n"), HEARTBEAT_MS);
+
+  return {
+    send(event, data = {}) {
+      write(`id: ${++seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!open) return;
+      open = false;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+}
+
+// Normalization result without the (large) image data, for progress events.
+export function normalizedSummary(normalized) {
+  if (!normalized) return null;
+  const side = (s) =>
+    s && {
+      ok: s.ok,
+      reason: s.reason || null,
+      rotated: s.rotated || 0,
+      preCropped: s.preCropped || false,
+      confidence: s.confidence ?? null,
+      ms: s.ms ?? null,
+    };
+  return { method: normalized.method, front: side(normalized.front), back: side(normalized.back) };
+}
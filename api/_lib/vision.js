@@ -0,0 +1,268 @@
+// /api/_lib/vision.js  (VISION MODEL PROVIDERS)
+//
+// One place that knows how to talk to a vision model. Endpoints describe a call
+// (task, system prompt, user prompt, images) and the provider selected by env
+// turns it into an HTTP request — or, for "fixture", a canned answer.
+//
+//   VISION_PROVIDER            openai | local | fixture   (default: openai)
+//   VISION_PROVIDER_<TASK>     per-task override, e.g. VISION_PROVIDER_GRADE=fixture
+//   VISION_MODEL               model for every task
+//   VISION_MODEL_<TASK>        per-task override, e.g. VISION_MODEL_IDENTIFY=gpt-4.1
+//   VISION_BASE_URL            local: OpenAI-compatible server (default http://127.0.0.1:8080)
+//   VISION_API_KEY             local: optional bearer token
+//   VISION_FIXTURES_DIR        fixture: directory holding <task>.json answers
+//
+// Tasks used today: "grade", "repair", "identify" (front-only extraction) and
+// "identify-fallback" (front+back extraction), e.g.
+// VISION_MODEL_IDENTIFY_FALLBACK=gpt-4.1 for a stronger model on the slow path.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fetchWithTimeout } from "./http.js";
+
+function nowMs() {
+  return Date.now();
+}
+
+function envFor(name, task) {
+  const suffix = String(task || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+  return (suffix && process.env[`${name}_${suffix}`]) || process.env[name] || null;
+}
+
+function extractOutputText(respJson) {
+  // Responses API: output -> content[] with type "output_text"
+  const out = Array.isArray(respJson?.output) ? respJson.output : [];
+  const chunks = [];
+  for (const item of out) {
+    const content = Array.isArray(item?.content) ? item.content : [];
+    for (const c of content) {
+      if (c?.type === "output_text" && typeof c?.text === "string") chunks.push(c.text);
+    }
+  }
+  return chunks.join("\n").trim();
+}
+
+function extractChatText(respJson) {
+  // Chat Completions: choices[0].message.content (string or parts)
+  const content = respJson?.choices?.[0]?.message?.content;
+  if (typeof content === "string") return content.trim();
+  if (Array.isArray(content)) {
+    return content
+      .map((c) => (typeof c === "string" ? c : c?.text || ""))
+      .join("\n")
+      .trim();
+  }
+  return "";
+}
+
+function errorFrom(data, status) {
+  return data?.error?.message || data?.message || (typeof data?.error === "string" ? data.error : null) || `HTTP ${status}`;
+}
+
+// ----------------------------
+// Adapters
+// ----------------------------
+// Every adapter exposes:
+//   name, defaultModel
+//   respond(call) -> { ok, status, text, error }
+// where call = { task, model, systemText, userText, images[], temperature, maxOutputTokens, timeoutMs }.
+// Adapters never throw for HTTP failures; callers decide what a failure means.
+
+const openaiAdapter = {
+  name: "openai",
+  defaultModel: "gpt-4.1-mini",
+
+  async respond(call) {
+    const key = process.env.OPENAI_API_KEY;
+    if (!key) throw new Error("Missing OPENAI_API_KEY");
+
+    const resp = await fetchWithTimeout(
+      "https://api.openai.com/v1/responses",
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${key}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: call.model,
+          input: [
+            { role: "system", content: [{ type: "input_text", text: call.systemText }] },
+            {
+              role: "user",
+              content: [
+                { type: "input_text", text: call.userText },
+                ...call.images.map((url) => ({ type: "input_image", image_url: url })),
+              ],
+            },
+          ],
+          temperature: call.temperature,
+          max_output_tokens: call.maxOutputTokens,
+        }),
+      },
+      call.timeoutMs
+    );
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) return { ok: false, status: resp.status, text: "", error: errorFrom(data, resp.status) };
+    return { ok: true, status: resp.status, text: extractOutputText(data), error: null };
+  },
+};
+
+// OpenAI-compatible local servers (llama.cpp, vLLM, Ollama, LM Studio) all speak
+// Chat Completions; few implement /v1/responses, so this adapter uses the former.
+const localAdapter = {
+  name: "local",
+  defaultModel: "local-model",
+
+  async respond(call) {
+    const base = String(process.env.VISION_BASE_URL || "http://127.0.0.1:8080").replace(/\/+$/, "");
+    const url = /\/v1$/.test(base) ? `${base}/chat/completions` : `${base}/v1/chat/completions`;
+    const key = process.env.VISION_API_KEY;
+
+    const resp = await fetchWithTimeout(
+      url,
+      {
+        method: "POST",
+        headers: {
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: call.model,
+          messages: [
+            { role: "system", content: call.systemText },
+            {
+              role: "user",
+              content: [
+                { type: "text", text: call.userText },
+                ...call.images.map((url) => ({ type: "image_url", image_url: { url } })),
+              ],
+            },
+          ],
+          temperature: call.temperature,
+          max_tokens: call.maxOutputTokens,
+        }),
+      },
+      call.timeoutMs
+    );
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) return { ok: false, status: resp.status, text: "", error: errorFrom(data, resp.status) };
+    return { ok: true, status: resp.status, text: extractChatText(data), error: null };
+  },
+};
+
+// Deterministic answers for offline runs. A <task>.json file in VISION_FIXTURES_DIR
+// wins; otherwise the built-in answer below is used. "repair" echoes the outermost
+// {...} of its input so repair paths stay exercisable without a model.
+const FIXTURE_DEFAULTS = {
+  grade: {
+    mostLikely: 9,
+    range: [8.5, 9.5],
+    confidence: 0.62,
+    label: "Likely 9",
+    distribution: [
+      { grade: 8.5, prob: 0.2 },
+      { grade: 9.0, prob: 0.5 },
+      { grade: 9.5, prob: 0.25 },
+      { grade: 10.0, prob: 0.05 },
+    ],
+    subgrades: { centering: 9, corners: 9, edges: 9, surface: 9 },
+    issues: [],
+    notes: ["Fixture provider: deterministic response."],
+  },
+  identify: {
+    game: "pokemon",
+    name: "Pikachu",
+    set: "Base",
+    setCode: "base1",
+    collectorNumber: "58/102",
+    variant: null,
+    language: "en",
+    confidence: 0.8,
+  },
+};
+FIXTURE_DEFAULTS["identify-fallback"] = FIXTURE_DEFAULTS.identify;
+
+async function loadFixture(task) {
+  const dir = process.env.VISION_FIXTURES_DIR;
+  if (!dir) return null;
+  try {
+    return await readFile(path.join(dir, `${task}.json`), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+const fixtureAdapter = {
+  name: "fixture",
+  defaultModel: "fixture",
+
+  async respond(call) {
+    const fromDisk = await loadFixture(call.task);
+    if (fromDisk != null) return { ok: true, status: 200, text: fromDisk.trim(), error: null };
+
+    if (call.task === "repair") {
+      const s = String(call.userText || "");
+      const a = s.indexOf("{");
+      const b = s.lastIndexOf("}");
+      return { ok: true, status: 200, text: a >= 0 && b > a ? s.slice(a, b + 1) : "{}", error: null };
+    }
+
+    const canned = FIXTURE_DEFAULTS[call.task];
+    if (!canned) return { ok: false, status: 404, text: "", error: `No fixture for task "${call.task}"` };
+    return { ok: true, status: 200, text: JSON.stringify(canned), error: null };
+  },
+};
+
+const ADAPTERS = {
+  openai: openaiAdapter,
+  local: localAdapter,
+  fixture: fixtureAdapter,
+};
+
+export function resolveProvider(task) {
+  const name = String(envFor("VISION_PROVIDER", task) || "openai").toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown VISION_PROVIDER "${name}"`);
+  const model = envFor("VISION_MODEL", task) || adapter.defaultModel;
+  return { adapter, model };
+}
+
+// "provider/model" for `task`; cached model results are keyed on it.
+export function providerModelId(task) {
+  const { adapter, model } = resolveProvider(task);
+  return `${adapter.name}/${model}`;
+}
+
+/**
+ * Run one vision-model call for `task`.
+ * Returns { ok, status, text, error, provider, model, ms }. Only configuration
+ * problems (unknown provider, missing key) and network errors throw.
+ */
+export async function visionRespond({
+  task,
+  systemText,
+  userText,
+  images = [],
+  temperature = 0.2,
+  maxOutputTokens = 600,
+  timeoutMs = 0,
+}) {
+  const { adapter, model } = resolveProvider(task);
+  const t0 = nowMs();
+
+  const r = await adapter.respond({
+    task,
+    model,
+    systemText,
+    userText,
+    images: images.filter(Boolean),
+    temperature,
+    maxOutputTokens,
+    timeoutMs,
+  });
+
+  return { ...r, provider: adapter.name, model, ms: nowMs() - t0 };
+}
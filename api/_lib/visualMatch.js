@@ -0,0 +1,153 @@
+// /api/_lib/visualMatch.js  (VISUAL RE-RANKING)
+//
+// Text agreement can't tell reprints apart: the same name, number and set
+// text can come with different art, frames or set symbols. This compares the
+// user's (normalized) front against each candidate's catalog image and folds
+// the result into the candidate's confidence. Per image, three features:
+//   art     difference hash of the artwork window (roughly the upper half
+//           of a card in every supported game)
+//   layout  difference hash of the whole card: frame, text box, borders
+//   color   4x4x4 RGB histogram of the whole card
+// Each is 0..1 (hash similarities rescaled so unrelated images sit near 0)
+// and the blend is `visual.score`. Catalog image descriptors are cached per
+// URL (CACHE_TTLS.artwork) so a reference image is only downloaded once.
+//
+//   VISUAL_RERANK   on | off   (default: on)
+
+import { cached } from "./cache.js";
+import { fetchWithTimeout } from "./http.js";
+import { cropImage, decodeDataUrl, decodeImage, downscale } from "./image.js";
+import { differenceHash, hammingDistance } from "./imageCache.js";
+import { nowMs } from "./lookup.js";
+
+export const VISUAL_METHOD = "dhash-art+hist@1";
+
+const ART_BOX = { x0: 0.08, y0: 0.1, x1: 0.92, y1: 0.55 }; // fraction of card width / height
+const HIST_BINS = 4; // per channel
+const WEIGHTS = { art: 0.5, layout: 0.2, color: 0.3 };
+const CONFIDENCE_WEIGHT = 0.3; // score 1 adds +0.15, score 0 takes 0.15 off
+const REFERENCE_TIMEOUT_MS = 4000;
+const MAX_CANDIDATES = 6;
+
+export function visualRerankEnabled() {
+  return String(process.env.VISUAL_RERANK || "on").toLowerCase() !== "off";
+}
+
+// ART_BOX in pixels of `img`
+function artWindow(img) {
+  const x = Math.floor(ART_BOX.x0 * img.width);
+  const y = Math.floor(ART_BOX.y0 * img.height);
+  return { x, y, width: Math.floor(ART_BOX.x1 * img.width) - x, height: Math.floor(ART_BOX.y1 * img.height) - y };
+}
+
+function colorHistogram(img) {
+  const hist = new Array(HIST_BINS ** 3).fill(0);
+  const step = 256 / HIST_BINS;
+  const n = img.width * img.height;
+  for (let p = 0; p < n * 3; p += 3) {
+    const r = Math.floor(img.data[p] / step);
+    const g = Math.floor(img.data[p + 1] / step);
+    const b = Math.floor(img.data[p + 2] / step);
+    hist[(r * HIST_BINS + g) * HIST_BINS + b]++;
+  }
+  return hist.map((v) => Math.round((v / n) * 1000) / 1000);
+}
+
+// Small, JSON-safe summary of a card image.
+export function visualDescriptor(img) {
+  const small = downscale(img, 256);
+  return {
+    art: differenceHash(cropImage(small, artWindow(small))),
+    layout: differenceHash(small),
+    color: colorHistogram(downscale(small, 64)),
+  };
+}
+
+// Unrelated images differ in about half of the 256 bits; map that to 0 and identical to 1.
+const hashSimilarity = (a, b) => Math.max(0, 1 - hammingDistance(a, b) / 128);
+
+function histogramIntersection(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += Math.min(a[i], b[i] || 0);
+  return Math.min(1, s);
+}
+
+export function compareDescriptors(a, b) {
+  const art = hashSimilarity(a.art, b.art);
+  const layout = hashSimilarity(a.layout, b.layout);
+  const color = histogramIntersection(a.color, b.color);
+  const score = WEIGHTS.art * art + WEIGHTS.layout * layout + WEIGHTS.color * color;
+  const r = (x) => Math.round(x * 1000) / 1000;
+  return { score: r(score), art: r(art), layout: r(layout), color: r(color) };
+}
+
+// A decodable (PNG / baseline JPEG) rendition of a catalog image URL.
+function referenceUrl(url) {
+  const s = String(url || "");
+  // TCGdex assets pick the format by extension; the small PNG is plenty for hashing
+  if (/^https:\/\/assets\.tcgdex\.net\//.test(s)) return `${s.replace(/\/(high|low)(\.\w+)?$/, "")}/low.png`;
+  return s;
+}
+
+async function referenceDescriptor(url, dbg) {
+  const r = await cached(
+    "artwork",
+    { url },
+    async () => {
+      const resp = await fetchWithTimeout(url, {}, REFERENCE_TIMEOUT_MS);
+      if (!resp.ok) return { ok: false, status: resp.status, descriptor: null };
+      // a format the decoder can't read won't change, so that outcome is cached too
+      try {
+        const img = decodeImage(Buffer.from(await resp.arrayBuffer()));
+        return { ok: true, status: resp.status, descriptor: visualDescriptor(img) };
+      } catch (e) {
+        return { ok: true, status: resp.status, descriptor: null, error: String(e?.message || e) };
+      }
+    },
+    { dbg }
+  );
+  if (!r.descriptor) throw new Error(r.error || `HTTP ${r.status}`);
+  return r.descriptor;
+}
+
+/**
+ * Score the top candidates against the front image, adjust their confidence
+ * and re-sort. Every candidate gets `visual`: { score, art, layout, color } or
+ * null when there was no usable catalog image. Never throws.
+ */
+export async function rerankVisually(frontDataUrl, candidates, debug = {}) {
+  const dbg = (debug.visual = { method: VISUAL_METHOD, scored: 0, failed: [], ms: null });
+  const t0 = nowMs();
+  if (!candidates.length || !visualRerankEnabled()) {
+    dbg.skipped = candidates.length ? "disabled" : "no candidates";
+    return candidates.map((c) => ({ ...c, visual: null }));
+  }
+
+  let mine;
+  try {
+    mine = visualDescriptor(decodeDataUrl(frontDataUrl).image);
+  } catch (e) {
+    dbg.skipped = `front: ${e?.message || e}`;
+    return candidates.map((c) => ({ ...c, visual: null }));
+  }
+
+  const scored = await Promise.all(
+    candidates.map(async (c, i) => {
+      const url = i < MAX_CANDIDATES ? referenceUrl(c.canonical?.image) : "";
+      if (!url) return { ...c, visual: null };
+      try {
+        const ref = await referenceDescriptor(url, {});
+        const visual = compareDescriptors(mine, ref);
+        dbg.scored++;
+        const confidence = Math.max(0, Math.min(0.99, (c.confidence || 0) + CONFIDENCE_WEIGHT * (visual.score - 0.5)));
+        return { ...c, confidence, visual };
+      } catch (e) {
+        dbg.failed.push({ url, error: String(e?.message || e) });
+        return { ...c, visual: null };
+      }
+    })
+  );
+
+  dbg.ms = nowMs() - t0;
+  return scored.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+}
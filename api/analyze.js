@@ -0,0 +1,229 @@
+// /api/analyze.js  (IDENTIFY → GRADE → PRICE IN ONE CALL)
+//
+// Takes front + back photos once: runs the quality gate and normalization a
+// single time, identifies and grades concurrently, then prices the top
+// candidate over the grade distribution. Every stage reports its own status,
+// so a failed identification still returns the grade (and vice versa).
+import { runGrade } from "./grade.js";
+import { newIdentifyDebug, runIdentify } from "./identify.js";
+import { runPrice } from "./price.js";
+import { isKnownCompany } from "./_lib/graders.js";
+import { normalizeCardImages } from "./_lib/normalize.js";
+import { checkImages } from "./_lib/quality.js";
+import { normalizedSummary, openEventStream, wantsEventStream } from "./_lib/sse.js";
+
+export const config = { runtime: "nodejs" };
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+function nowMs() {
+  return Date.now();
+}
+
+// Run one stage, recording { status, ms, error? } instead of throwing.
+async function stage(stages, name, fn, emit) {
+  const t0 = nowMs();
+  let value = null;
+  try {
+    value = await fn();
+    stages[name] = { status: "ok", ms: nowMs() - t0 };
+  } catch (e) {
+    stages[name] = { status: "failed", ms: nowMs() - t0, error: e?.message || `${name} failed` };
+  }
+  emit("stage.done", { stage: name, ...stages[name] });
+  return value;
+}
+
+/**
+ * The whole pipeline for one card, without the HTTP around it. `backDataUrl`
+ * may be missing (e.g. one pocket of a binder page): the card is then
+ * identified and priced from the front and grading is skipped. Returns
+ * { status: complete|partial|failed|rejected, stages, quality, identify,
+ * grade, price, timings }; `rejected` means the quality gate failed (and
+ * `force` wasn't set), with nothing else run. `qualityLimits` replaces the
+ * gate's limits, e.g. POCKET_QUALITY_LIMITS for a pocket cut from a page.
+ */
+export async function runAnalyze(
+  { frontDataUrl, backDataUrl = null, strict, samples, company, force, normalize, cache, card, want, feeGBP, qualityLimits },
+  emit = () => {}
+) {
+  const tAll = nowMs();
+  const timings = {};
+
+  // grading needs both sides, so the stricter two-sided gate covers identification too
+  const tq = nowMs();
+  const sides = backDataUrl ? ["front", "back"] : ["front"];
+  const quality = checkImages({ frontDataUrl, backDataUrl, sides, limits: qualityLimits });
+  timings.qualityMs = nowMs() - tq;
+  if (!quality.ok && !force) {
+    timings.totalMs = nowMs() - tAll;
+    return { status: "rejected", quality, timings };
+  }
+  emit("quality.done", { quality });
+
+  // normalize once; both stages read the same flattened images
+  const tn = nowMs();
+  const normalized = normalize === false ? null : normalizeCardImages({ frontDataUrl, backDataUrl });
+  timings.normalizeMs = nowMs() - tn;
+  if (normalized) emit("normalize.done", normalizedSummary(normalized));
+
+  const stages = {};
+  const identifyDebug = newIdentifyDebug();
+  if (card) stages.identify = { status: "skipped", ms: 0, reason: "card supplied" };
+  if (!backDataUrl) stages.grade = { status: "skipped", ms: 0, reason: "no back photo" };
+  const [identified, grade] = await Promise.all([
+    card
+      ? null
+      : stage(
+          stages,
+          "identify",
+          () =>
+            runIdentify({
+              frontDataUrl,
+              backDataUrl,
+              normalized,
+              normalize: normalize !== false,
+              cache: cache !== false,
+              debug: identifyDebug,
+              onEvent: emit,
+            }),
+          emit
+        ),
+    !backDataUrl
+      ? null
+      : stage(
+          stages,
+          "grade",
+          () =>
+            runGrade({
+              frontDataUrl,
+              backDataUrl,
+              strict,
+              samples,
+              company,
+              normalize: normalize !== false,
+              normalized,
+              cache: cache !== false,
+              onEvent: emit,
+            }),
+          emit
+        ),
+  ]);
+  if (grade) grade.quality = quality;
+
+  // price the confirmed card, else the best candidate, over the grade distribution
+  const top = identified?.candidates?.[0] || null;
+  const priceCard = card || top;
+  let price = null;
+  if (!priceCard?.game || !priceCard?.name) {
+    stages.price = { status: "skipped", ms: 0, reason: "no card identified" };
+  } else {
+    emit("price.started", { card: { game: priceCard.game, name: priceCard.name } });
+    price = await stage(stages, "price", async () => {
+      const out = await runPrice({ card: priceCard, distribution: grade?.distribution, feeGBP, want, company });
+      out.inputs = {
+        card: { game: priceCard.game, name: priceCard.name, set: priceCard.set || null, collectorNumber: priceCard.collectorNumber || null },
+        distribution: grade ? "grade" : "default",
+      };
+      return out;
+    }, emit);
+    if (price && price.raw == null) {
+      stages.price = { ...stages.price, status: "failed", error: price.note };
+    }
+  }
+
+  for (const k of ["identify", "grade", "price"]) timings[`${k}Ms`] = stages[k].ms;
+  timings.totalMs = nowMs() - tAll;
+
+  const statuses = Object.values(stages).map((s) => s.status);
+  const status = statuses.every((s) => s !== "failed")
+    ? "complete"
+    : statuses.some((s) => s === "ok")
+      ? "partial"
+      : "failed";
+
+  return {
+    status,
+    stages,
+    quality,
+    identify: identified
+      ? {
+          extracted: identified.extracted,
+          candidates: identified.candidates,
+          note: identified.note,
+          cached: identified.cached,
+          debug: identifyDebug,
+        }
+      : null,
+    grade,
+    price,
+    timings,
+  };
+}
+
+/**
+ * POST { frontDataUrl, backDataUrl, strict?, samples?, company?, force?,
+ *        normalize?, cache?, card?, want?, feeGBP? }
+ * `card` skips identification's choice (e.g. a candidate the user confirmed).
+ * Identify and grade reuse results cached for the same photos unless `cache: false`.
+ * Returns { status: complete|partial|failed, stages, quality, identify, grade, price, timings }.
+ * Streams (see _lib/sse.js) the identify and grade progress events plus a
+ * stage.done per stage, then the same body as a `done` event.
+ */
+export default async function handler(req, res) {
+  const tAll = nowMs();
+  let stream = null;
+  const emit = (name, data) => stream?.send(name, data);
+
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const body = await readBody(req);
+    const { frontDataUrl, backDataUrl, company } = body;
+    if (!frontDataUrl || !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
+    if (company && !isKnownCompany(company)) return json(res, 400, { error: `Unknown company "${company}"` });
+
+    // the stream opens once the quality gate has passed, so a rejection is still a plain 422
+    // a whole photo always gets the full limits; the pocket limits are batch.js's
+    const out = await runAnalyze({ ...body, qualityLimits: undefined }, (name, data) => {
+      if (!stream && wantsEventStream(req, body)) stream = openEventStream(res);
+      emit(name, data);
+    });
+    if (out.status === "rejected") {
+      const { quality, timings } = out;
+      return json(res, 422, { error: "Image quality check failed", quality, timings });
+    }
+
+    if (stream) {
+      emit("done", out);
+      return stream.close();
+    }
+    return json(res, out.status === "failed" ? 502 : 200, out);
+  } catch (e) {
+    console.error(e);
+    const timings = { totalMs: nowMs() - tAll };
+    if (stream) {
+      emit("error", { error: e?.message || "Analyze failed", timings });
+      return stream.close();
+    }
+    return json(res, 500, { error: e?.message || "Analyze failed", timings });
+  }
+}
@@ -0,0 +1,266 @@
+// /api/batch.js  (MANY CARDS IN ONE CALL)
+//
+// Pre-screens a whole submission: a list of front/back pairs, or one photo of
+// a binder page (optionally with a photo of its back) that is split into one
+// card per pocket (see _lib/segment.js). Every card goes through the same
+// pipeline as /api/analyze, a few at a time, and the response adds a summary
+// in GBP: what the lot is worth, which cards are worth grading and what that
+// would cost.
+//
+// Pockets are a third of the page on each side, so they go through the gate
+// with POCKET_QUALITY_LIMITS (see _lib/quality.js), and a page too small to
+// give pockets that pass is refused up front.
+//
+// The request body is capped at MAX_BODY_BYTES, the most Vercel accepts for a
+// function: a binder page, or a few dozen photos at the page's fast-mode size.
+// A larger submission has to be split by the client into several requests
+// (one page, or a slice of `cards`, each) and their summaries added up.
+import { isKnownCompany } from "./_lib/graders.js";
+import { mapWithConcurrency } from "./_lib/lookup.js";
+import { POCKET_QUALITY_LIMITS } from "./_lib/quality.js";
+import { SegmentError, segmentPageDataUrls } from "./_lib/segment.js";
+import { openEventStream, wantsEventStream } from "./_lib/sse.js";
+import { runAnalyze } from "./analyze.js";
+
+export const config = { runtime: "nodejs" };
+
+const MAX_CARDS = 200;
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 6;
+const DEFAULT_MIN_GAIN_GBP = 10; // graded EV must beat raw + fee by this much to recommend grading
+
+export class BatchError extends Error {
+  constructor(message, code = "bad_request") {
+    super(message);
+    this.name = "BatchError";
+    this.code = code;
+  }
+}
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    let bytes = 0;
+    req.on("data", (c) => {
+      bytes += c.length;
+      // keep reading (and dropping) the rest, so the client still gets the 413
+      if (bytes <= MAX_BODY_BYTES) data += c;
+    });
+    req.on("end", () => {
+      if (bytes > MAX_BODY_BYTES) {
+        const mb = (n) => (n / 1048576).toFixed(1);
+        return reject(new BatchError(`Request body is ${mb(bytes)}MB (max ${mb(MAX_BODY_BYTES)}MB); split the batch`, "too_large"));
+      }
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+function nowMs() {
+  return Date.now();
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// The cards to analyze, from either input shape; empty pockets stay in the list so indexes match the page.
+function batchInputs(body) {
+  if (body.pageDataUrl) {
+    const pockets = segmentPageDataUrls({
+      pageDataUrl: body.pageDataUrl,
+      backPageDataUrl: body.backPageDataUrl || null,
+      rows: body.rows,
+      cols: body.cols,
+      minPocketLongSide: POCKET_QUALITY_LIMITS.minLongSide,
+    });
+    return pockets.map((p) => ({ ...p, qualityLimits: POCKET_QUALITY_LIMITS }));
+  }
+  if (!Array.isArray(body.cards) || !body.cards.length) throw new BatchError("Need `cards` or `pageDataUrl`");
+  if (body.cards.length > MAX_CARDS) throw new BatchError(`At most ${MAX_CARDS} cards per batch`, "too_many");
+  return body.cards.map((c, index) => {
+    if (!c?.frontDataUrl) throw new BatchError(`cards[${index}]: missing frontDataUrl`);
+    return { index, empty: false, frontDataUrl: c.frontDataUrl, backDataUrl: c.backDataUrl || null, card: c.card, want: c.want };
+  });
+}
+
+// Where a card sits: its index, plus its pocket on a binder page
+function position({ index, row, col }) {
+  return row == null ? { index } : { index, row, col };
+}
+
+// One card's result without the per-stage debug, which would dwarf a 200-card response.
+function itemResult(input, out) {
+  const where = position(input);
+  if (out.status === "rejected") return { ...where, status: "rejected", quality: out.quality, timings: out.timings };
+  const identify = out.identify && { ...out.identify, debug: undefined };
+  const price = out.price && { ...out.price, debug: undefined };
+  return { ...where, status: out.status, stages: out.stages, quality: out.quality, identify, grade: out.grade, price, timings: out.timings };
+}
+
+/**
+ * Totals over the priced cards, in GBP. A card is recommended for grading
+ * when its graded EV beats its raw price plus the fee by `minGainGBP`;
+ * `basis` says whether that EV came from a real grade or the default spread
+ * (no back photo).
+ */
+function summarize(items, minGainGBP) {
+  const counts = { cards: items.length, empty: 0, rejected: 0, failed: 0, identified: 0, priced: 0 };
+  let rawValue = 0;
+  let expectedValue = 0;
+  let gradingFees = 0;
+  const recommended = [];
+
+  for (const it of items) {
+    if (it.status === "empty") counts.empty++;
+    else if (it.status === "rejected") counts.rejected++;
+    else if (it.status === "failed") counts.failed++;
+    if (it.identify?.candidates?.length || it.stages?.identify?.status === "skipped") counts.identified++;
+
+    const gbp = it.price?.converted?.GBP;
+    if (!gbp || !isFinite(gbp.raw)) continue;
+    counts.priced++;
+    rawValue += gbp.raw;
+
+    const gain = gbp.evGraded - gbp.fee - gbp.raw;
+    if (isFinite(gain) && gain >= minGainGBP) {
+      expectedValue += gbp.evGraded;
+      gradingFees += gbp.fee;
+      recommended.push({
+        index: it.index,
+        name: it.price.inputs?.card?.name || null,
+        raw: round2(gbp.raw),
+        evGraded: round2(gbp.evGraded),
+        fee: round2(gbp.fee),
+        gain: round2(gain),
+        basis: it.price.inputs?.distribution || null,
+      });
+    } else {
+      expectedValue += gbp.raw;
+    }
+  }
+
+  return {
+    ...counts,
+    currency: "GBP",
+    rawValue: round2(rawValue),
+    expectedValue: round2(expectedValue),
+    gradingFees: round2(gradingFees),
+    expectedNet: round2(expectedValue - gradingFees),
+    minGainGBP,
+    recommended: recommended.sort((a, b) => b.gain - a.gain),
+  };
+}
+
+/**
+ * Analyze every card of a batch body (see the handler) with at most
+ * `concurrency` cards in flight. Emits card.done per card. Throws BatchError
+ * (or SegmentError for an unusable page photo) before any work starts.
+ */
+export async function runBatch(body, emit = () => {}) {
+  const tAll = nowMs();
+  if (body.company && !isKnownCompany(body.company)) throw new BatchError(`Unknown company "${body.company}"`);
+  const inputs = batchInputs(body);
+  const concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, Number(body.concurrency) || DEFAULT_CONCURRENCY));
+  const minGainGBP = isFinite(Number(body.minGainGBP)) ? Number(body.minGainGBP) : DEFAULT_MIN_GAIN_GBP;
+  const shared = {
+    strict: body.strict,
+    samples: body.samples,
+    company: body.company,
+    force: body.force,
+    normalize: body.normalize,
+    cache: body.cache,
+    feeGBP: body.feeGBP,
+  };
+
+  emit("batch.started", { cards: inputs.length, concurrency });
+  let done = 0;
+  const items = await mapWithConcurrency(inputs, concurrency, async (input) => {
+    let item;
+    if (input.empty) {
+      item = { ...position(input), status: "empty" };
+    } else {
+      try {
+        const out = await runAnalyze({
+          ...shared,
+          frontDataUrl: input.frontDataUrl,
+          backDataUrl: input.backDataUrl,
+          card: input.card,
+          want: input.want || body.want,
+          qualityLimits: input.qualityLimits,
+        });
+        item = itemResult(input, out);
+      } catch (e) {
+        item = { ...position(input), status: "failed", error: e?.message || "Analyze failed" };
+      }
+    }
+    emit("card.done", {
+      index: item.index,
+      status: item.status,
+      done: ++done,
+      total: inputs.length,
+      name: item.price?.inputs?.card?.name || null,
+    });
+    return item;
+  });
+
+  const worked = items.filter((it) => it.status !== "empty");
+  const status = worked.every((it) => it.status === "complete")
+    ? "complete"
+    : worked.some((it) => it.status === "complete" || it.status === "partial")
+      ? "partial"
+      : "failed";
+
+  return { status, items, summary: summarize(items, minGainGBP), timings: { totalMs: nowMs() - tAll } };
+}
+
+/**
+ * POST { cards: [{ frontDataUrl, backDataUrl?, card?, want? }] }
+ *   or { pageDataUrl, backPageDataUrl?, rows? (3), cols? (3) }
+ * plus, for every card: { strict?, samples?, company?, force?, normalize?, cache?, want?, feeGBP? }
+ * and { concurrency? (3, max 6), minGainGBP? (10) }.
+ * Cards without a back photo are identified and priced but not graded.
+ * Returns { status, items, summary, timings }; streams batch.started and a
+ * card.done per card, then the same body as a `done` event.
+ */
+export default async function handler(req, res) {
+  const tAll = nowMs();
+  let stream = null;
+
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const body = await readBody(req);
+    // the stream opens with the first event, after validation, so bad input is still plain JSON
+    const out = await runBatch(body, (name, data) => {
+      if (!stream && wantsEventStream(req, body)) stream = openEventStream(res);
+      stream?.send(name, data);
+    });
+
+    if (stream) {
+      stream.send("done", out);
+      return stream.close();
+    }
+    return json(res, out.status === "failed" ? 502 : 200, out);
+  } catch (e) {
+    if (e instanceof BatchError || e instanceof SegmentError) {
+      return json(res, e.code === "too_many" || e.code === "too_large" ? 413 : 400, { error: e.message });
+    }
+    console.error(e);
+    const timings = { totalMs: nowMs() - tAll };
+    if (stream) {
+      stream.send("error", { error: e?.message || "Batch failed", timings });
+      return stream.close();
+    }
+    return json(res, 500, { error: e?.message || "Batch failed", timings });
+  }
+}
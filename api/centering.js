@@ -0,0 +1,48 @@
+// /api/centering.js  (MEASURED CENTERING)
+import { isKnownCompany } from "./_lib/graders.js";
+import { measureCentering } from "./_lib/centering.js";
+
+export const config = { runtime: "nodejs" };
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const { frontDataUrl, backDataUrl, company, cropped } = await readBody(req);
+    if (!frontDataUrl && !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
+    if (company && !isKnownCompany(company)) return json(res, 400, { error: `Unknown company "${company}"` });
+
+    const t0 = Date.now();
+    const out = measureCentering({
+      frontDataUrl,
+      backDataUrl,
+      company,
+      cropped: typeof cropped === "boolean" ? cropped : null,
+    });
+    out.ms = Date.now() - t0;
+
+    return json(res, 200, out);
+  } catch (e) {
+    return json(res, 500, { error: e?.message || "Centering failed" });
+  }
+}
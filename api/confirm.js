@@ -0,0 +1,161 @@
+// /api/confirm.js  (CONFIRM OR CORRECT AN IDENTIFICATION)
+//
+// Follow-up to /api/identify. The user either picks one of the candidates or
+// edits what the model read (name, set, number, variant, language); the
+// resolvers run again on the result — no model call — and the matching card
+// comes back as a locked identity. Each confirmation is stored as a labelled
+// example (labelStore.js) for accuracy evaluation.
+import { imageFingerprint } from "./_lib/imageCache.js";
+import { LABEL_FIELDS, saveLabel } from "./_lib/labelStore.js";
+import { normalizeCollectorNumber, nowMs } from "./_lib/lookup.js";
+import { providerModelId } from "./_lib/vision.js";
+import { EXTRACT_PROMPT_VERSION, EXTRACT_TASKS, newIdentifyDebug, resolveCandidates, sanitizeExtraction } from "./identify.js";
+
+export const config = { runtime: "nodejs" };
+
+// Without an explicit pick, the top candidate is locked only when it is this sure and this far ahead
+const LOCK_MIN_CONFIDENCE = 0.85;
+const LOCK_MIN_MARGIN = 0.1;
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Known fields the user actually changed; an empty value clears the field.
+function cleanCorrections(raw, predicted) {
+  const out = {};
+  if (!isObject(raw)) return out;
+  for (const k of LABEL_FIELDS) {
+    if (!(k in raw)) continue;
+    const v = raw[k] == null || String(raw[k]).trim() === "" ? null : String(raw[k]).trim();
+    if (v !== (predicted[k] ?? null)) out[k] = v;
+  }
+  return out;
+}
+
+function pickTop(candidates) {
+  const [top, next] = candidates;
+  if (!top || (top.confidence || 0) < LOCK_MIN_CONFIDENCE) return null;
+  if (next && (top.confidence || 0) - (next.confidence || 0) < LOCK_MIN_MARGIN) return null;
+  return top;
+}
+
+function lockIdentity(cand, method, corrections) {
+  return {
+    id: cand.id,
+    game: cand.game,
+    name: cand.name,
+    displayName: cand.displayName || cand.name,
+    set: cand.set || null,
+    setCode: cand.setCode || null,
+    collectorNumber: cand.collectorNumber || null,
+    variant: cand.variant || null,
+    rarity: cand.rarity || null,
+    edition: cand.edition || null,
+    finish: cand.finish || null,
+    treatments: cand.treatments || null,
+    language: cand.language || null,
+    canonical: cand.canonical,
+    confidence: cand.confidence,
+    locked: true,
+    lockedAt: new Date().toISOString(),
+    confirmation: { method, corrected: Object.keys(corrections) },
+  };
+}
+
+// POST { extracted, corrections?, candidateId?, predictedCandidateId?, frontDataUrl?, label? }
+//   -> 200 { identity, candidates, extracted, note, labelId, debug }
+// `identity` is null when nothing (or more than one card) fits; `label: false` skips storing the example.
+export default async function handler(req, res) {
+  const debug = newIdentifyDebug();
+  const tAll = nowMs();
+
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const body = await readBody(req);
+    const predicted = isObject(body.extracted) ? body.extracted : {};
+    const corrections = cleanCorrections(body.corrections, predicted);
+    const candidateId = body.candidateId ? String(body.candidateId) : null;
+
+    const extracted = sanitizeExtraction({ ...predicted, ...corrections });
+    extracted.collectorNumber = normalizeCollectorNumber(extracted.collectorNumber);
+    if (!extracted.name && !extracted.collectorNumber && !extracted.setCode) {
+      return json(res, 400, { error: "Need at least a name, collector number or set code to confirm" });
+    }
+
+    const candidates = await resolveCandidates(extracted, debug);
+
+    let chosen = null;
+    if (candidateId) {
+      chosen = candidates.find((c) => c.id === candidateId) || null;
+      if (!chosen) {
+        debug.timings.totalMs = nowMs() - tAll;
+        return json(res, 404, {
+          error: `Candidate "${candidateId}" doesn't match these fields`,
+          candidates,
+          extracted,
+          debug,
+        });
+      }
+    } else {
+      chosen = pickTop(candidates);
+    }
+
+    const identity = chosen ? lockIdentity(chosen, candidateId ? "candidate" : "corrected", corrections) : null;
+    let note = null;
+    if (!identity) {
+      note = candidates.length
+        ? "More than one card fits; pick one of the candidates to confirm."
+        : "No card matches these fields. Check the name and number.";
+    }
+
+    // the confirmation stands even if the example can't be stored
+    let labelId = null;
+    if (identity && body.label !== false) {
+      try {
+        const label = await saveLabel({
+          predicted,
+          predictedCandidateId: body.predictedCandidateId ? String(body.predictedCandidateId) : null,
+          corrections,
+          confirmed: identity,
+          photo: body.frontDataUrl ? { front: imageFingerprint(body.frontDataUrl) } : null,
+          model: {
+            extract: providerModelId(EXTRACT_TASKS.microExtract),
+            fallback: providerModelId(EXTRACT_TASKS.fallbackExtract),
+            prompt: EXTRACT_PROMPT_VERSION,
+          },
+        });
+        labelId = label.id;
+      } catch (e) {
+        console.error("Saving label failed:", e);
+        debug.labelError = String(e?.message || e);
+      }
+    }
+
+    debug.timings.totalMs = nowMs() - tAll;
+    return json(res, 200, { identity, candidates, extracted, note, labelId, debug });
+  } catch (e) {
+    debug.error = e?.message || "Confirm failed";
+    debug.timings.totalMs = nowMs() - tAll;
+    return json(res, 500, { error: debug.error, debug });
+  }
+}
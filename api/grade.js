@@ -1,3 +1,14 @@
+import { providerModelId, visionRespond } from "./_lib/vision.js";
+import { MAX_SAMPLES, mergeGradePasses, passVariation } from "./_lib/gradeEnsemble.js";
+import { measureCentering } from "./_lib/centering.js";
+import { DEFECT_TYPES, locateDefects } from "./_lib/defects.js";
+import { normalizeCardImages } from "./_lib/normalize.js";
+import { applyGraderProfile, getGraderProfile, graderPromptBlock, isKnownCompany } from "./_lib/graders.js";
+import { GRADE_SCHEMA_VERSION, GradeSchemaError, salvageJson, validateGradeReport } from "./_lib/gradeSchema.js";
+import { findImageResult, storeImageResult } from "./_lib/imageCache.js";
+import { checkImages } from "./_lib/quality.js";
+import { normalizedSummary, openEventStream, wantsEventStream } from "./_lib/sse.js";
+
 export const config = { runtime: "nodejs" };
 
 function json(res, status, body){
@@ -16,104 +27,51 @@ async function readBody(req){
   });
 }
 
-function clamp(n,a,b){ return Math.max(a, Math.min(b,n)); }
-
-function extractOutputText(respJson){
-  const out = Array.isArray(respJson?.output) ? respJson.output : [];
-  const chunks = [];
-  for (const item of out){
-    const content = Array.isArray(item?.content) ? item.content : [];
-    for (const c of content){
-      if (c?.type === "output_text" && typeof c?.text === "string") chunks.push(c.text);
-    }
-  }
-  return chunks.join("\n").trim();
-}
-
-async function openaiResponses({ systemText, userText, frontDataUrl, backDataUrl }){
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("Missing OPENAI_API_KEY");
-
-  const resp = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${key}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "gpt-4.1-mini",
-      input: [
-        { role: "system", content: [{ type: "input_text", text: systemText }] },
-        {
-          role: "user",
-          content: [
-            { type: "input_text", text: userText },
-            { type: "input_image", image_url: frontDataUrl },
-            { type: "input_image", image_url: backDataUrl }
-          ]
-        }
-      ],
-      temperature: 0.25,
-      max_output_tokens: 900
-    })
+async function gradeResponses({ systemText, userText, frontDataUrl, backDataUrl, temperature = 0.25 }){
+  const r = await visionRespond({
+    task: "grade",
+    systemText,
+    userText,
+    images: [frontDataUrl, backDataUrl],
+    temperature,
+    maxOutputTokens: 1400
   });
 
-  const data = await resp.json().catch(()=> ({}));
-  if (!resp.ok) throw new Error(data?.error?.message || "OpenAI grade failed");
-
-  const text = extractOutputText(data);
-  if (!text) throw new Error("Grade: model returned empty output");
-  return text;
+  if (!r.ok) throw Object.assign(new Error(r.error || "Vision grade failed"), { status: r.status });
+  if (!r.text) throw new Error("Grade: model returned empty output");
+  return r.text;
 }
 
-async function openaiRepairJson(badText){
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("Missing OPENAI_API_KEY");
-
+async function repairJson(badText){
   const systemText =
     "You repair JSON. Return ONLY valid JSON. Do not add commentary.";
 
   const userText =
     `Fix this into valid JSON ONLY. Preserve fields if possible.\n\n${badText}`;
 
-  const resp = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${key}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "gpt-4.1-mini",
-      input: [
-        { role:"system", content:[{type:"input_text", text: systemText}] },
-        { role:"user", content:[{type:"input_text", text: userText}] }
-      ],
-      temperature: 0,
-      max_output_tokens: 700
-    })
+  const r = await visionRespond({
+    task: "repair",
+    systemText,
+    userText,
+    temperature: 0,
+    maxOutputTokens: 1200
   });
 
-  const data = await resp.json().catch(()=> ({}));
-  if (!resp.ok) throw new Error(data?.error?.message || "OpenAI JSON repair failed");
-
-  const text = extractOutputText(data);
-  if (!text) throw new Error("Repair: empty output");
-  return text;
+  if (!r.ok) throw new Error(r.error || "JSON repair failed");
+  if (!r.text) throw new Error("Repair: empty output");
+  return r.text;
 }
 
-export default async function handler(req, res){
-  try{
-    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
-
-    const { frontDataUrl, backDataUrl, strict } = await readBody(req);
-    if (!frontDataUrl || !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
+// bump whenever buildGradePrompt changes what the model is asked; cached grades are keyed on it
+export const GRADE_PROMPT_VERSION = "grade-prompt@3";
 
-    const systemText =
-      "You are a strict trading card pre-screening assistant. " +
-      "You are NOT issuing an official grade. " +
-      "Return ONLY valid JSON. No markdown.";
+function buildGradePrompt({ strict, focus, profile }){
+  const systemText =
+    "You are a strict trading card pre-screening assistant. " +
+    "You are NOT issuing an official grade. " +
+    "Return ONLY valid JSON. No markdown.";
 
-    const userText =
+  const userText =
 `Analyze the FRONT and BACK images of a trading card.
 
 Return JSON with:
@@ -130,59 +88,187 @@ Return JSON with:
   ],
   "subgrades": {"centering": number, "corners": number, "edges": number, "surface": number},
   "issues": string[],
-  "notes": string[]
+  "notes": string[],
+  "defects": [
+    {"type": "whitening", "side": "back", "box": [0.02, 0.01, 0.06, 0.04], "severity": "minor", "subgrade": "corners", "note": "top-left corner"},
+    {"type": "scratch", "side": "front", "point": [0.41, 0.58], "severity": "moderate", "subgrade": "surface", "note": "across the art"}
+  ]
 }
 
 Rules:
 - Grades in increments of 0.5 only.
 - If strict=true, be harsher on surface flaws/whitening.
 - Keep issues factual (whitening, scratches, print lines, centering, glare).
+- List every visible flaw in "defects": type is one of ${DEFECT_TYPES.join(", ")}; side is "front" or "back" (first image is the front).
+- Locate each defect on its own image with "box" [x, y, width, height] or "point" [x, y], as fractions 0..1 of that image's width and height, origin top-left.
+- severity is minor, moderate or major; subgrade is the one the defect lowers (corners, edges or surface). Use [] when no defects are visible.
 - Output JSON ONLY.
-
+${focus ? `- ${focus}\n` : ""}${profile.id !== "generic" ? `\n${graderPromptBlock(profile)}\n` : ""}
 strict=${!!strict}`;
 
-    let text = await openaiResponses({ systemText, userText, frontDataUrl, backDataUrl });
+  return { systemText, userText };
+}
 
-    let parsed;
-    try{
-      parsed = JSON.parse(text);
-    } catch {
-      // repair once
-      const fixed = await openaiRepairJson(text);
-      parsed = JSON.parse(fixed);
-    }
+// One model pass -> validated report
+async function gradeOnce({ frontDataUrl, backDataUrl, strict, profile, focus, temperature }){
+  const { systemText, userText } = buildGradePrompt({ strict, focus, profile });
+  const text = await gradeResponses({ systemText, userText, frontDataUrl, backDataUrl, temperature });
 
-    // sanitize
-    parsed.confidence = clamp(Number(parsed.confidence ?? 0.5), 0, 1);
-    parsed.mostLikely = clamp(Number(parsed.mostLikely ?? 9), 1, 10);
+  // local salvage first; only a whole-blob model repair if nothing parses
+  let parsed = salvageJson(text);
+  let jsonRepaired = false;
+  if (!parsed){
+    const fixed = await repairJson(text);
+    parsed = salvageJson(fixed);
+    jsonRepaired = true;
+    if (!parsed) throw new GradeSchemaError("Grade: model output is not valid JSON");
+  }
 
-    if (!Array.isArray(parsed.range) || parsed.range.length !== 2){
-      parsed.range = [clamp(parsed.mostLikely - 0.5, 1, 10), clamp(parsed.mostLikely + 0.5, 1, 10)];
-    }
-    parsed.range = [
-      clamp(Number(parsed.range[0] ?? parsed.mostLikely - 0.5), 1, 10),
-      clamp(Number(parsed.range[1] ?? parsed.mostLikely + 0.5), 1, 10),
-    ].sort((a,b)=>a-b);
-
-    if (!Array.isArray(parsed.distribution) || !parsed.distribution.length){
-      parsed.distribution = [
-        {grade: clamp(parsed.mostLikely - 0.5, 1, 10), prob: 0.25},
-        {grade: parsed.mostLikely, prob: 0.5},
-        {grade: clamp(parsed.mostLikely + 0.5, 1, 10), prob: 0.25},
-      ];
+  const { report, repaired } = validateGradeReport(parsed, { scale: profile.scale });
+  if (jsonRepaired) repaired.unshift({ field: "*", reason: "output was not valid JSON; repaired by model" });
+  return { report, repaired };
+}
+
+/**
+ * Grade a card. samples > 1 runs independent passes concurrently and merges
+ * them; failed passes are tolerated as long as one succeeds. `company` picks a
+ * grader profile (psa|bgs|cgc|sgc); without it the generic 1..10 scale is used.
+ * Centering is also measured from the pixels and reported next to the model's.
+ * `onEvent(name, data)` reports progress: normalize.done, centering.done and a
+ * grade.partial (the passes merged so far) each time a pass finishes.
+ * The same (or near-identical) photos graded before under the same model,
+ * prompt and options reuse that grade without a model call (`cached: true`);
+ * `cache: false` forces fresh passes.
+ */
+export async function runGrade({ frontDataUrl, backDataUrl, strict = false, samples = 1, company = null, measure = true, normalize = true, normalized: pre = null, cache = true, onEvent = () => {} }){
+  const n = Math.max(1, Math.min(MAX_SAMPLES, Math.floor(Number(samples) || 1)));
+  const profile = getGraderProfile(company);
+
+  // flatten + crop first so every pass and the measurements see the same card-only images;
+  // a side that can't be normalized falls back to the original photo. `pre` is a
+  // normalizeCardImages() result the caller already computed.
+  const normalized = pre || (normalize ? normalizeCardImages({ frontDataUrl, backDataUrl }) : null);
+  if (normalized && !pre) onEvent("normalize.done", normalizedSummary(normalized));
+  const front = normalized?.front.ok ? normalized.front.dataUrl : frontDataUrl;
+  const back = normalized?.back.ok ? normalized.back.dataUrl : backDataUrl;
+
+  const finish = (report, repaired, measured) => {
+    if (profile.id !== "generic") applyGraderProfile(report, profile, repaired);
+    if (normalized) report.normalized = normalized;
+    // defect boxes are on the analysed images; also place them on the original photos
+    report.defects = locateDefects(report.defects, normalized);
+    if (measured){
+      report.measuredCentering = measured;
+      if (measured.capGrade != null && measured.capGrade < report.mostLikely){
+        const sides = ["front", "back"]
+          .filter(k => measured[k]?.ok)
+          .map(k => `${k} ${measured[k].leftRight} L/R, ${measured[k].topBottom} T/B`);
+        report.notes.push(`Measured centering (${sides.join("; ")}) caps ${profile.id === "generic" ? "the grade" : profile.name} at ${measured.capGrade}.`);
+      }
     }
+    report.validation = { schema: GRADE_SCHEMA_VERSION, repaired };
+    report.cached = false;
+    return report;
+  };
+
+  const measureNow = () => {
+    const measured = measure ? measureCentering({
+      frontDataUrl: front,
+      backDataUrl: back,
+      company: profile.id,
+      cropped: { front: normalized?.front.ok || null, back: normalized?.back.ok || null }
+    }) : null;
+    if (measured) onEvent("centering.done", measured);
+    return measured;
+  };
+
+  // keyed on the submitted photos, not the normalized ones: normalization is ours and re-runs cheaply
+  const photos = { front: frontDataUrl, back: backDataUrl };
+  const stageKey = { model: providerModelId("grade"), prompt: GRADE_PROMPT_VERSION, strict: !!strict, samples: n, company: profile.id, normalize: !!normalized };
+  const hit = cache ? await findImageResult("grade", stageKey, photos) : null;
+  if (hit){
+    const report = finish(hit.value.report, hit.value.repaired, measureNow());
+    report.cached = true;
+    report.cache = { match: hit.match, distance: hit.distance, ageMs: hit.ageMs };
+    return report;
+  }
+  const done = async (report, repaired, measured) => {
+    // partial ensembles aren't stored; the next run should get the full set of passes
+    if (cache && !report.ensemble?.failed?.length) await storeImageResult("grade", stageKey, photos, { report, repaired });
+    return finish(report, repaired, measured);
+  };
+
+  // model passes are in flight while centering is measured (sync, CPU-bound);
+  // each finished pass re-merges everything so far into a preliminary grade
+  const finished = [];
+  const passes = Array.from({ length: n }, (_, i) =>
+    gradeOnce({ frontDataUrl: front, backDataUrl: back, strict, profile, ...passVariation(i, n) }).then(p => {
+      finished.push(p.report);
+      const report = finished.length === 1 ? p.report : mergeGradePasses(finished, { scale: profile.scale }).report;
+      onEvent("grade.partial", { pass: i, completed: finished.length, of: n, report });
+      return p;
+    })
+  );
+  const measured = measureNow();
+
+  const settled = await Promise.allSettled(passes);
+  const ok = settled.filter(s => s.status === "fulfilled").map(s => s.value);
+  if (!ok.length) throw settled[0].reason;
+
+  if (n === 1) return done(ok[0].report, ok[0].repaired, measured);
+
+  const merged = mergeGradePasses(ok.map(p => p.report), { scale: profile.scale });
+  merged.report.ensemble = {
+    ...merged.ensemble,
+    requested: n,
+    failed: settled.filter(s => s.status === "rejected").map(s => String(s.reason?.message || s.reason))
+  };
+  return done(merged.report, [
+    ...ok.flatMap((p, i) => p.repaired.map(r => ({ ...r, pass: i }))),
+    ...merged.repaired.map(r => ({ ...r, pass: "merged" }))
+  ], measured);
+}
 
-    // normalize distribution probs
-    let sum = parsed.distribution.reduce((s,x)=> s + Number(x.prob||0), 0);
-    if (!isFinite(sum) || sum <= 0) sum = 1;
-    parsed.distribution = parsed.distribution.map(x=>({
-      grade: clamp(Number(x.grade||parsed.mostLikely), 1, 10),
-      prob: Number(x.prob||0)/sum
-    }));
+export default async function handler(req, res){
+  let stream = null;
+  try{
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const body = await readBody(req);
+    const { frontDataUrl, backDataUrl, strict, samples, company, force, normalize, cache } = body;
+    if (!frontDataUrl || !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
+    if (company && !isKnownCompany(company)) return json(res, 400, { error: `Unknown company "${company}"` });
+
+    // reject unusable photos before any model call; `force` skips the gate (warnings still reported)
+    const quality = checkImages({ frontDataUrl, backDataUrl });
+    if (!quality.ok && !force) return json(res, 422, { error: "Image quality check failed", quality });
 
-    return json(res, 200, parsed);
+    if (wantsEventStream(req, body)){
+      stream = openEventStream(res);
+      stream.send("quality.done", { quality });
+    }
+
+    const report = await runGrade({
+      frontDataUrl, backDataUrl, strict, samples, company,
+      normalize: normalize !== false,
+      cache: cache !== false,
+      onEvent: (name, data) => stream?.send(name, data)
+    });
+    report.quality = quality;
+    if (stream){
+      stream.send("done", report);
+      return stream.close();
+    }
+    return json(res, 200, report);
   } catch (e){
     console.error(e);
-    return json(res, 500, { error: e.message || "Grade failed" });
+    const out = e instanceof GradeSchemaError
+      ? { error: e.message, repaired: e.repaired }
+      : { error: e.message || "Grade failed" };
+    if (stream){
+      stream.send("error", out);
+      return stream.close();
+    }
+    return json(res, e instanceof GradeSchemaError ? 502 : 500, out);
   }
-}
\ No newline at end of file
+}
@@ -1,4 +1,14 @@
 // /api/identify.js  (FAST-FIRST PIPELINE)
+import { GAMES, gameEnumText, gameExtractionHints, getGame, resolveGameId } from "./_lib/games/index.js";
+import { findImageResult, storeImageResult } from "./_lib/imageCache.js";
+import { LANGUAGES, normalizeLanguage } from "./_lib/language.js";
+import { normalizeCollectorNumber, nowMs } from "./_lib/lookup.js";
+import { NORMALIZE_METHOD, normalizeCardDataUrl } from "./_lib/normalize.js";
+import { checkImages } from "./_lib/quality.js";
+import { normalizedSummary, openEventStream, wantsEventStream } from "./_lib/sse.js";
+import { providerModelId, visionRespond } from "./_lib/vision.js";
+import { rerankVisually } from "./_lib/visualMatch.js";
+
 export const config = { runtime: "nodejs" };
 
 function json(res, status, body) {
@@ -25,74 +35,25 @@ function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-function nowMs() {
-  return Date.now();
-}
-
-function normalizeCollectorNumber(raw) {
-  if (!raw) return null;
-  const s = String(raw).trim();
-  if (!s) return null;
-  // "11/108" -> "11"
-  if (s.includes("/")) return s.split("/")[0].trim();
-  return s;
-}
-
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function fetchWithTimeout(url, opts = {}, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...opts, signal: controller.signal });
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function fetchJsonWithRetries(url, opts, dbg, retries = 1, timeoutMs = 8000) {
-  let lastErr = null;
-  for (let i = 0; i <= retries; i++) {
-    try {
-      const r = await fetchWithTimeout(url, opts, timeoutMs);
-      const j = await r.json().catch(() => ({}));
-      dbg.http = r.status;
-      dbg.ok = r.ok;
-      dbg.error = r.ok ? null : (j?.error?.message || j?.message || j?.error || `HTTP ${r.status}`);
-      return { r, j };
-    } catch (e) {
-      lastErr = e;
-      dbg.http = "FETCH_ERR";
-      dbg.ok = false;
-      dbg.error = String(e?.message || e);
-      if (i < retries) await sleep(180 + 220 * i);
-    }
-  }
-  throw lastErr || new Error("Fetch failed");
-}
+const LANGUAGE_ENUM = `${Object.keys(LANGUAGES).map((l) => `"${l}"`).join("|")}|null`;
 
-function extractOutputText(respJson) {
-  // Responses API: output -> content[] with type "output_text"
-  const out = Array.isArray(respJson?.output) ? respJson.output : [];
-  const chunks = [];
-  for (const item of out) {
-    const content = Array.isArray(item?.content) ? item.content : [];
-    for (const c of content) {
-      if (c?.type === "output_text" && typeof c?.text === "string") chunks.push(c.text);
-    }
-  }
-  return chunks.join("\n").trim();
+export function sanitizeExtraction(parsed) {
+  parsed.game = resolveGameId(parsed.game);
+  parsed.confidence = clamp(Number(parsed.confidence || 0), 0, 1);
+  parsed.name = parsed.name ? String(parsed.name).trim() : null;
+  parsed.set = parsed.set ? String(parsed.set).trim() : null;
+  parsed.setCode = parsed.setCode ? String(parsed.setCode).trim() : null;
+  parsed.collectorNumber = parsed.collectorNumber ? String(parsed.collectorNumber).trim() : null;
+  parsed.variant = parsed.variant ? String(parsed.variant).trim() : null;
+  parsed.nameEn = parsed.nameEn ? String(parsed.nameEn).trim() : null;
+  parsed.language = normalizeLanguage(parsed.language);
+  return parsed;
 }
 
 // ----------------------------
-// OpenAI: micro extract (FAST)
+// Vision: micro extract (FAST)
 // ----------------------------
 async function openaiMicroExtract(frontDataUrl, debug) {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("Missing OPENAI_API_KEY");
-
   const t0 = nowMs();
 
   // Keep it tiny: front-only, minimal fields, low tokens.
@@ -102,415 +63,142 @@ async function openaiMicroExtract(frontDataUrl, debug) {
   const userText =
     `From the FRONT image only, extract best guess:\n` +
     `{\n` +
-    `  "game": "pokemon"|"mtg"|"yugioh"|"unknown",\n` +
+    `  "game": ${gameEnumText()},\n` +
     `  "name": string|null,\n` +
+    `  "nameEn": string|null,\n` +
     `  "set": string|null,\n` +
     `  "setCode": string|null,\n` +
     `  "collectorNumber": string|null,\n` +
     `  "variant": string|null,\n` +
-    `  "language": string|null,\n` +
+    `  "language": ${LANGUAGE_ENUM},\n` +
     `  "confidence": number\n` +
     `}\n` +
     `Rules:\n` +
     `- Keep set/setCode null if not clearly visible.\n` +
+    `- name exactly as printed, in the card's own script; nameEn: its English name when the card isn't English, else null.\n` +
+    `- language: the language the card is printed in.\n` +
     `- collectorNumber: if like "11/108", return "11/108".\n` +
     `- confidence 0..1.\n` +
+    `Where each game prints them:\n` +
+    `${gameExtractionHints()}\n` +
     `Return ONE object ONLY.`;
 
-  const resp = await fetchWithTimeout(
-    "https://api.openai.com/v1/responses",
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${key}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
-        input: [
-          { role: "system", content: [{ type: "input_text", text: systemText }] },
-          {
-            role: "user",
-            content: [
-              { type: "input_text", text: userText },
-              { type: "input_image", image_url: frontDataUrl },
-            ],
-          },
-        ],
-        temperature: 0.1,
-        max_output_tokens: 220,
-      }),
-    },
-    12000
-  );
+  const r = await visionRespond({
+    task: EXTRACT_TASKS.microExtract,
+    systemText,
+    userText,
+    images: [frontDataUrl],
+    temperature: 0.1,
+    maxOutputTokens: 220,
+    timeoutMs: 12000,
+  });
 
-  const data = await resp.json().catch(() => ({}));
   debug.openaiMicro = debug.openaiMicro || {};
-  debug.openaiMicro.http = resp.status;
+  debug.openaiMicro.provider = r.provider;
+  debug.openaiMicro.model = r.model;
+  debug.openaiMicro.http = r.status;
   debug.openaiMicro.ms = nowMs() - t0;
 
-  if (!resp.ok) throw new Error(data?.error?.message || "OpenAI micro extract failed");
+  if (!r.ok) throw Object.assign(new Error(r.error || "Vision micro extract failed"), { status: r.status });
 
-  const text = extractOutputText(data);
+  const text = r.text;
   debug.openaiMicro.rawText = text ? text.slice(0, 500) : null;
 
   let parsed;
   try {
     parsed = JSON.parse(text);
   } catch {
-    throw new Error("OpenAI micro extract: invalid JSON");
+    throw new Error("Vision micro extract: invalid JSON");
   }
 
-  // sanitize
-  parsed.game = String(parsed.game || "unknown").toLowerCase();
-  if (!["pokemon", "mtg", "yugioh", "unknown"].includes(parsed.game)) parsed.game = "unknown";
-  parsed.confidence = clamp(Number(parsed.confidence || 0), 0, 1);
-  parsed.name = parsed.name ? String(parsed.name).trim() : null;
-  parsed.set = parsed.set ? String(parsed.set).trim() : null;
-  parsed.setCode = parsed.setCode ? String(parsed.setCode).trim() : null;
-  parsed.collectorNumber = parsed.collectorNumber ? String(parsed.collectorNumber).trim() : null;
-  parsed.variant = parsed.variant ? String(parsed.variant).trim() : null;
-  parsed.language = parsed.language ? String(parsed.language).trim() : null;
+  return sanitizeExtraction(parsed);
+}
 
-  return parsed;
+// ----------------------------
+// Vision: cached extraction
+// ----------------------------
+// bump when either extraction prompt changes; cached extractions are keyed on it
+export const EXTRACT_PROMPT_VERSION = "extract@6";
+
+// vision task per extraction stage, so each can get its own provider and model (see _lib/vision.js)
+export const EXTRACT_TASKS = { microExtract: "identify", fallbackExtract: "identify-fallback" };
+
+// Reuse the extraction stored for the same (or near-identical) photos, else
+// run `extract` and store it. Keyed on the submitted photos (see _lib/imageCache.js).
+async function cachedExtract(stage, photos, { normalize, cache, dbg }, extract) {
+  const key = { model: providerModelId(EXTRACT_TASKS[stage]), prompt: EXTRACT_PROMPT_VERSION, normalize: !!normalize };
+  const hit = cache ? await findImageResult(stage, key, photos) : null;
+  if (hit) {
+    Object.assign(dbg, { cache: hit.match, cacheDistance: hit.distance, cacheAgeMs: hit.ageMs });
+    return { extracted: hit.value, cached: true };
+  }
+  const extracted = await extract();
+  if (cache) await storeImageResult(stage, key, photos, extracted);
+  dbg.cache = cache ? "miss" : "off";
+  return { extracted, cached: false };
 }
 
 // ----------------------------
-// OpenAI: fallback (SLOWER)
+// Vision: fallback (SLOWER)
 // ----------------------------
 async function openaiFallbackExtract(frontDataUrl, backDataUrl, debug) {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error("Missing OPENAI_API_KEY");
-
   const t0 = nowMs();
 
   const systemText =
-    "You are a trading card identification assistant for Pokemon, MTG, Yu-Gi-Oh. Return ONLY valid JSON (no markdown).";
+    `You are a trading card identification assistant for ${Object.values(GAMES).map((g) => g.label).join(", ")}. Return ONLY valid JSON (no markdown).`;
 
   const userText =
     `Use FRONT+BACK to improve set/setCode/collectorNumber/variant.\n` +
     `Return ONLY:\n` +
     `{\n` +
-    `  "game": "pokemon"|"mtg"|"yugioh"|"unknown",\n` +
+    `  "game": ${gameEnumText()},\n` +
     `  "name": string|null,\n` +
+    `  "nameEn": string|null,\n` +
     `  "set": string|null,\n` +
     `  "setCode": string|null,\n` +
     `  "collectorNumber": string|null,\n` +
     `  "variant": string|null,\n` +
-    `  "language": string|null,\n` +
+    `  "language": ${LANGUAGE_ENUM},\n` +
     `  "confidence": number\n` +
-    `}`;
-
-  const resp = await fetchWithTimeout(
-    "https://api.openai.com/v1/responses",
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${key}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
-        input: [
-          { role: "system", content: [{ type: "input_text", text: systemText }] },
-          {
-            role: "user",
-            content: [
-              { type: "input_text", text: userText },
-              { type: "input_image", image_url: frontDataUrl },
-              { type: "input_image", image_url: backDataUrl },
-            ],
-          },
-        ],
-        temperature: 0.15,
-        max_output_tokens: 320,
-      }),
-    },
-    14000
-  );
+    `}\n` +
+    `name exactly as printed; nameEn: its English name when the card isn't English, else null.\n` +
+    `Where each game prints them:\n` +
+    `${gameExtractionHints()}`;
+
+  const r = await visionRespond({
+    task: EXTRACT_TASKS.fallbackExtract,
+    systemText,
+    userText,
+    images: [frontDataUrl, backDataUrl],
+    temperature: 0.15,
+    maxOutputTokens: 320,
+    timeoutMs: 14000,
+  });
 
-  const data = await resp.json().catch(() => ({}));
   debug.openaiFallback = debug.openaiFallback || {};
-  debug.openaiFallback.http = resp.status;
+  debug.openaiFallback.provider = r.provider;
+  debug.openaiFallback.model = r.model;
+  debug.openaiFallback.http = r.status;
   debug.openaiFallback.ms = nowMs() - t0;
 
-  if (!resp.ok) throw new Error(data?.error?.message || "OpenAI fallback extract failed");
+  if (!r.ok) throw Object.assign(new Error(r.error || "Vision fallback extract failed"), { status: r.status });
 
-  const text = extractOutputText(data);
+  const text = r.text;
   debug.openaiFallback.rawText = text ? text.slice(0, 600) : null;
 
   let parsed;
   try {
     parsed = JSON.parse(text);
   } catch {
-    throw new Error("OpenAI fallback extract: invalid JSON");
+    throw new Error("Vision fallback extract: invalid JSON");
   }
 
-  // sanitize
-  parsed.game = String(parsed.game || "unknown").toLowerCase();
-  if (!["pokemon", "mtg", "yugioh", "unknown"].includes(parsed.game)) parsed.game = "unknown";
-  parsed.confidence = clamp(Number(parsed.confidence || 0), 0, 1);
-  parsed.name = parsed.name ? String(parsed.name).trim() : null;
-  parsed.set = parsed.set ? String(parsed.set).trim() : null;
-  parsed.setCode = parsed.setCode ? String(parsed.setCode).trim() : null;
-  parsed.collectorNumber = parsed.collectorNumber ? String(parsed.collectorNumber).trim() : null;
-  parsed.variant = parsed.variant ? String(parsed.variant).trim() : null;
-  parsed.language = parsed.language ? String(parsed.language).trim() : null;
-
-  return parsed;
+  return sanitizeExtraction(parsed);
 }
 
 // ----------------------------
 // Resolvers (FAST, deterministic)
 // ----------------------------
-
-// Pokemon: TCGdex first (no key, quick), then PokémonTCG.io (optional key)
-async function resolvePokemon(extracted, debug) {
-  const name = extracted?.name ? String(extracted.name).trim() : "";
-  if (!name) return [];
-
-  const num = normalizeCollectorNumber(extracted?.collectorNumber);
-  const setName = extracted?.set ? String(extracted.set).trim() : null;
-
-  debug.pokemon = debug.pokemon || { tcgdex: [], pokemontcg: [] };
-
-  // ---- 1) TCGdex name search ----
-  // API is fast + no key. Returns array.
-  // We avoid huge pages and keep it tight.
-  const tcgdexUrl =
-    `https://api.tcgdex.net/v2/en/cards?` +
-    new URLSearchParams({
-      name: `eq:${name}`,
-      "pagination:page": "1",
-      "pagination:itemsPerPage": "60",
-    }).toString();
-
-  const tcgDbg = { url: tcgdexUrl, http: null, count: 0, ms: null, error: null };
-  debug.pokemon.tcgdex.push(tcgDbg);
-
-  let tcgList = [];
-  {
-    const t0 = nowMs();
-    try {
-      const r = await fetchWithTimeout(tcgdexUrl, {}, 6500);
-      const j = await r.json().catch(() => ([]));
-      tcgDbg.http = r.status;
-      tcgDbg.ms = nowMs() - t0;
-      tcgDbg.count = Array.isArray(j) ? j.length : 0;
-      if (r.ok && Array.isArray(j)) tcgList = j;
-    } catch (e) {
-      tcgDbg.http = "FETCH_ERR";
-      tcgDbg.error = String(e?.message || e);
-      tcgDbg.ms = nowMs() - t0;
-    }
-  }
-
-  // Narrow by number if we have it
-  if (tcgList.length && num) {
-    const exact = tcgList.filter((c) => String(c.localId || "").trim() === String(num));
-    if (exact.length) tcgList = exact;
-  }
-
-  // Pull details for top few for set info + image
-  const details = [];
-  for (const c of tcgList.slice(0, 5)) {
-    const url = `https://api.tcgdex.net/v2/en/cards/${encodeURIComponent(c.id)}`;
-    const dDbg = { id: c.id, http: null, ms: null, error: null };
-    debug.pokemon.tcgdex.push(dDbg);
-
-    const t0 = nowMs();
-    try {
-      const r = await fetchWithTimeout(url, {}, 6500);
-      const j = await r.json().catch(() => ({}));
-      dDbg.http = r.status;
-      dDbg.ms = nowMs() - t0;
-      if (r.ok && j?.id) details.push(j);
-    } catch (e) {
-      dDbg.http = "FETCH_ERR";
-      dDbg.ms = nowMs() - t0;
-      dDbg.error = String(e?.message || e);
-    }
-  }
-
-  // Score + map TCGdex results into candidates
-  const tcgdexCandidates = details.map((c) => {
-    const cNum = c.localId ? String(c.localId).trim() : "";
-    const cSet = c.set?.name ? String(c.set.name) : "";
-    let conf = 0.62;
-    if (num && cNum === String(num)) conf = 0.86;
-    else if (setName && cSet.toLowerCase().includes(setName.toLowerCase())) conf = 0.72;
-
-    return {
-      game: "pokemon",
-      name: c.name || name,
-      displayName: c.name || name,
-      set: c.set?.name || null,
-      setCode: c.set?.id || null,
-      collectorNumber: c.localId ? String(c.localId) : (num ? String(num) : ""),
-      variant: c.rarity || null,
-      language: "en",
-      canonical: {
-        provider: "tcgdex",
-        id: c.id,
-        image: c.image ? `${c.image}/high` : null,
-      },
-      confidence: conf,
-    };
-  });
-
-  if (tcgdexCandidates.length) return tcgdexCandidates.slice(0, 8);
-
-  // ---- 2) PokémonTCG.io (optional key) ----
-  // Only try a single tight query to keep it fast.
-  const apiKey = process.env.POKETCG_API_KEY;
-  const headers = apiKey ? { "X-Api-Key": apiKey } : {};
-
-  const qParts = [`name:"${name.replace(/"/g, "")}"`];
-  if (num) qParts.push(`number:"${String(num).replace(/"/g, "")}"`);
-  if (setName) qParts.push(`set.name:"${setName.replace(/"/g, "")}"`);
-  const q = qParts.join(" ");
-
-  const pokeUrl =
-    `https://api.pokemontcg.io/v2/cards?` +
-    new URLSearchParams({
-      q,
-      pageSize: "35",
-      select: "id,name,number,rarity,set.name,set.id,set.ptcgoCode,images.small,images.large",
-    }).toString();
-
-  const pDbg = { url: pokeUrl, http: null, count: 0, ms: null, error: null, apiKeyPresent: !!apiKey };
-  debug.pokemon.pokemontcg.push(pDbg);
-
-  const t0 = nowMs();
-  try {
-    const { r, j } = await fetchJsonWithRetries(pokeUrl, { headers }, pDbg, 1, 7000);
-    pDbg.ms = nowMs() - t0;
-
-    const data = Array.isArray(j?.data) ? j.data : [];
-    pDbg.count = data.length;
-
-    if (!r.ok || !data.length) return [];
-
-    return data.slice(0, 8).map((c) => ({
-      game: "pokemon",
-      name: c.name,
-      displayName: c.name,
-      set: c.set?.name || null,
-      setCode: c.set?.ptcgoCode || c.set?.id || null,
-      collectorNumber: String(c.number || ""),
-      variant: c.rarity || null,
-      language: "en",
-      canonical: { provider: "pokemontcg.io", id: c.id, image: c.images?.large || c.images?.small || null },
-      confidence: 0.68,
-    }));
-  } catch (e) {
-    pDbg.ms = nowMs() - t0;
-    pDbg.error = String(e?.message || e);
-    return [];
-  }
-}
-
-async function resolveMTG(extracted, debug) {
-  const name = extracted?.name ? String(extracted.name).trim() : "";
-  if (!name) return [];
-
-  const setCode = extracted?.setCode ? String(extracted.setCode).trim() : null;
-  const collectorNumber = extracted?.collectorNumber ? String(extracted.collectorNumber).trim() : null;
-
-  const parts = [`!"${name.replace(/"/g, "")}"`];
-  if (setCode) parts.push(`set:${setCode}`);
-  if (collectorNumber) parts.push(`number:${collectorNumber}`);
-
-  const q = parts.join(" ").trim();
-  const url = `https://api.scryfall.com/cards/search?q=${encodeURIComponent(q)}&unique=prints&order=released`;
-
-  debug.mtg = debug.mtg || {};
-  debug.mtg.query = q;
-
-  const t0 = nowMs();
-  try {
-    const r = await fetchWithTimeout(url, {}, 6500);
-    const j = await r.json().catch(() => ({}));
-    debug.mtg.http = r.status;
-    debug.mtg.ms = nowMs() - t0;
-    debug.mtg.count = Array.isArray(j?.data) ? j.data.length : 0;
-
-    if (!r.ok || !j?.data) return [];
-
-    return j.data.slice(0, 8).map((card) => ({
-      game: "mtg",
-      name: card.name,
-      displayName: card.name,
-      set: card.set_name,
-      setCode: card.set,
-      collectorNumber: String(card.collector_number || ""),
-      variant: card.foil ? "foil-available" : "nonfoil",
-      language: card.lang || "en",
-      canonical: { provider: "scryfall", id: card.id, scryfall_uri: card.scryfall_uri },
-      confidence: 0.70,
-    }));
-  } catch (e) {
-    debug.mtg.http = "FETCH_ERR";
-    debug.mtg.error = String(e?.message || e);
-    debug.mtg.ms = nowMs() - t0;
-    return [];
-  }
-}
-
-async function resolveYugioh(extracted, debug) {
-  const name = extracted?.name ? String(extracted.name).trim() : "";
-  const setCode = extracted?.setCode ? String(extracted.setCode).trim() : null;
-  if (!name && !setCode) return [];
-
-  const query = name || setCode;
-  const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php?fname=${encodeURIComponent(query)}`;
-
-  debug.yugioh = debug.yugioh || {};
-  debug.yugioh.query = query;
-
-  const t0 = nowMs();
-  try {
-    const r = await fetchWithTimeout(url, {}, 6500);
-    const j = await r.json().catch(() => ({}));
-    debug.yugioh.http = r.status;
-    debug.yugioh.ms = nowMs() - t0;
-    debug.yugioh.count = Array.isArray(j?.data) ? j.data.length : 0;
-
-    if (!r.ok || !j?.data) return [];
-
-    const candidates = [];
-    for (const c of j.data.slice(0, 8)) {
-      let bestSet = null;
-      if (Array.isArray(c.card_sets) && c.card_sets.length) {
-        if (setCode) {
-          bestSet =
-            c.card_sets.find((s) => (s.set_code || "").toUpperCase() === String(setCode).toUpperCase()) ||
-            c.card_sets[0];
-        } else bestSet = c.card_sets[0];
-      }
-
-      candidates.push({
-        game: "yugioh",
-        name: c.name,
-        displayName: c.name,
-        set: bestSet?.set_name || null,
-        setCode: bestSet?.set_code || null,
-        collectorNumber: null,
-        variant: bestSet?.set_rarity || null,
-        language: "en",
-        canonical: { provider: "ygoprodeck", id: String(c.id), ygo_url: c.ygoprodeck_url },
-        confidence: 0.66,
-      });
-    }
-    return candidates;
-  } catch (e) {
-    debug.yugioh.http = "FETCH_ERR";
-    debug.yugioh.error = String(e?.message || e);
-    debug.yugioh.ms = nowMs() - t0;
-    return [];
-  }
-}
-
 function boostByMatch(extracted, cand) {
   let score = cand.confidence || 0.55;
 
@@ -536,105 +224,211 @@ function boostByMatch(extracted, cand) {
   return clamp(score, 0, 0.99);
 }
 
-// Helper: run resolvers in parallel and return merged candidates quickly
+// Helper: run the game's resolver, or every registered one in parallel when the game is unknown
 async function runResolvers(extracted, debug) {
-  const game = extracted.game;
+  const game = getGame(extracted.game);
+  if (game) return await game.resolve(extracted, debug);
 
-  if (game === "pokemon") return await resolvePokemon(extracted, debug);
-  if (game === "mtg") return await resolveMTG(extracted, debug);
-  if (game === "yugioh") return await resolveYugioh(extracted, debug);
+  const lists = await Promise.all(Object.values(GAMES).map((g) => g.resolve(extracted, debug)));
+  return lists.flat();
+}
 
-  // unknown -> run all three concurrently
-  const [p, m, y] = await Promise.all([
-    resolvePokemon(extracted, debug),
-    resolveMTG(extracted, debug),
-    resolveYugioh(extracted, debug),
-  ]);
+// Stable handle for a candidate, e.g. "tcgdex:base1-58" or, for one printing of a card,
+// "ygoprodeck:46986414#LOB-EN005/ultra-rare"; what /api/confirm takes back
+export function candidateId(cand) {
+  const provider = cand?.canonical?.provider;
+  const id = cand?.canonical?.id;
+  if (!provider || id == null) return null;
+  return cand.canonical.print ? `${provider}:${id}#${cand.canonical.print}` : `${provider}:${id}`;
+}
 
-  return [...p, ...m, ...y];
+function rankCandidates(extracted, candidates) {
+  return candidates
+    .map((c) => ({ ...c, id: candidateId(c), confidence: boostByMatch(extracted, c) }))
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+    .slice(0, 6);
 }
 
-// ----------------------------
-// HANDLER
-// ----------------------------
-export default async function handler(req, res) {
-  const debug = {
+// Helper: fold visual similarity to the catalog images into the text ranking
+async function rerankCandidates(front, candidates, debug, onEvent) {
+  const t0 = nowMs();
+  const out = await rerankVisually(front, candidates, debug);
+  debug.timings.visualMs = nowMs() - t0;
+  if (candidates.length) onEvent("rerank.done", { candidates: out, ms: debug.timings.visualMs });
+  return out;
+}
+
+/**
+ * Resolvers only, no model call: ranked candidates for an extraction (e.g.
+ * one corrected by the user).
+ */
+export async function resolveCandidates(extracted, debug = newIdentifyDebug()) {
+  const t0 = nowMs();
+  const candidates = rankCandidates(extracted, await runResolvers(extracted, debug));
+  debug.timings.resolversMs = nowMs() - t0;
+  return candidates;
+}
+
+export function newIdentifyDebug() {
+  return {
     timings: {},
     openaiMicro: null,
     openaiFallback: null,
-    pokemon: { tcgdex: [], pokemontcg: [] },
-    mtg: {},
-    yugioh: {},
+    ...Object.fromEntries(Object.values(GAMES).map((g) => [g.id, g.newDebug()])),
   };
+}
 
-  const tAll = nowMs();
+/**
+ * Identify a card from its photos (no quality gate; callers run it). A caller
+ * that already normalized the images passes `normalized`; otherwise the front
+ * is normalized here and the back only if the fallback needs it.
+ * Returns { extracted, candidates, normalized, note, cached } and fills `debug`;
+ * `cached` is true when every extraction came from an earlier run on the same
+ * photos (`cache: false` forces fresh model calls).
+ * `onEvent(name, data)` reports progress: normalize.done, microExtract.done, resolvers.done
+ * (candidates as soon as they exist), rerank.done (re-ordered by artwork similarity),
+ * fallback.started, fallbackExtract.done.
+ */
+export async function runIdentify({
+  frontDataUrl,
+  backDataUrl,
+  normalize = true,
+  normalized = null,
+  cache = true,
+  debug = newIdentifyDebug(),
+  onEvent = () => {},
+}) {
+  // 0) Flatten + crop the front; the back is only normalized if the fallback needs it
+  const tn = nowMs();
+  if (!normalized && normalize !== false) {
+    normalized = { method: NORMALIZE_METHOD, front: normalizeCardDataUrl(frontDataUrl), back: null };
+    onEvent("normalize.done", normalizedSummary(normalized));
+  }
+  debug.timings.normalizeMs = nowMs() - tn;
+  const front = normalized?.front?.ok ? normalized.front.dataUrl : frontDataUrl;
 
-  try {
-    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+  // 1) FAST: vision micro extract (front-only)
+  const t0 = nowMs();
+  const cacheOpts = { normalize: !!normalized, cache };
+  const micro = await cachedExtract(
+    "microExtract",
+    { front: frontDataUrl },
+    { ...cacheOpts, dbg: (debug.openaiMicro ||= {}) },
+    () => openaiMicroExtract(front, debug)
+  );
+  let extracted = micro.extracted;
+  debug.timings.microExtractMs = nowMs() - t0;
+
+  extracted.collectorNumber = normalizeCollectorNumber(extracted.collectorNumber);
+  onEvent("microExtract.done", { extracted, ms: debug.timings.microExtractMs });
+
+  // 2) FAST: Resolve using APIs
+  const t1 = nowMs();
+  let candidates = await runResolvers(extracted, debug);
+  debug.timings.resolversMs = nowMs() - t1;
+
+  // If we got candidates, return immediately (FAST PATH)
+  if (candidates.length) {
+    candidates = rankCandidates(extracted, candidates);
+    onEvent("resolvers.done", { pass: "fast", candidates, ms: debug.timings.resolversMs });
+    candidates = await rerankCandidates(front, candidates, debug, onEvent);
+    return { extracted, candidates, normalized, note: null, cached: micro.cached };
+  }
+  onEvent("resolvers.done", { pass: "fast", candidates: [], ms: debug.timings.resolversMs });
+  // a front-only photo (e.g. one pocket of a binder page) has nothing for the fallback to add
+  if (!backDataUrl) {
+    return { extracted, candidates, normalized, note: "No candidates found. Try a closer front shot (name + number).", cached: micro.cached };
+  }
 
-    const { frontDataUrl, backDataUrl } = await readBody(req);
-    if (!frontDataUrl || !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
+  // 3) SLOWER FALLBACK: Only if no candidates and we have back image
+  onEvent("fallback.started", {});
+  const t2 = nowMs();
+  if (normalized && !normalized.back) normalized.back = normalizeCardDataUrl(backDataUrl);
+  const back = normalized?.back?.ok ? normalized.back.dataUrl : backDataUrl;
+  const fallback = await cachedExtract(
+    "fallbackExtract",
+    { front: frontDataUrl, back: backDataUrl },
+    { ...cacheOpts, dbg: (debug.openaiFallback ||= {}) },
+    () => openaiFallbackExtract(front, back, debug)
+  );
+  const refined = fallback.extracted;
+  debug.timings.fallbackExtractMs = nowMs() - t2;
 
-    // 1) FAST: OpenAI micro extract (front-only)
-    const t0 = nowMs();
-    let extracted = await openaiMicroExtract(frontDataUrl, debug);
-    debug.timings.microExtractMs = nowMs() - t0;
+  // Merge refined over extracted (don’t wipe fields that were already non-null)
+  extracted = {
+    ...extracted,
+    ...Object.fromEntries(Object.entries(refined).filter(([, v]) => v !== null && v !== "")),
+  };
+  extracted.collectorNumber = normalizeCollectorNumber(extracted.collectorNumber);
+  onEvent("fallbackExtract.done", { extracted, ms: debug.timings.fallbackExtractMs });
+
+  const t3 = nowMs();
+  candidates = rankCandidates(extracted, await runResolvers(extracted, debug));
+  debug.timings.resolversAfterFallbackMs = nowMs() - t3;
+  onEvent("resolvers.done", { pass: "fallback", candidates, ms: debug.timings.resolversAfterFallbackMs });
+  candidates = await rerankCandidates(front, candidates, debug, onEvent);
+
+  return {
+    extracted,
+    candidates,
+    normalized,
+    note: candidates.length ? null : "No candidates found. Try a closer front shot (name + number).",
+    cached: micro.cached && fallback.cached,
+  };
+}
 
-    extracted.collectorNumber = normalizeCollectorNumber(extracted.collectorNumber);
+// ----------------------------
+// HANDLER
+// ----------------------------
+export default async function handler(req, res) {
+  const debug = newIdentifyDebug();
+  const tAll = nowMs();
+  let stream = null;
 
-    // 2) FAST: Resolve using APIs
-    const t1 = nowMs();
-    let candidates = await runResolvers(extracted, debug);
-    debug.timings.resolversMs = nowMs() - t1;
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
 
-    // If we got candidates, return immediately (FAST PATH)
-    if (candidates.length) {
-      candidates = candidates
-        .map((c) => ({ ...c, confidence: boostByMatch(extracted, c) }))
-        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-        .slice(0, 6);
+    const body = await readBody(req);
+    const { frontDataUrl, backDataUrl, force, normalize, cache } = body;
+    if (!frontDataUrl || !backDataUrl) return json(res, 400, { error: "Missing frontDataUrl/backDataUrl" });
 
+    // Quality gate: identification reads the front; the back only feeds the fallback
+    const tq = nowMs();
+    const quality = checkImages({ frontDataUrl, backDataUrl, sides: ["front"] });
+    debug.timings.qualityMs = nowMs() - tq;
+    if (!quality.ok && !force) {
       debug.timings.totalMs = nowMs() - tAll;
-
-      return json(res, 200, {
-        extracted,
-        candidates,
-        debug,
-      });
+      return json(res, 422, { error: "Image quality check failed", quality, debug });
     }
 
-    // 3) SLOWER FALLBACK: Only if no candidates and we have back image
-    const t2 = nowMs();
-    const refined = await openaiFallbackExtract(frontDataUrl, backDataUrl, debug);
-    debug.timings.fallbackExtractMs = nowMs() - t2;
-
-    // Merge refined over extracted (don’t wipe fields that were already non-null)
-    extracted = {
-      ...extracted,
-      ...Object.fromEntries(Object.entries(refined).filter(([, v]) => v !== null && v !== "")),
-    };
-    extracted.collectorNumber = normalizeCollectorNumber(extracted.collectorNumber);
-
-    const t3 = nowMs();
-    candidates = await runResolvers(extracted, debug);
-    debug.timings.resolversAfterFallbackMs = nowMs() - t3;
-
-    candidates = candidates
-      .map((c) => ({ ...c, confidence: boostByMatch(extracted, c) }))
-      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-      .slice(0, 6);
-
-    debug.timings.totalMs = nowMs() - tAll;
+    if (wantsEventStream(req, body)) {
+      stream = openEventStream(res);
+      stream.send("quality.done", { quality });
+    }
 
-    return json(res, 200, {
-      extracted,
-      candidates,
+    const { extracted, candidates, normalized, note, cached } = await runIdentify({
+      frontDataUrl,
+      backDataUrl,
+      normalize,
+      cache: cache !== false,
       debug,
-      note: candidates.length ? null : "No candidates found. Try a closer front shot (name + number).",
+      onEvent: (name, data) => stream?.send(name, data),
     });
+    debug.timings.totalMs = nowMs() - tAll;
+
+    const out = { extracted, candidates, quality, normalized, debug, note, cached };
+    if (stream) {
+      stream.send("done", out);
+      return stream.close();
+    }
+    return json(res, 200, out);
   } catch (e) {
     debug.error = e?.message || "Identify failed";
     debug.timings.totalMs = nowMs() - tAll;
+    if (stream) {
+      stream.send("error", { error: debug.error, debug });
+      return stream.close();
+    }
     return json(res, 500, { error: debug.error, debug });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,36 @@
+// /api/jobs/:id  (JOB STATUS, PROGRESS AND RESULT)
+import { getJob, isJobId, publicJob } from "../_lib/jobQueue.js";
+
+export const config = { runtime: "nodejs" };
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+function idFrom(req) {
+  if (req.query?.id) return String(req.query.id);
+  const m = String(req.url || "").match(/\/api\/jobs\/([^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : "";
+}
+
+// GET -> 200 { id, type, status: queued|running|succeeded|failed, attempts, progress, result, error, errors, retryAt, ... }
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return json(res, 405, { error: "Method not allowed" });
+
+    const id = idFrom(req);
+    if (!isJobId(id)) return json(res, 400, { error: "Malformed job id" });
+
+    const job = await getJob(id);
+    if (!job) return json(res, 404, { error: "Job not found" });
+
+    // status changes until the job finishes
+    res.setHeader("Cache-Control", "no-store");
+    return json(res, 200, publicJob(job));
+  } catch (e) {
+    console.error(e);
+    return json(res, 500, { error: e?.message || "Loading job failed" });
+  }
+}
@@ -0,0 +1,190 @@
+// /api/jobs/_worker.js  (JOB RUNNERS + WORKER LOOP)
+//
+// What each job type runs, and the loop that claims queued jobs (see
+// _lib/jobQueue.js) and runs them. The runners do what the matching endpoint
+// does, quality gate included, and report the endpoint's progress events as
+// job progress. Used in-process by /api/jobs (JOB_WORKER=inline) and by
+// scripts/job-worker.js.
+import { isKnownCompany } from "../_lib/graders.js";
+import {
+  claimJob,
+  completeJob,
+  failJob,
+  isTransientError,
+  jobInput,
+  jobLease,
+  pendingJobs,
+  reportProgress,
+} from "../_lib/jobQueue.js";
+import { runsOnVercel } from "../_lib/kv.js";
+import { checkImages } from "../_lib/quality.js";
+import { SegmentError } from "../_lib/segment.js";
+import { BatchError, runBatch } from "../batch.js";
+import { runGrade } from "../grade.js";
+import { newIdentifyDebug, runIdentify } from "../identify.js";
+import { runPrice } from "../price.js";
+
+const POLL_MS = 1000;
+
+// A failure another attempt can't fix (bad input, unusable photos).
+export class JobInputError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = "JobInputError";
+    this.transient = false;
+    this.details = details;
+  }
+}
+
+function needPhotos(input) {
+  if (!input?.frontDataUrl || !input?.backDataUrl) return "Missing frontDataUrl/backDataUrl";
+  return null;
+}
+
+function gate(input, sides) {
+  const quality = checkImages({ frontDataUrl: input.frontDataUrl, backDataUrl: input.backDataUrl, sides });
+  if (!quality.ok && !input.force) throw new JobInputError("Image quality check failed", { quality });
+  return quality;
+}
+
+// Each type: validate(input) -> error message | null, run(input, emit) -> result
+export const JOB_TYPES = {
+  identify: {
+    validate: needPhotos,
+    async run(input, emit) {
+      const quality = gate(input, ["front"]);
+      const debug = newIdentifyDebug();
+      const { extracted, candidates, normalized, note, cached } = await runIdentify({
+        frontDataUrl: input.frontDataUrl,
+        backDataUrl: input.backDataUrl,
+        normalize: input.normalize,
+        cache: input.cache !== false,
+        debug,
+        onEvent: emit,
+      });
+      return { extracted, candidates, quality, normalized, debug, note, cached };
+    },
+  },
+  grade: {
+    validate: (input) =>
+      needPhotos(input) || (input.company && !isKnownCompany(input.company) ? `Unknown company "${input.company}"` : null),
+    async run(input, emit) {
+      const quality = gate(input, ["front", "back"]);
+      const report = await runGrade({
+        frontDataUrl: input.frontDataUrl,
+        backDataUrl: input.backDataUrl,
+        strict: input.strict,
+        samples: input.samples,
+        company: input.company,
+        normalize: input.normalize !== false,
+        cache: input.cache !== false,
+        onEvent: emit,
+      });
+      report.quality = quality;
+      return report;
+    },
+  },
+  price: {
+    validate: (input) => {
+      if (!input?.card?.game || !input?.card?.name) return "Missing card (game + name required)";
+      return input.company && !isKnownCompany(input.company) ? `Unknown company "${input.company}"` : null;
+    },
+    async run(input) {
+      const debug = { justtcg: { cardAttempts: [] }, fx: {} };
+      const out = await runPrice(input, debug);
+      // no price because every lookup was rate limited or errored is worth retrying; no match isn't
+      const attempts = debug.justtcg.cardAttempts || [];
+      if (out.raw == null && attempts.length && attempts.every((a) => isTransientError({ status: a.http, message: String(a.http) }))) {
+        throw Object.assign(new Error(`Pricing lookups failed: ${attempts.map((a) => a.http).join(", ")}`), { transient: true });
+      }
+      return out;
+    },
+  },
+  batch: {
+    validate: (input) => (input?.pageDataUrl || (Array.isArray(input?.cards) && input.cards.length) ? null : "Need `cards` or `pageDataUrl`"),
+    async run(input, emit) {
+      try {
+        return await runBatch(input, emit);
+      } catch (e) {
+        if (e instanceof BatchError || e instanceof SegmentError) throw new JobInputError(e.message);
+        throw e;
+      }
+    },
+  },
+};
+
+export const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+// Progress from a runner's events: the latest event, plus done/total when it counts something.
+function progressFrom(name, data) {
+  const p = { event: name };
+  if (data?.done != null && data?.total != null) Object.assign(p, { done: data.done, total: data.total });
+  if (data?.stage) p.stage = data.stage;
+  return p;
+}
+
+/**
+ * Run one claimed job to its next state: succeeded, failed, or back in the
+ * queue for a retry. Never throws; returns null when the job was claimed again
+ * meanwhile (this run outlived its lease), leaving the new claim's record alone.
+ */
+export async function runJob(job) {
+  const type = JOB_TYPES[job.type];
+  const lease = jobLease(job);
+  try {
+    if (!type) throw new JobInputError(`Unknown job type "${job.type}"`);
+    const input = await jobInput(job.id);
+    if (!input) throw new JobInputError("Job input is missing");
+
+    // progress writes are best effort and in order; the last one settles before the result
+    let writes = Promise.resolve();
+    const emit = (name, data) => {
+      writes = writes.then(() => reportProgress(job.id, progressFrom(name, data), lease)).catch(() => {});
+    };
+    const result = await type.run(input, emit);
+    await writes;
+    return await completeJob(job.id, result, lease);
+  } catch (e) {
+    const error = { message: e?.message || "Job failed", ...(e?.details ? { details: e.details } : {}) };
+    return await failJob(job.id, error, lease, { transient: isTransientError(e) });
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Claim and run jobs one at a time. Returns when `signal` aborts, or — with
+ * `untilEmpty` — once nothing is queued or running any more (retries waiting
+ * out their backoff included). Returns the number of jobs run.
+ */
+export async function workJobs({ workerId, signal = null, untilEmpty = false, pollMs = POLL_MS } = {}) {
+  let ran = 0;
+  while (!signal?.aborted) {
+    const job = await claimJob(workerId);
+    if (job) {
+      await runJob(job);
+      ran++;
+      continue;
+    }
+    if (untilEmpty && (await pendingJobs()) === 0) break;
+    await sleep(pollMs);
+  }
+  return ran;
+}
+
+// The in-process worker for JOB_WORKER=inline: one loop per process, started on
+// demand. Refused on Vercel, which would freeze it mid-job (see runsJobsInline).
+let inlineLoop = null;
+
+export function ensureInlineWorker() {
+  if (inlineLoop) return inlineLoop;
+  if (runsOnVercel()) throw new Error("The inline job worker can't run on Vercel; use JOB_WORKER=external");
+  inlineLoop = workJobs({ workerId: `inline-${process.pid}`, untilEmpty: true, pollMs: 250 })
+    .catch((e) => console.error("Inline job worker stopped:", e))
+    .then(async () => {
+      inlineLoop = null;
+      // a job enqueued while the loop was winding down would otherwise wait for the next enqueue
+      if ((await pendingJobs().catch(() => 0)) > 0) ensureInlineWorker();
+    });
+  return inlineLoop;
+}
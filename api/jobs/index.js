@@ -0,0 +1,64 @@
+// /api/jobs  (QUEUE A HEAVY ANALYSIS)
+import { enqueueJob, JobQueueError, runsJobsInline } from "../_lib/jobQueue.js";
+import { ensureInlineWorker, JOB_TYPE_NAMES, JOB_TYPES } from "./_worker.js";
+
+export const config = { runtime: "nodejs" };
+
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024; // Vercel's own limit; the input is capped lower by enqueueJob
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    let bytes = 0;
+    req.on("data", (c) => {
+      bytes += c.length;
+      // keep reading (and dropping) the rest, so the client still gets the 413
+      if (bytes <= MAX_BODY_BYTES) data += c;
+    });
+    req.on("end", () => {
+      if (bytes > MAX_BODY_BYTES) {
+        const mb = (n) => (n / 1048576).toFixed(1);
+        return reject(new JobQueueError(`Request body is ${mb(bytes)}MB (max ${mb(MAX_BODY_BYTES)}MB)`, "too_large"));
+      }
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// POST { type: identify|grade|price|batch, input: <that endpoint's body> }
+//   -> 202 { id, type, status: "queued", createdAt, url }
+//   -> 413 when the input is over JOB_INPUT_MAX_BYTES (see _lib/jobQueue.js)
+// Poll `url` (GET /api/jobs/:id) for status, progress and the result.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const { type, input } = await readBody(req);
+    if (!JOB_TYPES[type]) return json(res, 400, { error: `Unknown job type "${type}" (expected ${JOB_TYPE_NAMES.join(", ")})` });
+    if (!input || typeof input !== "object") return json(res, 400, { error: "Missing input" });
+    const invalid = JOB_TYPES[type].validate(input);
+    if (invalid) return json(res, 400, { error: invalid });
+
+    // decided before enqueueing, so a setup that can't run the job refuses it instead of queueing it
+    const inline = runsJobsInline();
+    const job = await enqueueJob(type, input);
+    if (inline) ensureInlineWorker();
+
+    res.setHeader("Location", `/api/jobs/${job.id}`);
+    return json(res, 202, { id: job.id, type: job.type, status: job.status, createdAt: job.createdAt, url: `/api/jobs/${job.id}` });
+  } catch (e) {
+    if (e instanceof JobQueueError) return json(res, e.code === "too_large" ? 413 : 400, { error: e.message });
+    console.error(e);
+    return json(res, 500, { error: e?.message || "Queueing job failed" });
+  }
+}
@@ -1,4 +1,10 @@
 // /api/price.js
+import { cached } from "./_lib/cache.js";
+import { getGame, resolveGameId } from "./_lib/games/index.js";
+import { getGraderProfile, isKnownCompany, upliftFor } from "./_lib/graders.js";
+import { languageLabel, normalizeLanguage } from "./_lib/language.js";
+import { fetchWithTimeout, httpFetch } from "./_lib/http.js";
+
 export const config = { runtime: "nodejs" };
 
 function json(res, status, body) {
@@ -31,11 +37,16 @@ async function getFX(debug) {
   debug.fx = debug.fx || {};
   debug.fx.url = url;
 
+  // parsed rates are cached; a failed download or parse throws and stores nothing
+  return await cached("ecbFx", { url }, () => fetchFX(url, debug), { dbg: debug.fx, shouldCache: (v) => !!v });
+}
+
+async function fetchFX(url, debug) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), 9000);
 
   try {
-    const r = await fetch(url, { signal: ctrl.signal });
+    const r = await httpFetch(url, { signal: ctrl.signal });
     debug.fx.http = r.status;
     if (!r.ok) throw new Error(`ECB FX HTTP ${r.status}`);
 
@@ -77,23 +88,33 @@ function convert(amount, from, to, rates) {
   return fromEUR(eur, to);
 }
 
-// ---------- ROI uplift model (placeholder; tune later) ----------
-function upliftMultiplier(grade) {
-  if (grade >= 10) return 3.0;
-  if (grade >= 9.5) return 1.9;
-  if (grade >= 9.0) return 1.35;
-  if (grade >= 8.5) return 1.12;
-  if (grade >= 8.0) return 1.08;
-  return 1.02;
+// ---------- JustTCG helpers ----------
+function wantLanguageOf(card) {
+  return normalizeLanguage(card?.language) || "en";
 }
 
-// ---------- JustTCG helpers ----------
-function toJustTCGGameId(game) {
-  const g = String(game || "").toLowerCase();
-  if (g === "pokemon") return "pokemon";
-  if (g === "mtg" || g.includes("magic")) return "magic-the-gathering";
-  if (g === "yugioh" || g.includes("yu")) return "yu-gi-oh";
-  return null;
+// Regional printings (e.g. Japanese Pokémon) are separate JustTCG games
+function toJustTCGGameId(game, language) {
+  const def = getGame(resolveGameId(game));
+  if (!def) return null;
+  return def.justtcgRegional?.[language] || def.justtcg || null;
+}
+
+// Some listings carry each language as variants: use the card's own, else
+// English (the main market), else all. `language` is null when unlisted.
+function variantsInLanguage(variants, wantLanguage) {
+  for (const lang of [wantLanguage, "en"]) {
+    const own = variants.filter((v) => normalizeLanguage(v?.language) === lang);
+    if (own.length) return { list: own, language: lang };
+  }
+  return { list: variants, language: null };
+}
+
+// Language of the listing a price came from; a regional product is all one language.
+function pricedLanguage(item, wantLanguage, regional) {
+  if (regional) return wantLanguage;
+  const variants = Array.isArray(item?.variants) ? item.variants : [];
+  return variantsInLanguage(variants, wantLanguage).language;
 }
 
 function normalizeCollectorNumber(raw) {
@@ -104,14 +125,18 @@ function normalizeCollectorNumber(raw) {
   return s;
 }
 
-async function fetchWithTimeout(url, opts = {}, timeoutMs = 9000) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...opts, signal: ctrl.signal });
-  } finally {
-    clearTimeout(t);
-  }
+// JustTCG GET through the lookup cache; the key is the query, never the API key.
+async function cachedJustTCG(source, query, url, apiKey, dbg) {
+  return await cached(
+    source,
+    query,
+    async () => {
+      const r = await fetchWithTimeout(url, { headers: { "X-API-Key": apiKey, Accept: "application/json" } }, 9000);
+      const body = await r.json().catch(() => ({}));
+      return { status: r.status, ok: r.ok, body };
+    },
+    { dbg }
+  );
 }
 
 function desiredPrintingFromVariant(variant) {
@@ -127,9 +152,37 @@ function desiredConditionFromWant(want) {
   return w || "Near Mint";
 }
 
-function desiredPrintingFromWantOrVariant(want, variant) {
+// Magic candidates name their finish; JustTCG sells foil and etched both as the "Foil" printing
+const FINISH_PRINTING = { nonfoil: "Normal", foil: "Foil", etched: "Foil" };
+
+// Yu-Gi-Oh candidates carry their edition ("1st Edition", "Unlimited"), which is JustTCG's printing there
+function desiredPrintingFromWantOrVariant(want, card) {
   const w = String(want?.printing || "").trim();
-  return w || desiredPrintingFromVariant(variant);
+  return w || card?.edition || FINISH_PRINTING[card?.finish] || desiredPrintingFromVariant(card?.variant);
+}
+
+// Magic treatments are separate products, tagged in the name: "Sol Ring (Foil Etched)", "... (Showcase)"
+const TREATMENT_TAGS = {
+  showcase: "showcase",
+  borderless: "borderless",
+  extendedart: "extended art",
+  retro: "retro frame",
+  prerelease: "prerelease",
+  planeswalker: "planeswalker stamp",
+  serialized: "serial",
+  etched: "etched",
+};
+
+function treatmentTagsOf(card) {
+  const keys = [...(card?.treatments || []), ...(card?.finish === "etched" ? ["etched"] : [])];
+  return keys.map((k) => TREATMENT_TAGS[k]).filter(Boolean);
+}
+
+// How many of the wanted tags a product name carries; -1 if it carries one that wasn't wanted
+function treatmentFit(item, wantTags) {
+  const nm = String(item?.name || "").toLowerCase();
+  const tags = Object.values(TREATMENT_TAGS).filter((t) => nm.includes(t));
+  return tags.every((t) => wantTags.includes(t)) ? tags.length : -1;
 }
 
 // Sealed / non-single filters (stop booster packs etc.)
@@ -158,8 +211,11 @@ function looksLikeSealedOrNonSingle(item) {
     "promo pack",
   ];
 
-  if (bad.some((k) => name.includes(k))) return true;
-  if (bad.some((k) => id.includes(k.replace(/\s+/g, "-")))) return true;
+  // whole words: "case" and "tin" are sealed, "(Showcase)" and "Tinker" are not. IDs
+  // hyphenate them ("...-booster-box"), and "-showcase-" or "-black-lotus-" don't count either
+  const inId = (k) => new RegExp(`(^|[^a-z0-9])${k.replace(/\s+/g, "-")}([^a-z0-9]|$)`).test(id);
+  if (bad.some((k) => new RegExp(`\\b${k}\\b`).test(name))) return true;
+  if (bad.some(inId)) return true;
 
   // Defensive: avoid generic “pack/box” matches only if also contains those sealed cues
   if (name.includes("pack") && name.includes("booster")) return true;
@@ -186,18 +242,20 @@ function looksFirstEditionOrSpecial(item) {
   return needles.some((k) => name.includes(k) || id.includes(k.replace(/\s+/g, "-")));
 }
 function wantFirstEdition(card) {
-  const v = String(card?.variant || "").toLowerCase();
+  const v = `${card?.variant || ""} ${card?.edition || ""}`.toLowerCase();
   return v.includes("1st") || v.includes("first edition");
 }
 
-function pickBestVariantPrice(cardItem, wantPrinting, wantCondition) {
-  const variants = Array.isArray(cardItem?.variants) ? cardItem.variants : [];
+function pickBestVariantPrice(cardItem, wantPrinting, wantCondition, wantLanguage) {
+  let variants = Array.isArray(cardItem?.variants) ? cardItem.variants : [];
   if (!variants.length) {
     // sometimes API returns direct price fields
     const direct = Number(cardItem?.price ?? cardItem?.marketPrice ?? cardItem?.avg ?? cardItem?.mid ?? cardItem?.low);
     return isFinite(direct) ? direct : null;
   }
 
+  if (wantLanguage) variants = variantsInLanguage(variants, wantLanguage).list;
+
   const wantP = String(wantPrinting || "").toLowerCase();
   const wantC = String(wantCondition || "").toLowerCase();
 
@@ -239,14 +297,10 @@ async function justTCGSetLookup(gameId, setName, apiKey, debug) {
   debug.justtcg.setLookup = { url, http: null, count: 0, error: null, picked: null };
 
   try {
-    const r = await fetchWithTimeout(
-      url,
-      { headers: { "X-API-Key": apiKey, Accept: "application/json" } },
-      9000
-    );
+    const r = await cachedJustTCG("justtcgSets", { game: gameId, q: setName }, url, apiKey, debug.justtcg.setLookup);
     debug.justtcg.setLookup.http = r.status;
 
-    const j = await r.json().catch(() => ({}));
+    const j = r.body;
     const list = Array.isArray(j?.data) ? j.data : Array.isArray(j) ? j : Array.isArray(j?.results) ? j.results : [];
     debug.justtcg.setLookup.count = list.length;
 
@@ -331,18 +385,19 @@ function scoreCandidate(it, wantName, wantSet, wantNum, wantsFirstEd) {
  * - drop extreme outliers > 3x the minimum
  * - choose median of remaining (more stable than min/max)
  */
-function robustPickPriceFromCandidates(ranked, wantPrinting, wantCondition, debug) {
+function robustPickPriceFromCandidates(ranked, wantPrinting, wantCondition, wantLanguage, regional, debug) {
   const top = ranked.slice(0, 6);
   const rows = [];
 
   for (const it of top) {
-    const p = pickBestVariantPrice(it, wantPrinting, wantCondition);
+    const p = pickBestVariantPrice(it, wantPrinting, wantCondition, wantLanguage);
     if (isFinite(p) && p > 0) {
       rows.push({
         id: it?.id || it?.cardId || null,
         name: it?.name || null,
         set: it?.set_name || it?.set || it?.setName || null,
         number: getItemNumber(it),
+        language: pricedLanguage(it, wantLanguage, regional),
         price: p
       });
     }
@@ -387,22 +442,32 @@ async function justTCGCardsSearch(card, want, debug) {
   const apiKey = process.env.JUSTTCG_API_KEY;
   if (!apiKey) return { ok: false, reason: "Missing JUSTTCG_API_KEY" };
 
-  const gameId = toJustTCGGameId(card?.game);
+  const wantLanguage = wantLanguageOf(card);
+  const gameId = toJustTCGGameId(card?.game, wantLanguage);
   if (!gameId) return { ok: false, reason: "Unsupported game" };
+  const regional = gameId !== toJustTCGGameId(card?.game, "en");
 
   debug.justtcg = debug.justtcg || {};
   debug.justtcg.gameId = gameId;
   debug.justtcg.cardAttempts = [];
 
   const wantCondition = desiredConditionFromWant(want);
-  const wantPrinting = desiredPrintingFromWantOrVariant(want, card?.variant);
+  const wantPrinting = desiredPrintingFromWantOrVariant(want, card);
 
   const wantName = String(card?.name || "").trim().toLowerCase() || null;
   const wantSet = String(card?.set || "").trim().toLowerCase() || null;
   const wantNum = normalizeCollectorNumber(card?.collectorNumber);
+  const wantRarity = String(card?.rarity || "").trim().toLowerCase() || null;
   const wantsFirstEd = wantFirstEdition(card);
 
-  debug.justtcg.want = { condition: wantCondition, printing: wantPrinting, wantsFirstEd };
+  debug.justtcg.want = {
+    condition: wantCondition,
+    printing: wantPrinting,
+    language: wantLanguage,
+    rarity: wantRarity,
+    treatments: Array.isArray(card?.treatments) ? treatmentTagsOf(card) : null,
+    wantsFirstEd,
+  };
 
   const setId = await justTCGSetLookup(gameId, card?.set, apiKey, debug);
   const base = "https://api.justtcg.com/v1/cards";
@@ -471,8 +536,9 @@ async function justTCGCardsSearch(card, want, debug) {
     const url = base + "?" + new URLSearchParams(a.params).toString();
 
     try {
-      const r = await fetchWithTimeout(url, { headers: { "X-API-Key": apiKey, Accept: "application/json" } }, 9000);
-      const j = await r.json().catch(() => ({}));
+      const cacheDbg = {};
+      const r = await cachedJustTCG("justtcgCards", a.params, url, apiKey, cacheDbg);
+      const j = r.body;
 
       const list = Array.isArray(j?.data) ? j.data : Array.isArray(j) ? j : Array.isArray(j?.results) ? j.results : [];
       debug.justtcg.cardAttempts.push({
@@ -481,6 +547,7 @@ async function justTCGCardsSearch(card, want, debug) {
         http: r.status,
         count: list.length,
         error: !r.ok ? (j?.error?.message || j?.message || j?.error || `HTTP ${r.status}`) : null,
+        ...cacheDbg,
       });
 
       if (!r.ok) continue;
@@ -495,12 +562,25 @@ async function justTCGCardsSearch(card, want, debug) {
         if (exactNum.length) filtered = exactNum;
       }
 
+      // 2b) reprints can share a number at different rarities; keep the printing's if we know it
+      if (wantRarity) {
+        const sameRarity = filtered.filter((it) => String(it?.rarity || "").trim().toLowerCase() === wantRarity);
+        if (sameRarity.length) filtered = sameRarity;
+      }
+
       // 3) if we have a name, require it to appear in the item name if possible
       if (wantName) {
         const nameMatch = filtered.filter((it) => String(it?.name || "").toLowerCase().includes(wantName));
         if (nameMatch.length) filtered = nameMatch;
       }
 
+      // 3b) a Magic candidate knows its treatment; prefer the product tagged closest to it
+      if (Array.isArray(card?.treatments)) {
+        const wantTags = treatmentTagsOf(card);
+        const best = Math.max(...filtered.map((it) => treatmentFit(it, wantTags)));
+        if (best >= 0) filtered = filtered.filter((it) => treatmentFit(it, wantTags) === best);
+      }
+
       // 4) if user does NOT want 1st edition, prefer non-1st
       if (!wantsFirstEd) {
         const nonFirst = filtered.filter((it) => !looksFirstEditionOrSpecial(it));
@@ -517,7 +597,7 @@ async function justTCGCardsSearch(card, want, debug) {
       );
 
       // Robust price to reduce “wrong-but-plausible” outliers
-      const robust = robustPickPriceFromCandidates(ranked, wantPrinting, wantCondition, debug);
+      const robust = robustPickPriceFromCandidates(ranked, wantPrinting, wantCondition, wantLanguage, regional, debug);
       if (!isFinite(robust.raw)) continue;
 
       // If API doesn’t provide currency, assume USD (common) — but allow override if present
@@ -537,7 +617,8 @@ async function justTCGCardsSearch(card, want, debug) {
             name: robust.picked?.name || ranked[0]?.name || null,
             set: robust.picked?.set || ranked[0]?.set_name || ranked[0]?.set || ranked[0]?.setName || null,
             number: robust.picked?.number || getItemNumber(ranked[0]),
-            want: { printing: wantPrinting, condition: wantCondition },
+            language: robust.picked?.language ?? null,
+            want: { printing: wantPrinting, condition: wantCondition, language: wantLanguage },
           },
         },
       };
@@ -556,6 +637,78 @@ async function justTCGCardsSearch(card, want, debug) {
   return { ok: false, reason: "No results" };
 }
 
+// ---------- Pricing ----------
+/**
+ * Price a card: live raw price plus the expected graded value over
+ * `distribution` for the chosen grading company. Fills `debug`; returns the
+ * response body (raw: null with a note when live pricing is unavailable).
+ */
+export async function runPrice({ card, distribution, feeGBP, want, company }, debug = { justtcg: { cardAttempts: [] }, fx: {} }) {
+  const profile = getGraderProfile(company);
+
+  const live = await justTCGCardsSearch(card, want, debug);
+
+  if (!live.ok) {
+    return {
+      source: null,
+      raw: null,
+      currency: null,
+      note: "Live pricing unavailable. Use manual raw override.",
+      debug,
+    };
+  }
+
+  const dist =
+    Array.isArray(distribution) && distribution.length
+      ? distribution
+      : [
+          { grade: 8.5, prob: 0.2 },
+          { grade: 9.0, prob: 0.5 },
+          { grade: 9.5, prob: 0.25 },
+          { grade: 10.0, prob: 0.05 },
+        ];
+
+  // uplift tables are per grading company (see _lib/graders.js); no company -> generic
+  let evGraded = 0;
+  for (const g of dist) {
+    const grade = clamp(Number(g.grade || 9), 1, 10);
+    const prob = Math.max(0, Number(g.prob || 0));
+    evGraded += prob * (live.value.raw * upliftFor(grade, profile));
+  }
+
+  const fx = await getFX(debug);
+  const fee = isFinite(Number(feeGBP)) ? Number(feeGBP) : profile.defaultFeeGBP;
+
+  const out = {
+    source: live.value.source,
+    raw: live.value.raw,
+    currency: live.value.currency,
+    evGraded,
+    upliftModel: "conservative",
+    company: profile.id,
+    pricingMethod: live.value.pricingMethod || null,
+    picked: live.value.picked,
+    language: { wanted: wantLanguageOf(card), priced: live.value.picked.language },
+    fx: { base: fx.base, GBP: fx.GBP, USD: fx.USD },
+    converted: {},
+    debug,
+  };
+
+  const { wanted, priced } = out.language;
+  if (priced && priced !== wanted) {
+    out.note = `No ${languageLabel(wanted)} listing found; priced from the ${languageLabel(priced)} printing.`;
+  }
+
+  for (const ccy of ["GBP", "EUR", "USD"]) {
+    const rawC = convert(live.value.raw, live.value.currency, ccy, fx);
+    const evC = convert(evGraded, live.value.currency, ccy, fx);
+    const feeC = convert(fee, "GBP", ccy, fx);
+    out.converted[ccy] = { raw: rawC, evGraded: evC, fee: feeC };
+  }
+
+  return out;
+}
+
 // ---------- Handler ----------
 export default async function handler(req, res) {
   const debug = { justtcg: { cardAttempts: [] }, fx: {} };
@@ -564,67 +717,18 @@ export default async function handler(req, res) {
     if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
 
     // NEW: accept `want` from client (manual details) to tighten pricing match
-    const { card, distribution, feeGBP, want } = await readBody(req);
+    const { card, distribution, feeGBP, want, company } = await readBody(req);
 
     if (!card?.game || !card?.name) {
       return json(res, 400, { error: "Missing card (game + name required)" });
     }
-
-    const live = await justTCGCardsSearch(card, want, debug);
-
-    if (!live.ok) {
-      return json(res, 200, {
-        source: null,
-        raw: null,
-        currency: null,
-        note: "Live pricing unavailable. Use manual raw override.",
-        debug,
-      });
-    }
-
-    const dist =
-      Array.isArray(distribution) && distribution.length
-        ? distribution
-        : [
-            { grade: 8.5, prob: 0.2 },
-            { grade: 9.0, prob: 0.5 },
-            { grade: 9.5, prob: 0.25 },
-            { grade: 10.0, prob: 0.05 },
-          ];
-
-    let evGraded = 0;
-    for (const g of dist) {
-      const grade = clamp(Number(g.grade || 9), 1, 10);
-      const prob = Math.max(0, Number(g.prob || 0));
-      evGraded += prob * (live.value.raw * upliftMultiplier(grade));
+    if (company && !isKnownCompany(company)) {
+      return json(res, 400, { error: `Unknown company "${company}"` });
     }
 
-    const fx = await getFX(debug);
-    const fee = isFinite(Number(feeGBP)) ? Number(feeGBP) : 15;
-
-    const out = {
-      source: live.value.source,
-      raw: live.value.raw,
-      currency: live.value.currency,
-      evGraded,
-      upliftModel: "conservative",
-      pricingMethod: live.value.pricingMethod || null,
-      picked: live.value.picked,
-      fx: { base: fx.base, GBP: fx.GBP, USD: fx.USD },
-      converted: {},
-      debug,
-    };
-
-    for (const ccy of ["GBP", "EUR", "USD"]) {
-      const rawC = convert(live.value.raw, live.value.currency, ccy, fx);
-      const evC = convert(evGraded, live.value.currency, ccy, fx);
-      const feeC = convert(fee, "GBP", ccy, fx);
-      out.converted[ccy] = { raw: rawC, evGraded: evC, fee: feeC };
-    }
-
-    return json(res, 200, out);
+    return json(res, 200, await runPrice({ card, distribution, feeGBP, want, company }, debug));
   } catch (e) {
     debug.error = e?.message || "Pricing failed";
     return json(res, 500, { error: debug.error, debug });
   }
-}
\ No newline at end of file
+}
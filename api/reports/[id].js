@@ -0,0 +1,35 @@
+// /api/reports/:id  (READ A SHARED REPORT)
+import { isReportId, loadReport } from "../_lib/reportStore.js";
+
+export const config = { runtime: "nodejs" };
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+function idFrom(req) {
+  if (req.query?.id) return String(req.query.id);
+  const m = String(req.url || "").match(/\/api\/reports\/([^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : "";
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return json(res, 405, { error: "Method not allowed" });
+
+    const id = idFrom(req);
+    if (!isReportId(id)) return json(res, 400, { error: "Malformed report id" });
+
+    const record = await loadReport(id);
+    if (!record) return json(res, 404, { error: "Report not found" });
+
+    // records never change once written
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    return json(res, 200, record);
+  } catch (e) {
+    console.error(e);
+    return json(res, 500, { error: e?.message || "Loading report failed" });
+  }
+}
@@ -0,0 +1,43 @@
+// /api/reports  (SAVE A SHAREABLE REPORT)
+import { ReportError, saveReport } from "../_lib/reportStore.js";
+
+export const config = { runtime: "nodejs" };
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// POST { preGrade?, identify?, price?, inputs? } -> 201 { id, createdAt, url, shareUrl }
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return json(res, 405, { error: "Method not allowed" });
+
+    const record = await saveReport(await readBody(req));
+    return json(res, 201, {
+      id: record.id,
+      createdAt: record.createdAt,
+      url: `/api/reports/${record.id}`,
+      shareUrl: `/r/${record.id}`,
+    });
+  } catch (e) {
+    if (e instanceof ReportError) return json(res, e.code === "too_large" ? 413 : 400, { error: e.message });
+    console.error(e);
+    return json(res, 500, { error: e?.message || "Saving report failed" });
+  }
+}
@@ -0,0 +1,40 @@
+// /scripts/build-catalog.js  (BUILD THE LOCAL CARD CATALOG)
+//
+//   node scripts/build-catalog.js <source> [input] [--language <code>]
+//
+//   node scripts/build-catalog.js scryfall                       # downloads default_cards
+//   node scripts/build-catalog.js scryfall ./all-cards.json      # every language
+//   node scripts/build-catalog.js tcgdex --language ja           # walks the TCGdex API
+//   node scripts/build-catalog.js ygoprodeck --language fr
+//
+// Writes CATALOG_DIR/<game>.json (default ./data/catalog), which only the
+// process reading that directory sees: the catalog is not deployed to Vercel.
+// See api/_lib/catalog.js.
+
+import { CATALOG_SOURCES, importCatalog } from "../api/_lib/catalogImport.js";
+
+function parseArgs(argv) {
+  const out = { source: null, input: null, language: "en" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--language") out.language = argv[++i];
+    else if (!out.source) out.source = a;
+    else if (!out.input) out.input = a;
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!CATALOG_SOURCES.includes(args.source)) {
+  console.error(`usage: node scripts/build-catalog.js <${CATALOG_SOURCES.join("|")}> [input] [--language <code>]`);
+  process.exit(2);
+}
+
+try {
+  const t0 = Date.now();
+  const r = await importCatalog(args.source, { input: args.input, language: args.language });
+  console.log(`${r.game}: imported ${r.imported} records (${r.total} total) -> ${r.file} in ${Date.now() - t0}ms`);
+} catch (e) {
+  console.error(String(e?.message || e));
+  process.exit(1);
+}
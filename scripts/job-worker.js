@@ -0,0 +1,33 @@
+// /scripts/job-worker.js  (RUN QUEUED JOBS)
+//
+//   JOB_QUEUE=kv node scripts/job-worker.js             # until Ctrl-C
+//   JOB_QUEUE=file node scripts/job-worker.js --once    # until the queue is empty, then exit
+//
+// Claims jobs queued through POST /api/jobs and runs them one at a time. The
+// API must share the queue: JOB_QUEUE=kv with the same KV_* settings (what a
+// Vercel deployment uses), or JOB_QUEUE=file with the same JOB_QUEUE_DIR on
+// one host. Run it somewhere long-lived, not on Vercel. See
+// api/_lib/jobQueue.js.
+
+import { resolveJobQueue } from "../api/_lib/jobQueue.js";
+import { workJobs } from "../api/jobs/_worker.js";
+
+const once = process.argv.includes("--once");
+const queue = resolveJobQueue().name;
+if (queue === "memory") {
+  console.error("JOB_QUEUE=memory lives inside one process; run the worker against JOB_QUEUE=kv or file");
+  process.exit(2);
+}
+
+const stop = new AbortController();
+for (const sig of ["SIGINT", "SIGTERM"]) process.on(sig, () => stop.abort());
+
+const workerId = `worker-${process.pid}`;
+console.log(`${workerId}: working the ${queue} queue${once ? " until empty" : ""}`);
+try {
+  const ran = await workJobs({ workerId, signal: stop.signal, untilEmpty: once });
+  console.log(`${workerId}: ran ${ran} job(s)`);
+} catch (e) {
+  console.error(String(e?.message || e));
+  process.exit(1);
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { toJpegDataUrl } from "../api/_lib/image.js";
+import { checkImages, POCKET_QUALITY_LIMITS } from "../api/_lib/quality.js";
+import { segmentPageDataUrls } from "../api/_lib/segment.js";
+import { runBatch } from "../api/batch.js";
+import { syntheticCard } from "./helpers/cards.js";
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// identification runs offline, as in replay.test.js
+Object.assign(process.env, {
+  HTTP_MODE: "replay",
+  HTTP_FIXTURES_DIR: path.join(root, "fixtures", "http"),
+  VISION_PROVIDER: "fixture",
+  CATALOG: "off",
+  CACHE_BACKEND: "off",
+  VISUAL_RERANK: "off",
+  LABEL_STORE: "off",
+  JUSTTCG_API_KEY: "replay",
+});
+delete process.env.VISION_FIXTURES_DIR;
+
+// Artwork with some texture, so a pocket isn't mistaken for an empty one.
+const ARTWORK = [
+  [50, 80, 140],
+  [190, 150, 90],
+  [120, 170, 110],
+];
+
+/**
+ * A photo of a binder page `width` x `height` px: a light backing with one
+ * synthetic card centred in each of the rows x cols pockets.
+ */
+function binderPage({ width = 1200, height = 1600, rows = 3, cols = 3 } = {}) {
+  const pw = width / cols;
+  const ph = height / rows;
+  const { image: card } = syntheticCard({ width: Math.round(pw * 0.75), pad: 0.08 });
+  const data = new Uint8ClampedArray(width * height * 3).fill(230);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const ox = Math.round(col * pw + (pw - card.width) / 2);
+      const oy = Math.round(row * ph + (ph - card.height) / 2);
+      for (let y = 0; y < card.height; y++) {
+        for (let x = 0; x < card.width; x++) {
+          const s = (y * card.width + x) * 3;
+          const d = ((oy + y) * width + ox + x) * 3;
+          // the helper's artwork is the only blue-150 area; swap in a busier one
+          const px = card.data[s + 2] === 150 ? ARTWORK[((x >> 3) + (y >> 4)) % 3] : card.data.subarray(s, s + 3);
+          data.set(px, d);
+        }
+      }
+    }
+  }
+  return toJpegDataUrl({ width, height, data }, 90);
+}
+
+describe("binder pages", () => {
+  const page = binderPage();
+
+  test("the pockets of a 1600px page pass the pocket gate, not the full-photo one", () => {
+    const pockets = segmentPageDataUrls({ pageDataUrl: page, minPocketLongSide: POCKET_QUALITY_LIMITS.minLongSide });
+    assert.equal(pockets.length, 9);
+    for (const p of pockets) {
+      assert.equal(p.empty, false);
+      const pocket = checkImages({ frontDataUrl: p.frontDataUrl, sides: ["front"], limits: POCKET_QUALITY_LIMITS });
+      assert.equal(pocket.ok, true, JSON.stringify(pocket.issues));
+      assert.equal(pocket.front.height, 533);
+
+      const photo = checkImages({ frontDataUrl: p.frontDataUrl, sides: ["front"] });
+      assert.deepEqual(
+        photo.issues.map((i) => i.code),
+        ["low_resolution"]
+      );
+    }
+  });
+
+  test("runBatch sends every pocket past the gate", async () => {
+    const out = await runBatch({ pageDataUrl: page, normalize: false, cache: false });
+    assert.equal(out.items.length, 9);
+    for (const it of out.items) {
+      assert.notEqual(it.status, "rejected", JSON.stringify(it.quality?.issues));
+      assert.equal(it.quality.ok, true);
+    }
+    assert.equal(out.summary.rejected, 0);
+  });
+
+  test("a page too small for its pockets is refused up front", async () => {
+    await assert.rejects(runBatch({ pageDataUrl: binderPage({ width: 600, height: 800 }) }), {
+      name: "SegmentError",
+      code: "low_resolution",
+      message: /600x800 gives 3x3 pockets of about 267px; need at least 300px/,
+    });
+  });
+});
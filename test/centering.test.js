@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { measureCentering, measureImageCentering } from "../api/_lib/centering.js";
+import { decodeJpeg, encodeJpeg, toJpegDataUrl } from "../api/_lib/image.js";
+import { expectedShare, syntheticCard, toPngDataUrl } from "./helpers/cards.js";
+
+// Measured ratios may be off by this many points from the drawn borders:
+// about one pixel of a 30-pixel border.
+const TOLERANCE = 1;
+
+function assertRatios(m, borders) {
+  assert.equal(m.ok, true, m.reason);
+  const lr = expectedShare(borders.left, borders.right);
+  const tb = expectedShare(borders.top, borders.bottom);
+  assert.ok(Math.abs(m.lr[0] - lr) <= TOLERANCE, `left/right ${m.leftRight}, drawn ${lr}/${100 - lr}`);
+  assert.ok(Math.abs(m.tb[0] - tb) <= TOLERANCE, `top/bottom ${m.topBottom}, drawn ${tb}/${100 - tb}`);
+}
+
+describe("measureImageCentering", () => {
+  for (const [lr, tb] of [
+    [50, 50],
+    [55, 45],
+    [60, 65],
+  ]) {
+    test(`${lr}/${tb} on a background, uncompressed`, () => {
+      const { image, borders } = syntheticCard({ lr, tb });
+      const m = measureImageCentering(image);
+      assertRatios(m, borders);
+      assert.equal(m.hypothesis, "background");
+    });
+
+    for (const quality of [95, 85]) {
+      test(`${lr}/${tb} on a background, JPEG q${quality}`, () => {
+        const { image, borders } = syntheticCard({ lr, tb });
+        assertRatios(measureImageCentering(decodeJpeg(encodeJpeg(image, quality))), borders);
+      });
+    }
+  }
+
+  test("a small card photo (300 px wide)", () => {
+    const { image, borders } = syntheticCard({ width: 300, lr: 55, tb: 55 });
+    assertRatios(measureImageCentering(decodeJpeg(encodeJpeg(image, 85))), borders);
+  });
+
+  test("a tight crop is read as the inner border", () => {
+    const { image, borders } = syntheticCard({ lr: 65, tb: 45, pad: 0 });
+    const m = measureImageCentering(decodeJpeg(encodeJpeg(image, 90)));
+    assertRatios(m, borders);
+    assert.equal(m.hypothesis, "cropped");
+  });
+
+  test("reports border widths in source pixels", () => {
+    const { image, borders } = syntheticCard({ width: 1100, lr: 60, tb: 40 });
+    const m = measureImageCentering(image);
+    for (const side of ["left", "right", "top", "bottom"]) {
+      assert.ok(Math.abs(m.borders[side] - borders[side]) <= 2, `${side}: ${m.borders[side]} vs ${borders[side]}`);
+    }
+  });
+});
+
+describe("measureCentering", () => {
+  test("front (PNG) and back (JPEG) data URLs, with a grade cap", () => {
+    const front = syntheticCard({ lr: 55, tb: 50 });
+    const back = syntheticCard({ lr: 70, tb: 50 });
+    const out = measureCentering({
+      frontDataUrl: toPngDataUrl(front.image),
+      backDataUrl: toJpegDataUrl(back.image, 90),
+      company: "psa",
+    });
+    assertRatios(out.front, front.borders);
+    assertRatios(out.back, back.borders);
+    assert.equal(out.company, "psa");
+    assert.equal(typeof out.capGrade, "number");
+  });
+
+  test("a missing or undecodable side is reported, not thrown", () => {
+    const out = measureCentering({ frontDataUrl: "data:image/png;base64,AAAA", backDataUrl: null });
+    assert.equal(out.front.ok, false);
+    assert.equal(out.back.ok, false);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import digimon from "../api/_lib/games/digimon.js";
+import { setHttpTransport } from "../api/_lib/http.js";
+
+// The card number the resolver searches for, given what was read off the card.
+const queries = [];
+
+before(() => {
+  process.env.CACHE_BACKEND = "off";
+  setHttpTransport(async (url) => {
+    queries.push(new URL(url).searchParams.get("card"));
+    return new Response("[]", { status: 200, headers: { "content-type": "application/json" } });
+  });
+});
+
+after(() => setHttpTransport(null));
+
+async function searchedNumber(extracted) {
+  queries.length = 0;
+  await digimon.resolve({ game: "digimon", language: "en", ...extracted }, {});
+  return queries[0] ?? null;
+}
+
+describe("digimon card numbers", () => {
+  for (const [read, number] of [
+    ["BT1-084", "BT1-084"],
+    ["bt 10-112", "BT10-112"],
+    ["EX02-039", "EX2-039"],
+    ["ST1-01", "ST1-01"],
+    ["ST12-16", "ST12-16"],
+    ["P-001", "P-001"],
+    ["p-123", "P-123"],
+  ]) {
+    test(`"${read}" searches ${number}`, async () => {
+      assert.equal(await searchedNumber({ name: "Agumon", collectorNumber: read }), number);
+    });
+  }
+
+  test("the number may have been read into setCode", async () => {
+    assert.equal(await searchedNumber({ name: "Agumon", setCode: "ST1-01" }), "ST1-01");
+  });
+
+  test("without a number the name is searched", async () => {
+    assert.equal(await searchedNumber({ name: "Agumon", collectorNumber: "084" }), null);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { mergeGradePasses } from "../api/_lib/gradeEnsemble.js";
+import { validateGradeReport } from "../api/_lib/gradeSchema.js";
+import { setHttpTransport } from "../api/_lib/http.js";
+import { runGrade } from "../api/grade.js";
+import { syntheticCard, toPngDataUrl } from "./helpers/cards.js";
+
+// A validated single pass with mostLikely `g` and subgrades all at `sub`.
+function pass(g, { sub = g, confidence = 0.8, issues = [] } = {}) {
+  return validateGradeReport({
+    mostLikely: g,
+    confidence,
+    subgrades: { centering: sub, corners: sub, edges: sub, surface: sub },
+    issues,
+  }).report;
+}
+
+const probOf = (report, g) => report.distribution.find((d) => d.grade === g)?.prob ?? 0;
+
+describe("mergeGradePasses", () => {
+  test("the median verdict wins and agreement, not self-report, sets the confidence", () => {
+    const { report, ensemble } = mergeGradePasses([pass(9, { confidence: 0.95 }), pass(9), pass(8)]);
+    assert.equal(report.mostLikely, 9);
+    assert.equal(ensemble.samples, 3);
+    assert.equal(ensemble.agreement, 2 / 3);
+    assert.ok(report.confidence < 0.95);
+    assert.ok(probOf(report, 9) > probOf(report, 8));
+    const total = report.distribution.reduce((s, d) => s + d.prob, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+  });
+
+  test("passes that all agree are confident but keep some mass on the neighbouring grades", () => {
+    const { report, ensemble } = mergeGradePasses([pass(8), pass(8), pass(8)]);
+    assert.equal(ensemble.agreement, 1);
+    assert.equal(report.confidence, 0.99);
+    assert.ok(probOf(report, 7.5) > 0 && probOf(report, 8.5) > 0);
+  });
+
+  test("subgrades are the per-field median and issues are ranked by how many passes saw them", () => {
+    const { report, ensemble } = mergeGradePasses([
+      pass(9, { sub: 9, issues: ["whitening"] }),
+      pass(9, { sub: 8, issues: ["whitening", "print line"] }),
+      pass(9, { sub: 10 }),
+    ]);
+    assert.equal(report.subgrades.corners, 9);
+    assert.deepEqual(report.issues, ["whitening", "print line"]);
+    assert.deepEqual(ensemble.issueCounts[0], { issue: "whitening", passes: 2 });
+  });
+
+  test("no passes is an error", () => {
+    assert.throws(() => mergeGradePasses([]), /no successful passes/);
+  });
+});
+
+describe("runGrade ensemble", () => {
+  const photo = toPngDataUrl(syntheticCard({ width: 126 }).image);
+  let calls = 0;
+
+  before(() => {
+    process.env.VISION_PROVIDER_GRADE = "local";
+    process.env.HTTP_MODE = "live";
+    // the second of three passes fails upstream; the others read a 9
+    setHttpTransport(async () => {
+      calls++;
+      if (calls === 2) return new Response(JSON.stringify({ error: { message: "overloaded" } }), { status: 503 });
+      const content = JSON.stringify({ mostLikely: 9, confidence: 0.7, subgrades: { centering: 9, corners: 9, edges: 9, surface: 9 } });
+      return new Response(JSON.stringify({ choices: [{ message: { content } }] }), {
+        status: 200,
+        headers: { "content-type": "application/json" },
+      });
+    });
+  });
+
+  after(() => {
+    setHttpTransport(null);
+    delete process.env.VISION_PROVIDER_GRADE;
+    delete process.env.HTTP_MODE;
+  });
+
+  test("a failed pass is reported and the rest are merged", async () => {
+    const report = await runGrade({ frontDataUrl: photo, backDataUrl: photo, samples: 3, measure: false, normalize: false, cache: false });
+    assert.equal(calls, 3);
+    assert.equal(report.mostLikely, 9);
+    assert.equal(report.ensemble.requested, 3);
+    assert.equal(report.ensemble.samples, 2);
+    assert.deepEqual(report.ensemble.failed, ["overloaded"]);
+    assert.equal(report.ensemble.agreement, 1);
+  });
+});
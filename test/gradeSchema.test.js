@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { GradeSchemaError, snapGrade, stepGrade, validateGradeReport } from "../api/_lib/gradeSchema.js";
+import { GRADER_PROFILES } from "../api/_lib/graders.js";
+
+const PSA = GRADER_PROFILES.psa.scale;
+const fields = (repaired) => repaired.map((r) => r.field);
+
+describe("snapGrade", () => {
+  test("snaps to the half-grade grid, ties down, within the scale", () => {
+    assert.equal(snapGrade(8.7), 8.5);
+    assert.equal(snapGrade(8.8), 9);
+    assert.equal(snapGrade(8.75), 8.5);
+    assert.equal(snapGrade(11), 10);
+    assert.equal(snapGrade(0), 1);
+  });
+
+  test("snaps to a company's legal grades, e.g. PSA has no 9.5", () => {
+    assert.equal(snapGrade(9.5, PSA), 9);
+    assert.equal(snapGrade(9.6, PSA), 10);
+    assert.equal(snapGrade(8.5, PSA), 8.5);
+  });
+
+  test("stepGrade moves to the neighbouring legal grade", () => {
+    assert.equal(stepGrade(9, +1, PSA), 10);
+    assert.equal(stepGrade(10, -1, PSA), 9);
+    assert.equal(stepGrade(10, +1), 10);
+  });
+});
+
+describe("validateGradeReport", () => {
+  test("a well-formed report passes through unchanged", () => {
+    const raw = {
+      mostLikely: 9,
+      range: [8.5, 9.5],
+      confidence: 0.7,
+      label: "Likely 9",
+      distribution: [
+        { grade: 8.5, prob: 0.25 },
+        { grade: 9, prob: 0.5 },
+        { grade: 9.5, prob: 0.25 },
+      ],
+      subgrades: { centering: 9, corners: 9, edges: 9.5, surface: 9 },
+      issues: ["light whitening on the back corners"],
+      notes: [],
+    };
+    const { report, repaired } = validateGradeReport(raw);
+    assert.deepEqual(repaired, []);
+    assert.equal(report.mostLikely, 9);
+    assert.deepEqual(report.distribution, raw.distribution);
+    assert.deepEqual(report.subgrades, raw.subgrades);
+  });
+
+  test("off-grid grades are snapped and merged, bad rows dropped, and probabilities renormalized", () => {
+    const { report, repaired } = validateGradeReport({
+      mostLikely: "8.9",
+      confidence: 0.6,
+      distribution: [
+        { grade: 8.9, prob: 0.4 },
+        { grade: 9.1, prob: 0.4 },
+        { grade: 8.4, prob: 0.4 },
+        { grade: "n/a", prob: 0.2 },
+        { grade: 10, prob: 0 },
+      ],
+      range: [9, 8.5],
+    });
+    assert.equal(report.mostLikely, 9);
+    assert.deepEqual(report.distribution, [
+      { grade: 8.5, prob: 1 / 3 },
+      { grade: 9, prob: 2 / 3 },
+    ]);
+    assert.deepEqual(report.range, [8.5, 9]);
+    const reasons = repaired.filter((r) => r.field === "distribution").map((r) => r.reason);
+    assert.ok(reasons.includes("dropped 2 invalid row(s)"));
+    assert.ok(reasons.includes("snapped 3 grade(s) to the grading scale"));
+    assert.ok(reasons.includes("probabilities renormalized"));
+  });
+
+  test("a missing distribution is synthesized around mostLikely, collapsing at the top of the scale", () => {
+    const { report, repaired } = validateGradeReport({ mostLikely: 10, confidence: 0.5 });
+    assert.deepEqual(report.distribution, [
+      { grade: 9.5, prob: 0.25 },
+      { grade: 10, prob: 0.75 },
+    ]);
+    assert.deepEqual(report.range, [9.5, 10]);
+    assert.ok(fields(repaired).includes("distribution"));
+  });
+
+  test("mostLikely comes from the distribution mode, or moves onto the distribution", () => {
+    const mode = validateGradeReport({
+      distribution: [
+        { grade: 7, prob: 0.2 },
+        { grade: 8, prob: 0.8 },
+      ],
+    });
+    assert.equal(mode.report.mostLikely, 8);
+
+    const moved = validateGradeReport({
+      mostLikely: 6,
+      distribution: [
+        { grade: 7, prob: 0.5 },
+        { grade: 8, prob: 0.5 },
+      ],
+    });
+    assert.equal(moved.report.mostLikely, 7);
+    assert.ok(moved.repaired.some((r) => r.field === "mostLikely" && /moved to 7/.test(r.reason)));
+    assert.deepEqual(moved.report.range, [6.5, 7.5]);
+  });
+
+  test("a percentage confidence, string subgrades and a text issue list are coerced", () => {
+    const { report, repaired } = validateGradeReport({
+      mostLikely: 8,
+      confidence: 85,
+      subgrades: { centering: "8.7", corners: 8, edges: null, surface: "PSA 9" },
+      issues: "edge wear; print line",
+    });
+    assert.equal(report.confidence, 0.85);
+    assert.deepEqual(report.subgrades, { centering: 8.5, corners: 8, edges: null, surface: 9 });
+    assert.deepEqual(report.issues, ["edge wear", "print line"]);
+    assert.ok(fields(repaired).includes("subgrades.edges"));
+  });
+
+  test("PSA's scale moves a 9.5 onto a legal grade", () => {
+    const { report } = validateGradeReport({ mostLikely: 9.5, range: [9, 10] }, { scale: PSA });
+    assert.equal(report.mostLikely, 9);
+    assert.ok(report.distribution.every((d) => PSA.grades.includes(d.grade)));
+  });
+
+  test("an object with no grade at all is rejected", () => {
+    assert.throws(() => validateGradeReport({ notes: ["looks fine"] }), GradeSchemaError);
+    assert.throws(() => validateGradeReport("not json"), GradeSchemaError);
+  });
+});
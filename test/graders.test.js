@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { validateGradeReport } from "../api/_lib/gradeSchema.js";
+import { applyGraderProfile, centeringCap, getGraderProfile, GRADER_PROFILES } from "../api/_lib/graders.js";
+
+// A validated report for `company` with mostLikely `g` and the given subgrades.
+function graded(company, g, subgrades) {
+  const profile = getGraderProfile(company);
+  const { report, repaired } = validateGradeReport({ mostLikely: g, confidence: 0.8, subgrades }, { scale: profile.scale });
+  applyGraderProfile(report, profile, repaired);
+  return { report, repaired };
+}
+
+const subs = (centering, corners, edges, surface) => ({ centering, corners, edges, surface });
+
+describe("centeringCap", () => {
+  // worst-side front/back shares -> highest grade each company allows
+  const cases = {
+    generic: [
+      [{ front: 55, back: 75 }, 10],
+      [{ front: 58 }, 9],
+      [{ front: 85 }, 5],
+    ],
+    psa: [
+      [{ front: 55, back: 75 }, 10],
+      [{ front: 58, back: 70 }, 9],
+      [{ front: 55, back: 80 }, 9],
+      [{ front: 66 }, 7],
+      [{ front: 84 }, 5],
+      [{ front: 90 }, 4],
+    ],
+    bgs: [
+      [{ front: 50, back: 55 }, 10],
+      [{ front: 52, back: 55 }, 9.5],
+      [{ front: 60, back: 80 }, 9],
+      [{ front: 62 }, 8.5],
+      [{ back: 92 }, 8],
+      [{ front: 80 }, 6],
+    ],
+    cgc: [
+      [{ front: 55, back: 75 }, 10],
+      [{ front: 58, back: 75 }, 9.5],
+      [{ front: 62, back: 85 }, 9],
+      [{ front: 64 }, 8],
+      [{ front: 72 }, 6],
+    ],
+    sgc: [
+      [{ front: 55, back: 70 }, 10],
+      [{ front: 55, back: 72 }, 9.5],
+      [{ front: 65, back: 80 }, 9],
+      [{ front: 68 }, 8],
+      [{ front: 76 }, 6],
+    ],
+  };
+
+  for (const [company, rows] of Object.entries(cases)) {
+    test(company, () => {
+      for (const [sides, grade] of rows) {
+        assert.equal(centeringCap(GRADER_PROFILES[company], sides), grade, `${company} ${JSON.stringify(sides)}`);
+      }
+    });
+  }
+
+  test("no measured side, no cap", () => {
+    assert.equal(centeringCap(GRADER_PROFILES.psa, {}), null);
+  });
+});
+
+describe("applyGraderProfile", () => {
+  test("PSA labels the grade in its own words", () => {
+    const { report } = graded("psa", 9, subs(9, 9, 9, 9));
+    assert.equal(report.label, "PSA 9 MINT");
+    assert.equal(report.tier, null);
+    assert.equal(report.subgradesReported, false);
+  });
+
+  test("BGS: Black Label needs four 10s, Pristine three 10s and a 9.5", () => {
+    assert.equal(graded("bgs", 10, subs(10, 10, 10, 10)).report.tier.id, "black-label");
+
+    const pristine = graded("bgs", 10, subs(10, 9.5, 10, 10)).report;
+    assert.equal(pristine.tier.id, "pristine");
+    assert.equal(pristine.label, "BGS Pristine 10");
+  });
+
+  test("BGS: a 10 without Pristine subgrades is a 9.5 Gem Mint", () => {
+    for (const sg of [subs(10, 9.5, 9.5, 10), subs(9, 10, 10, 10), subs(null, null, null, null)]) {
+      const { report, repaired } = graded("bgs", 10, sg);
+      assert.equal(report.mostLikely, 9.5, JSON.stringify(sg));
+      assert.equal(report.tier, null);
+      assert.equal(report.label, "BGS 9.5 Gem Mint");
+      assert.equal(Math.max(...report.distribution.map((d) => d.grade)), 9.5);
+      assert.ok(repaired.some((r) => r.field === "mostLikely"));
+    }
+  });
+
+  test("BGS: the overall is capped one grade above the lowest subgrade", () => {
+    const { report, repaired } = graded("bgs", 9.5, subs(9.5, 8, 9.5, 9.5));
+    assert.equal(report.mostLikely, 9);
+    assert.deepEqual(report.range.at(-1), 9);
+    assert.ok(repaired.some((r) => /capped at 9 by lowest subgrade/.test(r.reason)));
+  });
+
+  test("CGC and SGC Pristine need all four subgrades at 10", () => {
+    for (const company of ["cgc", "sgc"]) {
+      assert.equal(graded(company, 10, subs(10, 10, 10, 10)).report.tier.id, "pristine");
+      const gem = graded(company, 10, subs(10, 9.5, 10, 10)).report;
+      assert.equal(gem.tier, null);
+      assert.equal(gem.mostLikely, 10);
+    }
+  });
+});
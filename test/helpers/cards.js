@@ -0,0 +1,82 @@
+// Synthetic card photos for the tests: a flat-coloured card with a print
+// border of known widths around a striped "artwork", on a dark background
+// (or cropped tight), as RGB images and PNG/JPEG data URLs.
+
+import { crc32, deflateSync } from "node:zlib";
+
+const FRAME = [235, 200, 50];
+const BACKGROUND = [40, 40, 40];
+
+/**
+ * A card `width` px wide (63x88) whose borders split `lr` / `tb` percent
+ * left/right and top/bottom. `border` is each side's width at 50/50 as a share
+ * of the card width; `pad` the background around it (0 = cropped tight).
+ * Returns { image, borders: { left, right, top, bottom } } in pixels.
+ */
+export function syntheticCard({ width = 630, lr = 50, tb = 50, border = 0.05, pad = 0.1 } = {}) {
+  const height = Math.round((width * 88) / 63);
+  const total = Math.round(width * border * 2);
+  const left = Math.round((total * lr) / 100);
+  const top = Math.round((total * tb) / 100);
+  const borders = { left, right: total - left, top, bottom: total - top };
+
+  const margin = Math.round(width * pad);
+  // off the 8-pixel JPEG block grid, as a real photo would be
+  const ox = margin ? margin + 3 : 0;
+  const oy = margin ? margin + 5 : 0;
+  const W = width + 2 * margin;
+  const H = height + 2 * margin;
+  const data = new Uint8ClampedArray(W * H * 3);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const cx = x - ox;
+      const cy = y - oy;
+      let c = BACKGROUND;
+      if (cx >= 0 && cx < width && cy >= 0 && cy < height) {
+        const inBorder = cx < borders.left || cx >= width - borders.right || cy < borders.top || cy >= height - borders.bottom;
+        c = inBorder ? FRAME : [60 + ((cx >> 4) & 1) * 10, 90, 150];
+      }
+      const o = (y * W + x) * 3;
+      data[o] = c[0];
+      data[o + 1] = c[1];
+      data[o + 2] = c[2];
+    }
+  }
+  return { image: { width: W, height: H, data }, borders };
+}
+
+// The left (or top) share of a pair of border widths, as the centering ratio rounds it.
+export function expectedShare(a, b) {
+  return Math.round((100 * a) / (a + b));
+}
+
+function pngChunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+// 8-bit RGB, no filtering: enough for decodePng.
+export function encodePng({ width, height, data }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * width * 3, width * 3).copy(raw, y * (width * 3 + 1) + 1);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export const toPngDataUrl = (image) => `data:image/png;base64,${encodePng(image).toString("base64")}`;
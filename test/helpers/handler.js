@@ -0,0 +1,42 @@
+// Drive an API handler without a server: a readable request carrying a JSON
+// body, and a response that collects what the handler writes.
+
+import { Readable } from "node:stream";
+
+export async function callHandler(handler, body = null, { method = "POST", url = "/", headers = {} } = {}) {
+  const req = Readable.from(body == null ? [] : [Buffer.from(JSON.stringify(body))]);
+  req.method = method;
+  req.url = url;
+  req.headers = { "content-type": "application/json", host: "localhost", ...headers };
+  req.query = Object.fromEntries(new URL(url, "http://localhost").searchParams);
+
+  return await new Promise((resolve, reject) => {
+    const chunks = [];
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) {
+        this.headers[k.toLowerCase()] = v;
+      },
+      getHeader(k) {
+        return this.headers[k.toLowerCase()];
+      },
+      flushHeaders() {},
+      on() {},
+      write(c) {
+        chunks.push(String(c));
+        return true;
+      },
+      end(c) {
+        if (c != null) chunks.push(String(c));
+        const text = chunks.join("");
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch {}
+        resolve({ status: this.statusCode, headers: this.headers, text, body: json });
+      },
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
@@ -0,0 +1,105 @@
+// An in-process stand-in for the Redis REST API behind kv.js, covering the
+// commands the stores use. installFakeKv() points kv.js at it by swapping the
+// global fetch and setting the KV_* variables; restore() undoes both.
+
+const URL_BASE = "https://kv.test";
+
+function run(db, [cmd, ...args], now) {
+  const live = (k) => {
+    const e = db.get(k);
+    if (e && e.expiresAt && e.expiresAt <= now) db.delete(k);
+    return db.get(k);
+  };
+  switch (cmd.toUpperCase()) {
+    case "GET":
+      return live(args[0])?.value ?? null;
+    case "SET": {
+      const [key, value, ...opts] = args;
+      const flags = opts.map((o) => o.toUpperCase());
+      if (flags.includes("NX") && live(key)) return null;
+      const px = flags.indexOf("PX");
+      const ex = flags.indexOf("EX");
+      const expiresAt = px >= 0 ? now + Number(opts[px + 1]) : ex >= 0 ? now + 1000 * Number(opts[ex + 1]) : null;
+      const keep = flags.includes("KEEPTTL") ? live(key)?.expiresAt : null;
+      db.set(key, { value, expiresAt: expiresAt ?? keep ?? null });
+      return "OK";
+    }
+    case "DEL":
+      return args.filter((k) => db.delete(k)).length;
+    case "EXPIRE": {
+      const e = live(args[0]);
+      if (!e) return 0;
+      e.expiresAt = now + 1000 * Number(args[1]);
+      return 1;
+    }
+    case "RPUSH": {
+      const e = live(args[0]) || { value: [], expiresAt: null };
+      e.value.push(...args.slice(1));
+      db.set(args[0], e);
+      return e.value.length;
+    }
+    case "LRANGE": {
+      const list = live(args[0])?.value || [];
+      const stop = Number(args[2]) < 0 ? list.length + Number(args[2]) : Number(args[2]);
+      return list.slice(Number(args[1]), stop + 1);
+    }
+    case "ZADD": {
+      const e = live(args[0]) || { value: new Map(), expiresAt: null };
+      for (let i = 1; i < args.length; i += 2) e.value.set(args[i + 1], Number(args[i]));
+      db.set(args[0], e);
+      return 1;
+    }
+    case "ZREM":
+      return live(args[0])?.value.delete(args[1]) ? 1 : 0;
+    case "ZCARD":
+      return live(args[0])?.value.size || 0;
+    case "ZRANGEBYSCORE": {
+      const [key, min, max, ...rest] = args;
+      const lo = min === "-inf" ? -Infinity : Number(min);
+      const hi = max === "+inf" ? Infinity : Number(max);
+      const limit = rest[0]?.toUpperCase() === "LIMIT" ? [Number(rest[1]), Number(rest[2])] : null;
+      const hits = [...(live(key)?.value || new Map())]
+        .filter(([, score]) => score >= lo && score <= hi)
+        .sort((a, b) => a[1] - b[1])
+        .map(([m]) => m);
+      return limit ? hits.slice(limit[0], limit[0] + limit[1]) : hits;
+    }
+    default:
+      throw new Error(`ERR unknown command '${cmd}'`);
+  }
+}
+
+export function installFakeKv() {
+  const db = new Map();
+  const saved = { fetch: globalThis.fetch, url: process.env.KV_REST_API_URL, token: process.env.KV_REST_API_TOKEN };
+  process.env.KV_REST_API_URL = URL_BASE;
+  process.env.KV_REST_API_TOKEN = "test";
+
+  const answer = (command) => {
+    try {
+      return { result: run(db, command, Date.now()) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  };
+  globalThis.fetch = async (url, opts) => {
+    if (!String(url).startsWith(URL_BASE)) return await saved.fetch(url, opts);
+    const body = JSON.parse(opts.body);
+    const out = String(url).endsWith("/pipeline") ? body.map(answer) : answer(body);
+    return new Response(JSON.stringify(out), { status: 200, headers: { "content-type": "application/json" } });
+  };
+
+  return {
+    db,
+    restore() {
+      globalThis.fetch = saved.fetch;
+      for (const [k, v] of [
+        ["KV_REST_API_URL", saved.url],
+        ["KV_REST_API_TOKEN", saved.token],
+      ]) {
+        if (v == null) delete process.env[k];
+        else process.env[k] = v;
+      }
+    },
+  };
+}
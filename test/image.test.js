@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { MAX_PIXELS, decodeImage, encodeJpeg, readImageSize } from "../api/_lib/image.js";
+import { assessImage } from "../api/_lib/quality.js";
+import { encodePng, syntheticCard, toPngDataUrl } from "./helpers/cards.js";
+
+// A real JPEG whose frame header claims width x height.
+function jpegClaiming(width, height) {
+  const bytes = Buffer.from(encodeJpeg(syntheticCard({ width: 200 }).image, 80));
+  for (let p = 2; p < bytes.length; p += 2 + bytes.readUInt16BE(p + 2)) {
+    if (bytes[p + 1] === 0xc0) {
+      bytes.writeUInt16BE(height, p + 5);
+      bytes.writeUInt16BE(width, p + 7);
+      return bytes;
+    }
+  }
+  throw new Error("no SOF0");
+}
+
+describe("readImageSize", () => {
+  test("reads JPEG and PNG headers", () => {
+    const { image } = syntheticCard({ width: 200 });
+    assert.deepEqual(readImageSize(Buffer.from(encodeJpeg(image))), { width: image.width, height: image.height });
+    assert.deepEqual(readImageSize(encodePng(image)), { width: image.width, height: image.height });
+  });
+
+  test("null for anything else", () => {
+    assert.equal(readImageSize(Buffer.from("GIF89a......")), null);
+    assert.equal(readImageSize(Buffer.from([0xff, 0xd8, 0xff])), null);
+  });
+});
+
+describe("pixel cap", () => {
+  test("decodeImage refuses a JPEG frame over MAX_PIXELS", () => {
+    assert.throws(() => decodeImage(jpegClaiming(60000, 60000)), { code: "too_many_pixels" });
+  });
+
+  test("decodeImage refuses a PNG over MAX_PIXELS", () => {
+    const png = encodePng({ width: 4, height: 4, data: new Uint8ClampedArray(48) });
+    png.writeUInt32BE(100000, 16);
+    png.writeUInt32BE(100000, 20);
+    assert.throws(() => decodeImage(png), { code: "too_many_pixels" });
+  });
+
+  test("the quality gate rejects from the header", () => {
+    const side = Math.ceil(Math.sqrt(MAX_PIXELS)) + 1;
+    const r = assessImage(`data:image/jpeg;base64,${jpegClaiming(side, side).toString("base64")}`);
+    assert.equal(r.ok, false);
+    assert.ok(r.issues.some((i) => i.code === "too_many_pixels" && i.severity === "reject"));
+    assert.equal(r.width, side);
+  });
+});
+
+describe("assessImage", () => {
+  test("a sharp, well exposed card passes", () => {
+    const r = assessImage(toPngDataUrl(syntheticCard({ width: 900 }).image));
+    assert.equal(r.ok, true);
+    assert.equal(r.mime, "image/png");
+  });
+
+  test("a declared type other than JPEG or PNG is rejected before decoding", () => {
+    const r = assessImage(`data:image/gif;base64,${Buffer.from("GIF89a").toString("base64")}`);
+    assert.equal(r.ok, false);
+    assert.equal(r.issues[0].code, "mime_not_allowed");
+    assert.equal(r.width, null);
+  });
+});
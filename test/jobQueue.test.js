@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, utimes, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  claimJob,
+  completeJob,
+  enqueueJob,
+  failJob,
+  getJob,
+  jobInput,
+  jobLease,
+  pendingJobs,
+  reportProgress,
+  resolveJobQueue,
+  runsJobsInline,
+} from "../api/_lib/jobQueue.js";
+import jobsHandler from "../api/jobs/index.js";
+import { callHandler } from "./helpers/handler.js";
+import { installFakeKv } from "./helpers/kv.js";
+
+const ENV = ["JOB_QUEUE", "JOB_QUEUE_DIR", "JOB_WORKER", "JOB_INPUT_MAX_BYTES", "VERCEL"];
+let saved;
+let dir;
+let kv;
+
+beforeEach(async () => {
+  saved = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+  dir = await mkdtemp(path.join(os.tmpdir(), "grd-jobs-test-"));
+  process.env.JOB_QUEUE_DIR = dir;
+  kv = installFakeKv();
+});
+
+afterEach(async () => {
+  kv.restore();
+  for (const k of ENV) {
+    if (saved[k] == null) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+// what a worker that died mid-run leaves behind once its lease runs out
+const expireLease = (id) => resolveJobQueue().update(id, (job) => ({ ...job, leaseUntil: 0 }));
+
+describe("job queue", () => {
+  test("kv: jobs are queued, claimed and finished through the shared store", async () => {
+    process.env.JOB_QUEUE = "kv";
+    const job = await enqueueJob("price", { card: { game: "pokemon", name: "Pikachu" } });
+    assert.equal(await pendingJobs(), 1);
+    assert.deepEqual(await jobInput(job.id), { card: { game: "pokemon", name: "Pikachu" } });
+
+    const claimed = await claimJob("w1");
+    assert.equal(claimed.id, job.id);
+    assert.equal(claimed.workerId, "w1");
+    assert.equal(await claimJob("w2"), null, "a running job with a live lease isn't handed out twice");
+
+    await completeJob(job.id, { raw: 1 }, jobLease(claimed));
+    assert.equal(await pendingJobs(), 0);
+    assert.equal((await getJob(job.id)).status, "succeeded");
+    const record = kv.db.get(`grd:job:${job.id}`);
+    assert.ok(record.expiresAt > Date.now(), "a finished job expires");
+  });
+
+  test("on Vercel the queue defaults to kv, instance-local queues and inline runs are refused", () => {
+    process.env.VERCEL = "1";
+    delete process.env.JOB_QUEUE;
+    delete process.env.JOB_WORKER;
+    assert.equal(resolveJobQueue().name, "kv");
+    assert.equal(runsJobsInline(), false);
+
+    process.env.JOB_WORKER = "inline";
+    assert.throws(() => runsJobsInline(), /can't run on Vercel/);
+
+    for (const queue of ["memory", "file"]) {
+      process.env.JOB_QUEUE = queue;
+      assert.throws(() => resolveJobQueue(), /use JOB_QUEUE=kv/);
+    }
+  });
+
+  test("POST /api/jobs refuses an inline job on Vercel without queueing it", async () => {
+    process.env.VERCEL = "1";
+    process.env.JOB_QUEUE = "kv";
+    process.env.JOB_WORKER = "inline";
+    const res = await callHandler(jobsHandler, { type: "price", input: { card: { game: "pokemon", name: "Pikachu" } } });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /can't run on Vercel/);
+    assert.equal(kv.db.size, 0);
+  });
+
+  for (const queue of ["memory", "file", "kv"]) {
+    test(`${queue}: a job whose worker keeps dying fails once its attempts are used up`, async () => {
+      process.env.JOB_QUEUE = queue;
+      const job = await enqueueJob("grade", { frontDataUrl: "x" }, { maxAttempts: 2 });
+
+      for (const attempt of [1, 2]) {
+        const claimed = await claimJob(`w${attempt}`);
+        assert.equal(claimed.id, job.id);
+        assert.equal(claimed.attempts, attempt);
+        await expireLease(job.id);
+      }
+
+      assert.equal(await claimJob("w3"), null);
+      const failed = await getJob(job.id);
+      assert.equal(failed.status, "failed");
+      assert.equal(failed.attempts, 2);
+      assert.match(failed.error.message, /stopped responding on attempt 2 of 2/);
+      assert.ok(failed.finishedAt);
+    });
+  }
+
+  for (const queue of ["memory", "file", "kv"]) {
+    test(`${queue}: a worker whose lease ran out can't write over the job's new claim`, async () => {
+      process.env.JOB_QUEUE = queue;
+      const job = await enqueueJob("grade", { frontDataUrl: "x" });
+      const stale = await claimJob("w1");
+      await expireLease(job.id);
+      const current = await claimJob("w2");
+      assert.equal(current.attempts, 2);
+
+      // the first worker wakes up and finishes its run
+      assert.equal(await reportProgress(job.id, { event: "stage", stage: "grading" }, jobLease(stale)), null);
+      assert.equal(await completeJob(job.id, { raw: 1 }, jobLease(stale)), null);
+      assert.equal(await failJob(job.id, { message: "late" }, jobLease(stale)), null);
+      let record = await getJob(job.id);
+      assert.equal(record.status, "running");
+      assert.equal(record.workerId, "w2");
+      assert.equal(record.progress, null);
+      assert.deepEqual(record.errors, []);
+
+      // a worker that restarts under the same ID is still a different claim
+      assert.equal(await completeJob(job.id, { raw: 1 }, { workerId: "w2", attempt: 1 }), null);
+
+      await completeJob(job.id, { raw: 2 }, jobLease(current));
+      record = await getJob(job.id);
+      assert.equal(record.status, "succeeded");
+      assert.deepEqual(record.result, { raw: 2 });
+      assert.equal(await failJob(job.id, { message: "late" }, jobLease(current)), null, "a finished job stays finished");
+    });
+  }
+
+  test("kv: the job lock is only released by its holder", async () => {
+    process.env.JOB_QUEUE = "kv";
+    const job = await enqueueJob("grade", { frontDataUrl: "x" });
+    const claimed = await claimJob("w1");
+    const lock = `grd:job:${job.id}:lock`;
+    // our lock expires mid-write and another writer takes it; ours must not delete theirs
+    await resolveJobQueue().update(job.id, (j) => {
+      kv.db.set(lock, { value: "someone-else", expiresAt: null });
+      return j;
+    });
+    assert.equal(kv.db.get(lock)?.value, "someone-else");
+    kv.db.delete(lock);
+
+    await reportProgress(job.id, { event: "stage" }, jobLease(claimed));
+    assert.equal(kv.db.has(lock), false, "our own lock is released");
+  });
+
+  test("an input over JOB_INPUT_MAX_BYTES is refused with a 413 and nothing is stored", async () => {
+    process.env.JOB_QUEUE = "kv";
+    process.env.JOB_WORKER = "external";
+    process.env.JOB_INPUT_MAX_BYTES = "1000";
+    await assert.rejects(enqueueJob("grade", { frontDataUrl: "x".repeat(1000) }), { name: "JobQueueError", code: "too_large" });
+
+    const res = await callHandler(jobsHandler, { type: "grade", input: { frontDataUrl: "x".repeat(1000), backDataUrl: "y" } });
+    assert.equal(res.status, 413);
+    assert.match(res.body.error, /split it into several jobs/);
+    assert.equal(kv.db.size, 0);
+
+    const ok = await callHandler(jobsHandler, { type: "grade", input: { frontDataUrl: "x", backDataUrl: "y" } });
+    assert.equal(ok.status, 202);
+  });
+
+  test("file: a lock left behind by a dead process is taken over", async () => {
+    process.env.JOB_QUEUE = "file";
+    const job = await enqueueJob("grade", { frontDataUrl: "x" });
+    const claimed = await claimJob("w1");
+    const lock = path.join(dir, `${job.id}.lock`);
+    await writeFile(lock, "");
+    const old = new Date(Date.now() - 60000);
+    await utimes(lock, old, old);
+
+    const updated = await reportProgress(job.id, { event: "stage", stage: "grading" }, jobLease(claimed));
+    assert.equal(updated.progress.stage, "grading");
+  });
+
+  test("file: a lock that is being held is waited on, not taken", async () => {
+    process.env.JOB_QUEUE = "file";
+    const job = await enqueueJob("grade", { frontDataUrl: "x" });
+    const claimed = await claimJob("w1");
+    await writeFile(path.join(dir, `${job.id}.lock`), "");
+    await assert.rejects(reportProgress(job.id, { event: "stage" }, jobLease(claimed)), { code: "EEXIST" });
+  });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { listLabels, resolveLabelStore, saveLabel } from "../api/_lib/labelStore.js";
+import { installFakeKv } from "./helpers/kv.js";
+
+const ENV = ["LABEL_STORE", "VERCEL"];
+let saved;
+let kv;
+
+beforeEach(() => {
+  saved = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+  kv = installFakeKv();
+});
+
+afterEach(() => {
+  kv.restore();
+  for (const k of ENV) {
+    if (saved[k] == null) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+const example = (name) => ({
+  predicted: { game: "pokemon", name: "Pikachu", collectorNumber: "58" },
+  corrections: { name },
+  confirmed: { game: "pokemon", name, collectorNumber: "58", id: `tcgdex:x-${name}`, confirmation: { method: "corrected" } },
+});
+
+describe("label store", () => {
+  test("kv keeps examples in the order they were confirmed", async () => {
+    process.env.LABEL_STORE = "kv";
+    await saveLabel(example("Raichu"));
+    await saveLabel(example("Pichu"));
+    const labels = await listLabels();
+    assert.deepEqual(
+      labels.map((l) => l.confirmed.name),
+      ["Raichu", "Pichu"]
+    );
+    assert.equal(labels[0].confirmed.candidateId, "tcgdex:x-Raichu");
+    assert.equal(labels[0].predicted.name, "Pikachu");
+  });
+
+  test("on Vercel the default is kv, off is allowed and instance-local stores are refused", () => {
+    process.env.VERCEL = "1";
+    delete process.env.LABEL_STORE;
+    assert.equal(resolveLabelStore().name, "kv");
+    process.env.LABEL_STORE = "off";
+    assert.equal(resolveLabelStore().name, "off");
+    for (const name of ["file", "memory"]) {
+      process.env.LABEL_STORE = name;
+      assert.throws(() => resolveLabelStore(), /lost on Vercel/);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import mtg from "../api/_lib/games/mtg.js";
+import { setHttpTransport } from "../api/_lib/http.js";
+
+// Scryfall's prints of one card, oldest first: a plain print, a foil-only one,
+// a showcase print in every finish and a serialized one.
+const print = (id, extra) => ({ id, name: "Sol Ring", set_name: id, set: id, collector_number: "1", lang: "en", frame: "2015", ...extra });
+const PRINTS = [
+  print("plain", { finishes: ["nonfoil"] }),
+  print("foilonly", { finishes: ["foil"] }),
+  print("showcase", { finishes: ["nonfoil", "foil", "etched"], frame_effects: ["showcase"] }),
+  print("serial", { finishes: ["foil"], promo_types: ["serialized"] }),
+];
+
+before(() => {
+  process.env.CACHE_BACKEND = "off";
+  process.env.CATALOG = "off";
+  setHttpTransport(async () => new Response(JSON.stringify({ data: PRINTS }), { status: 200, headers: { "content-type": "application/json" } }));
+});
+
+after(() => setHttpTransport(null));
+
+async function resolve(variant) {
+  const debug = {};
+  const candidates = await mtg.resolve({ game: "mtg", name: "Sol Ring", variant, language: "en" }, debug);
+  return { candidates, read: debug.mtg.treatments, byId: (id) => candidates.find((c) => c.canonical.id === id) };
+}
+
+describe("mtg treatments and finishes", () => {
+  test("a collector number in the variant isn't a serial number", async () => {
+    for (const variant of ["123/280", "nonfoil 45 / 280"]) {
+      const { candidates, read } = await resolve(variant);
+      assert.deepEqual(read.treatments, [], variant);
+      assert.notEqual(candidates[0].canonical.id, "serial", variant);
+    }
+  });
+
+  test("serial wording or a #-number reads as serialized", async () => {
+    for (const variant of ["serialized", "numbered 045/500", "foil #045/500", "# 7/500"]) {
+      const { candidates, read } = await resolve(variant);
+      assert.deepEqual(read.treatments, ["serialized"], variant);
+      assert.equal(candidates[0].canonical.id, "serial", variant);
+    }
+  });
+
+  test("finish and treatment cues pick the print and its finish", async () => {
+    const foilShowcase = await resolve("Foil Showcase");
+    assert.deepEqual(foilShowcase.read, { finish: "foil", treatments: ["showcase"] });
+    assert.equal(foilShowcase.candidates[0].canonical.id, "showcase");
+    assert.equal(foilShowcase.candidates[0].finish, "foil");
+    assert.equal(foilShowcase.candidates[0].variant, "showcase foil");
+
+    assert.equal((await resolve("foil etched")).read.finish, "etched");
+    assert.equal((await resolve("non-foil")).read.finish, "nonfoil");
+    assert.equal((await resolve("holo")).read.finish, "foil");
+  });
+
+  test("a print without the finish read stands for nonfoil, else its first finish", async () => {
+    const etched = await resolve("etched");
+    assert.equal(etched.candidates[0].canonical.id, "showcase");
+    assert.equal(etched.byId("showcase").finish, "etched");
+    assert.equal(etched.byId("plain").finish, "nonfoil");
+    assert.equal(etched.byId("foilonly").finish, "foil");
+
+    const unread = await resolve(null);
+    assert.equal(unread.byId("showcase").finish, "nonfoil");
+    assert.equal(unread.byId("foilonly").canonical.print, "foil");
+  });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import pokemon from "../api/_lib/games/pokemon.js";
+import { setHttpTransport } from "../api/_lib/http.js";
+
+const json = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+// TCGdex hangs until its request is aborted; PokémonTCG.io answers at once with a sure match.
+const tcgdex = { requests: 0, aborted: 0 };
+
+before(() => {
+  process.env.CACHE_BACKEND = "off";
+  process.env.CATALOG = "off";
+  setHttpTransport(async (url, opts) => {
+    if (new URL(url).host === "api.pokemontcg.io") {
+      return json({
+        data: [{ id: "base1-58", name: "Pikachu", number: "58", rarity: "Common", set: { id: "base1", name: "Base" } }],
+      });
+    }
+    tcgdex.requests++;
+    return await new Promise((resolve, reject) => {
+      opts.signal?.addEventListener("abort", () => {
+        tcgdex.aborted++;
+        reject(new Error("aborted"));
+      });
+    });
+  });
+});
+
+after(() => setHttpTransport(null));
+
+describe("pokemon resolver race", () => {
+  test("a sure match from one provider aborts the other's lookups", async () => {
+    const t0 = Date.now();
+    const candidates = await pokemon.resolve({ game: "pokemon", name: "Pikachu", collectorNumber: "58", language: "en" }, {});
+    assert.equal(candidates[0].canonical.id, "base1-58");
+    assert.ok(Date.now() - t0 < 1000, "the race waited for the slow provider");
+
+    assert.equal(tcgdex.requests, 1);
+    assert.equal(tcgdex.aborted, 1);
+    // the aborted branch doesn't go on to its relaxed searches
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(tcgdex.requests, 1);
+  });
+});
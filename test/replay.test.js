@@ -0,0 +1,117 @@
+// identify, grade and price end to end with no network: outbound calls are
+// served from the recordings in fixtures/http (HTTP_MODE=replay, see
+// api/_lib/http.js) and the model answers come from the fixture vision
+// provider.
+//
+// The recordings marked "synthetic": true were written by hand in the shape
+// of each API's answer, not captured; running this file with HTTP_MODE=record
+// and real API keys replaces them with real ones (stamped recordedAt). The
+// price assertions are derived from whatever the recordings hold, so they
+// pass either way.
+
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { toJpegDataUrl } from "../api/_lib/image.js";
+import { syntheticCard } from "./helpers/cards.js";
+import { callHandler } from "./helpers/handler.js";
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+Object.assign(process.env, {
+  HTTP_MODE: process.env.HTTP_MODE === "record" ? "record" : "replay",
+  HTTP_FIXTURES_DIR: path.join(root, "fixtures", "http"),
+  VISION_PROVIDER: "fixture",
+  CATALOG: "off",
+  CACHE_BACKEND: "off",
+  VISUAL_RERANK: "off",
+  LABEL_STORE: "off",
+  JUSTTCG_API_KEY: process.env.JUSTTCG_API_KEY || "replay",
+});
+delete process.env.VISION_FIXTURES_DIR;
+
+// The response body recorded for the first request to `host` whose URL matches `re`.
+async function recordedBody(host, re) {
+  const dir = path.join(process.env.HTTP_FIXTURES_DIR, host);
+  for (const name of await readdir(dir)) {
+    const fixture = JSON.parse(await readFile(path.join(dir, name), "utf8"));
+    if (re.test(fixture.request.url)) return fixture.response.body;
+  }
+  throw new Error(`No recording for ${host} ${re}`);
+}
+
+const PIKACHU = { game: "pokemon", name: "Pikachu", set: "Base Set", collectorNumber: "58" };
+
+let handlers;
+let photos;
+
+before(async () => {
+  handlers = {
+    identify: (await import("../api/identify.js")).default,
+    grade: (await import("../api/grade.js")).default,
+    price: (await import("../api/price.js")).default,
+  };
+  photos = {
+    frontDataUrl: toJpegDataUrl(syntheticCard({ width: 900 }).image, 90),
+    backDataUrl: toJpegDataUrl(syntheticCard({ width: 900, lr: 55 }).image, 90),
+  };
+});
+
+describe("offline (HTTP_MODE=replay)", () => {
+  test("identify reads the card and resolves it against the recorded catalog answers", async () => {
+    const r = await callHandler(handlers.identify, photos);
+    assert.equal(r.status, 200, r.text.slice(0, 300));
+    assert.equal(r.body.quality.ok, true);
+    assert.equal(r.body.extracted.name, "Pikachu");
+    assert.equal(r.body.extracted.collectorNumber, "58");
+    const top = r.body.candidates[0];
+    assert.ok(top, "no candidates");
+    assert.equal(top.name, "Pikachu");
+    assert.equal(top.collectorNumber, "58");
+    assert.equal(top.canonical.id, "base1-58");
+  });
+
+  test("grade returns the fixture grade with measured centering", async () => {
+    const r = await callHandler(handlers.grade, { ...photos, company: "psa" });
+    assert.equal(r.status, 200, r.text.slice(0, 300));
+    assert.equal(r.body.mostLikely, 9);
+    assert.ok(Math.abs(r.body.distribution.reduce((s, d) => s + d.prob, 0) - 1) < 1e-6);
+    assert.equal(r.body.measuredCentering.company, "psa");
+    assert.equal(r.body.measuredCentering.front.ok, true);
+    assert.equal(r.body.measuredCentering.back.leftRight, "57/43");
+  });
+
+  test("price picks the Near Mint print from the recorded JustTCG answer and converts it", async () => {
+    const r = await callHandler(handlers.price, { card: PIKACHU, company: "psa" });
+    assert.equal(r.status, 200, r.text.slice(0, 300));
+    assert.equal(r.body.source, "JustTCG");
+    assert.equal(r.body.currency, "USD");
+    assert.deepEqual(r.body.picked.want, { printing: "Normal", condition: "Near Mint", language: "en" });
+
+    // raw is the recorded Near Mint, Normal, English price of the picked card
+    const cards = JSON.parse(await recordedBody("api.justtcg.com", /\/v1\/cards\?/)).data;
+    const card = cards.find((c) => c.id === r.body.picked.id);
+    assert.ok(card, `picked ${r.body.picked.id} is not in the recording`);
+    const nearMint = card.variants.find((v) => v.printing === "Normal" && v.condition === "Near Mint" && v.language === "English");
+    assert.equal(r.body.raw, nearMint.price);
+
+    // GBP goes through the recorded ECB euro rates
+    const xml = await recordedBody("www.ecb.europa.eu", /eurofxref-daily/);
+    const rate = (ccy) => Number(xml.match(new RegExp(`currency='${ccy}' rate='([\\d.]+)'`))[1]);
+    assert.equal(r.body.fx.GBP, rate("GBP"));
+    assert.equal(r.body.fx.USD, rate("USD"));
+    assert.ok(Math.abs(r.body.converted.GBP.raw - (nearMint.price / rate("USD")) * rate("GBP")) < 1e-9);
+    assert.ok(r.body.evGraded > r.body.raw);
+  });
+
+  test("a request without a recording fails like the network, never reaching it", async () => {
+    const r = await callHandler(handlers.price, { card: { game: "pokemon", name: "Mewtwo", set: "Jungle" } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.raw, null);
+    const attempts = r.body.debug.justtcg.cardAttempts;
+    assert.ok(attempts.length);
+    assert.ok(attempts.every((a) => a.http === "FETCH_ERR"), JSON.stringify(attempts));
+  });
+});
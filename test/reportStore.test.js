@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { loadReport, resolveReportStore, saveReport } from "../api/_lib/reportStore.js";
+import { installFakeKv } from "./helpers/kv.js";
+
+const ENV = ["REPORT_STORE", "VERCEL"];
+let saved;
+let kv;
+
+beforeEach(() => {
+  saved = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+  kv = installFakeKv();
+});
+
+afterEach(() => {
+  kv.restore();
+  for (const k of ENV) {
+    if (saved[k] == null) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+describe("report store", () => {
+  test("kv keeps a report, without its photos, for any instance to load", async () => {
+    process.env.REPORT_STORE = "kv";
+    const record = await saveReport({
+      preGrade: { overall: 9, debug: { raw: "x" } },
+      inputs: { frontDataUrl: "data:image/jpeg;base64,AAAA", company: "psa" },
+    });
+    assert.equal(kv.db.size, 1);
+    const loaded = await loadReport(record.id);
+    assert.deepEqual(loaded, record);
+    assert.deepEqual(loaded.inputs, { company: "psa" });
+    assert.equal(loaded.preGrade.debug, undefined);
+  });
+
+  test("an unknown or malformed ID loads as null", async () => {
+    process.env.REPORT_STORE = "kv";
+    assert.equal(await loadReport("A".repeat(22)), null);
+    assert.equal(await loadReport("../etc/passwd"), null);
+  });
+
+  test("on Vercel the default is kv and instance-local stores are refused", () => {
+    process.env.VERCEL = "1";
+    delete process.env.REPORT_STORE;
+    assert.equal(resolveReportStore().name, "kv");
+    for (const name of ["file", "sqlite", "memory"]) {
+      process.env.REPORT_STORE = name;
+      assert.throws(() => resolveReportStore(), /share links would break on Vercel/);
+    }
+  });
+
+  test("elsewhere the default is file", () => {
+    delete process.env.VERCEL;
+    delete process.env.REPORT_STORE;
+    assert.equal(resolveReportStore().name, "file");
+  });
+});
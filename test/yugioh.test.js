@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import yugioh from "../api/_lib/games/yugioh.js";
+import { setHttpTransport } from "../api/_lib/http.js";
+
+// YGOPRODeck's answer for any search: one card with its printings (TCG codes, as the database lists them).
+const BLUE_EYES = {
+  id: 89631139,
+  name: "Blue-Eyes White Dragon",
+  ygoprodeck_url: "https://ygoprodeck.com/card/blue-eyes-white-dragon-7485",
+  card_images: [{ image_url: "https://images.ygoprodeck.com/images/cards/89631139.jpg" }],
+  card_sets: [
+    { set_code: "LOB-EN001", set_name: "Legend of Blue Eyes White Dragon", set_rarity: "Ultra Rare" },
+    { set_code: "SDK-001", set_name: "Starter Deck: Kaiba", set_rarity: "Ultra Rare" },
+    { set_code: "YGLD-ENA01", set_name: "Yugi's Legendary Decks", set_rarity: "Ultra Rare" },
+    { set_code: "LCKC-EN001", set_name: "Legendary Collection Kaiba", set_rarity: "Ultra Rare" },
+    { set_code: "LCKC-EN001", set_name: "Legendary Collection Kaiba", set_rarity: "Secret Rare" },
+  ],
+};
+
+before(() => {
+  process.env.CACHE_BACKEND = "off";
+  process.env.CATALOG = "off";
+  setHttpTransport(async () => new Response(JSON.stringify({ data: [BLUE_EYES] }), { status: 200, headers: { "content-type": "application/json" } }));
+});
+
+after(() => setHttpTransport(null));
+
+async function resolve(collectorNumber, variant = null, language = "en") {
+  return await yugioh.resolve({ game: "yugioh", name: "Blue-Eyes White Dragon", collectorNumber, variant, language }, {});
+}
+
+describe("yugioh printings", () => {
+  test("a full code picks that printing, its region letters the language", async () => {
+    const [top] = await resolve("LOB-EN001", "Ultra Rare");
+    assert.equal(top.collectorNumber, "LOB-EN001");
+    assert.equal(top.setCode, "LOB");
+    assert.equal(top.language, "en");
+    assert.equal(top.canonical.print, "LOB-EN001/ultra-rare");
+  });
+
+  test("a code without region letters matches the printing in the same set slot", async () => {
+    const [top] = await resolve("LOB-001");
+    assert.equal(top.collectorNumber, "LOB-001");
+    assert.equal(top.set, "Legend of Blue Eyes White Dragon");
+  });
+
+  test("old one-letter regions: SDK-G001 is the German Starter Deck: Kaiba", async () => {
+    const [top] = await resolve("sdk-g001", null, "en");
+    assert.equal(top.collectorNumber, "SDK-G001");
+    assert.equal(top.set, "Starter Deck: Kaiba");
+    assert.equal(top.language, "de");
+  });
+
+  test("promo slots with a letter: YGLD-ENA01", async () => {
+    const [top] = await resolve("YGLD-ENA01");
+    assert.equal(top.collectorNumber, "YGLD-ENA01");
+    assert.equal(top.set, "Yugi's Legendary Decks");
+    assert.equal(top.language, "en");
+  });
+
+  test("the rarity read picks between printings that share a code", async () => {
+    const candidates = await resolve("LCKC-EN001", "ScR");
+    assert.deepEqual(candidates.map((c) => c.rarity), ["Secret Rare"]);
+  });
+
+  test("a misread rarity doesn't lose the printing the code pins", async () => {
+    const [top] = await resolve("LOB-EN001", "Secret Rare");
+    assert.equal(top.collectorNumber, "LOB-EN001");
+    assert.equal(top.rarity, "Ultra Rare");
+  });
+
+  test("something that isn't a set code picks no printing", async () => {
+    const candidates = await resolve("001/102");
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].collectorNumber, null);
+  });
+
+  test("the edition is what was read, and unknown when nothing was", async () => {
+    assert.equal((await resolve("LOB-EN001", "Ultra Rare 1st Edition"))[0].edition, "1st Edition");
+    assert.equal((await resolve("LOB-EN001", "Unlimited Ultra Rare"))[0].edition, "Unlimited");
+    assert.equal((await resolve("LOB-EN001", "Ultra Rare"))[0].edition, null);
+    assert.equal((await resolve("LOB-EN001"))[0].edition, null);
+  });
+});